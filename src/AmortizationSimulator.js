@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useRef, useDeferredValue } from 'react';
 import {
+  Area,
   Bar,
   Line,
   XAxis,
@@ -11,423 +12,912 @@ import {
   ComposedChart,
   ReferenceLine
 } from 'recharts';
+import {
+  calculateLoan,
+  analyzeLoan,
+  compareLoan,
+  withComparison,
+  defaultExtraPayments,
+  defaultArm,
+  defaultOwnership,
+  defaultStructure,
+  defaultFees,
+  PAYMENT_FREQUENCIES,
+  COMPOUNDING_OPTIONS,
+  DAY_COUNT_CONVENTIONS,
+  frequencyOf
+} from './loanEngine';
+import { encodeInputs, decodeInputs } from './urlState';
+import { createFormatters } from './formatters';
+import { FormattingContext } from './FormattingContext';
+import { LOCALES, CURRENCIES, ROUNDING_MODES } from './currency';
+import { labelStyle, inputStyle, fieldStyle, secondaryButtonStyle } from './styles';
+import ExtraPaymentsPanel from './ExtraPaymentsPanel';
+import SliderField from './SliderField';
+import RateModelPanel from './RateModelPanel';
+import LoanStructurePanel from './LoanStructurePanel';
+import OwnershipPanel from './OwnershipPanel';
+import ScheduleTable from './ScheduleTable';
+import ExportControls from './ExportControls';
+import {
+  loadScenarios,
+  saveScenarios,
+  parseScenarioFile,
+  serializeScenarios,
+  mergeScenarios
+} from './scenarioStorage';
+import { downloadFile } from './exporters';
+import NoticeBanner from './NoticeBanner';
+import ScenarioComparison from './ScenarioComparison';
+import {
+  OVERLAY_COLORS,
+  overlayKey,
+  buildOverlayChartData,
+  mergeByYear,
+  SERIES_ANIMATION,
+  pinCurves,
+  pinnedKey,
+  historyBalancePoints
+} from './chartData';
+import { analyzeRefinance, defaultRefinance } from './refinance';
+import RefinancePanel from './RefinancePanel';
+import PayoffPlannerPanel from './PayoffPlannerPanel';
+import PaymentHistoryPanel from './PaymentHistoryPanel';
+import { reconcileHistory, actualYearlyData } from './paymentHistory';
+import FeesPanel from './FeesPanel';
+import SolverPanel from './SolverPanel';
+import GoalSeekPanel from './GoalSeekPanel';
+import RealValuesPanel from './RealValuesPanel';
+import { addRealValues, analyzeRealValues, defaultEconomics } from './realValues';
+import { defaultMonteCarlo, runMonteCarlo } from './monteCarlo';
+import { defaultDisruptions } from './disruptions';
+import DisruptionsPanel from './DisruptionsPanel';
+import MonteCarloPanel from './MonteCarloPanel';
+import SensitivityPanel from './SensitivityPanel';
+
+// Non-loan costs stacked on the payment chart in cost-of-ownership mode
+const OWNERSHIP_SERIES = [
+  { dataKey: "propertyTax", name: "Property Tax", color: "#fbbf24" },
+  { dataKey: "insurance", name: "Insurance", color: "#60a5fa" },
+  { dataKey: "hoa", name: "HOA", color: "#c084fc" },
+  { dataKey: "pmi", name: "PMI", color: "#f87171" }
+];
+
+// Slider travel for the main inputs; the number fields accept anything
+// within the input limits
+const SLIDER_RANGES = {
+  loanAmount: { min: 10000, max: 2000000 },
+  interestRate: { min: 0, max: 20 },
+  loanTermYears: { min: 1, max: 50 }
+};
+
+// Wait for the inputs to settle before starting a Monte Carlo run
+const SIMULATION_DELAY_MS = 300;
 
 const AmortizationSimulator = () => {
-  // Default loan parameters
-  const [loanAmount, setLoanAmount] = useState(250000);
-  const [interestRate, setInterestRate] = useState(4.5);
-  const [loanTermYears, setLoanTermYears] = useState(30);
-  const [startYear, setStartYear] = useState(2010);
-  const [amortizationData, setAmortizationData] = useState([]);
+  // Loan parameters start from the shared link, if any, else the defaults
+  const [initialUrlState] = useState(() => decodeInputs(window.location.search));
+  const initialInputs = initialUrlState.inputs;
+  const [urlWarnings, setUrlWarnings] = useState(initialUrlState.warnings);
+
+  const [loanAmount, setLoanAmount] = useState(initialInputs.loanAmount);
+  const [interestRate, setInterestRate] = useState(initialInputs.interestRate);
+  const [loanTermYears, setLoanTermYears] = useState(initialInputs.loanTermYears);
+  const [startYear, setStartYear] = useState(initialInputs.startYear);
+  const [startMonth, setStartMonth] = useState(initialInputs.startMonth);
+  const [paymentFrequency, setPaymentFrequency] = useState(initialInputs.paymentFrequency);
+  const [compounding, setCompounding] = useState(initialInputs.compounding);
+  const [dayCount, setDayCount] = useState(initialInputs.dayCount);
+  const [structure, setStructure] = useState(initialInputs.structure);
+  const [extraPayments, setExtraPayments] = useState(initialInputs.extraPayments);
+  const [rateType, setRateType] = useState(initialInputs.rateType);
+  const [arm, setArm] = useState(initialInputs.arm);
+  const [ownership, setOwnership] = useState(initialInputs.ownership);
+  const [refinance, setRefinance] = useState(initialInputs.refinance);
+  const [fees, setFees] = useState(initialInputs.fees);
+  const [economics, setEconomics] = useState(initialInputs.economics);
+  const [monteCarlo, setMonteCarlo] = useState(initialInputs.monteCarlo);
+  const [locale, setLocale] = useState(initialInputs.locale);
+  const [currency, setCurrency] = useState(initialInputs.currency);
+  const [rounding, setRounding] = useState(initialInputs.rounding);
+  const [disruptions, setDisruptions] = useState(initialInputs.disruptions);
+  // Imported from a statement rather than entered, so kept out of the
+  // shareable inputs
+  const [paymentHistory, setPaymentHistory] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+  const [cumulativeView, setCumulativeView] = useState("nominal");
   const [chartVisible, setChartVisible] = useState(true);
-  const [scenarios, setScenarios] = useState([]);
+  const [pinned, setPinned] = useState(null);
+  const [storedScenarios] = useState(() => loadScenarios());
+  const [scenarios, setScenarios] = useState(storedScenarios.scenarios);
+  const [storageErrors, setStorageErrors] = useState(storedScenarios.errors);
   const [showScenarios, setShowScenarios] = useState(false);
   const [scenarioName, setScenarioName] = useState("");
+  const [importErrors, setImportErrors] = useState([]);
+  const [overlayIds, setOverlayIds] = useState([]);
+  const [baselineId, setBaselineId] = useState(null);
+  const importInputRef = useRef(null);
 
-  // Calculate amortization schedule
-  const calculateAmortization = () => {
-    const monthlyRate = interestRate / 100 / 12;
-    const totalPayments = loanTermYears * 12;
-    const monthlyPayment =
-      loanAmount *
-      (monthlyRate * Math.pow(1 + monthlyRate, totalPayments)) /
-      (Math.pow(1 + monthlyRate, totalPayments) - 1);
-
-    let balance = loanAmount;
-    const yearlyData = [];
-    let crossoverMonth = null;
-    let crossoverYear = null;
-    let cumulativePrincipal = 0;
-    let cumulativeInterest = 0;
-
-    for (let year = 0; year < loanTermYears + 1; year++) {
-      const currentYear = startYear + year;
-      let yearlyPrincipal = 0;
-      let yearlyInterest = 0;
-
-      // Skip first year calculation for initial point
-      if (year === 0) {
-        yearlyData.push({
-          year: currentYear,
-          remainingBalance: balance,
-          principal: 0,
-          interest: 0,
-          principalPercentage: 0,
-          interestPercentage: 100,
-          cumulativePrincipal: 0,
-          cumulativeInterest: 0
-        });
-        continue;
-      }
+  // Persist saved scenarios so they survive a refresh, unless some stored
+  // ones could not be read: saving would overwrite them
+  useEffect(() => {
+    if (storedScenarios.errors.length === 0) saveScenarios(scenarios);
+  }, [storedScenarios, scenarios]);
+
+  const importScenarios = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { scenarios: imported, errors } = parseScenarioFile(reader.result);
+      setScenarios((current) => mergeScenarios(current, imported));
+      setImportErrors(errors);
+      if (imported.length > 0) setShowScenarios(true);
+    };
+    reader.onerror = () => setImportErrors(["Could not read the file"]);
+    reader.readAsText(file);
+  };
 
-      for (let month = 1; month <= 12; month++) {
-        const absoluteMonth = (year - 1) * 12 + month;
+  const inputs = useMemo(
+    () => ({
+      loanAmount,
+      interestRate,
+      loanTermYears,
+      startYear,
+      startMonth,
+      paymentFrequency,
+      compounding,
+      dayCount,
+      structure,
+      extraPayments,
+      rateType,
+      arm,
+      ownership,
+      refinance,
+      fees,
+      economics,
+      monteCarlo,
+      locale,
+      currency,
+      rounding,
+      disruptions
+    }),
+    [
+      loanAmount,
+      interestRate,
+      loanTermYears,
+      startYear,
+      startMonth,
+      paymentFrequency,
+      compounding,
+      dayCount,
+      structure,
+      extraPayments,
+      rateType,
+      arm,
+      ownership,
+      refinance,
+      fees,
+      economics,
+      monteCarlo,
+      locale,
+      currency,
+      rounding,
+      disruptions
+    ]
+  );
 
-        if (absoluteMonth <= totalPayments) {
-          const interestPayment = balance * monthlyRate;
-          const principalPayment = monthlyPayment - interestPayment;
+  // Everything rendered below formats numbers, amounts and dates this way
+  const formatters = createFormatters({ locale, currency });
+  const {
+    currencySymbol,
+    monthNames,
+    formatCurrency,
+    formatPercentage,
+    formatRate,
+    formatNumber,
+    formatPaymentDate
+  } = formatters;
+  const symbol = currencySymbol();
+  const months = monthNames();
+  const compactCurrency = (value) => formatCurrency(value, 0, { compact: true });
 
-          yearlyPrincipal += principalPayment;
-          yearlyInterest += interestPayment;
+  // Calculate amortization schedule when parameters change. The calculation
+  // follows a deferred copy of the inputs so dragging a slider never waits
+  // on the charts; React drops stale recalculations when a newer value lands.
+  const calculationInputs = useDeferredValue(inputs);
+  const analysis = useMemo(() => analyzeLoan(calculationInputs), [calculationInputs]);
+  // The comparisons (baseline, APR, monthly payments) build as many schedules
+  // again, so they are worked out after the schedule is on screen and the
+  // figures they feed trail it by a render
+  const [comparison, setComparison] = useState(() => ({
+    analysis,
+    result: compareLoan(calculationInputs, analysis)
+  }));
+  useEffect(() => {
+    if (comparison.analysis === analysis) return;
+    setComparison({ analysis, result: compareLoan(calculationInputs, analysis) });
+  }, [calculationInputs, analysis, comparison]);
+  const loan = useMemo(
+    () => withComparison(analysis, comparison.result),
+    [analysis, comparison]
+  );
 
-          cumulativePrincipal += principalPayment;
-          cumulativeInterest += interestPayment;
+  // Keep the address bar shareable without adding a history entry per edit
+  useEffect(() => {
+    const query = encodeInputs(inputs);
+    const { pathname, hash } = window.location;
+    const search = query ? `?${query}` : "";
+    window.history.replaceState(null, "", `${pathname}${search}${hash}`);
+  }, [inputs]);
 
-          // Check for monthly crossover point (when principal exceeds interest in a single payment)
-          if (crossoverMonth === null && principalPayment > interestPayment) {
-            crossoverMonth = absoluteMonth;
-            crossoverYear = currentYear + month / 12;
-          }
+  // Re-run the rate simulation in a worker once the inputs stop changing. A
+  // newer run cancels the one in flight; the last bands stay on the charts
+  // until it finishes.
+  useEffect(() => {
+    if (!monteCarlo.enabled) return undefined;
+    let cancelled = false;
+    let cancelRun = () => {};
 
-          balance -= principalPayment;
-          if (balance < 0) balance = 0;
-        }
+    const timer = setTimeout(() => {
+      if (typeof Worker === "undefined") {
+        setSimulation({ inputs, result: runMonteCarlo(inputs, monteCarlo) });
+        return;
       }
+      // A runner chunk that fails to load or a worker that can't be started
+      // ends the run like a failed simulation, rather than leaving it running
+      import('./monteCarloRunner')
+        .then(({ startMonteCarlo }) => {
+          if (cancelled) return;
+          const run = startMonteCarlo(inputs, monteCarlo);
+          cancelRun = run.cancel;
+          run.promise.then(
+            (result) => !cancelled && setSimulation({ inputs, result }),
+            () => !cancelled && setSimulation({ inputs, result: null })
+          );
+        })
+        .catch(() => !cancelled && setSimulation({ inputs, result: null }));
+    }, SIMULATION_DELAY_MS);
 
-      const totalYearlyPayment = yearlyPrincipal + yearlyInterest;
-      const principalPercentage =
-        totalYearlyPayment > 0
-          ? (yearlyPrincipal / totalYearlyPayment) * 100
-          : 0;
-      const interestPercentage =
-        totalYearlyPayment > 0
-          ? (yearlyInterest / totalYearlyPayment) * 100
-          : 0;
-
-      yearlyData.push({
-        year: currentYear,
-        remainingBalance: balance,
-        principal: yearlyPrincipal,
-        interest: yearlyInterest,
-        principalPercentage,
-        interestPercentage,
-        cumulativePrincipal,
-        cumulativeInterest
-      });
-    }
-
-    // Add crossover information
-    const crossoverInfo = {
-      monthNumber: crossoverMonth,
-      year: crossoverYear,
-      yearFraction: crossoverMonth ? (crossoverMonth / 12).toFixed(1) : "N/A",
-      percentageOfTerm: crossoverMonth
-        ? ((crossoverMonth / totalPayments) * 100).toFixed(2)
-        : "N/A"
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      cancelRun();
     };
+  }, [inputs, monteCarlo]);
+  const simulationResult = monteCarlo.enabled && simulation ? simulation.result : null;
+  const simulationRunning = monteCarlo.enabled && simulation?.inputs !== inputs;
 
-    // Find equity crossover (50% equity point)
-    let equityCrossoverYear = null;
-    for (let i = 0; i < yearlyData.length; i++) {
-      if (yearlyData[i].remainingBalance <= loanAmount / 2) {
-        equityCrossoverYear = yearlyData[i].year;
-        break;
-      }
-    }
+  const amortizationData = useMemo(
+    () => addRealValues(loan.yearlyData, economics),
+    [loan.yearlyData, economics]
+  );
+  const {
+    crossoverInfo,
+    equityCrossoverYear,
+    payment,
+    monthlyPayment,
+    monthlyComparison,
+    apr,
+    paymentChanges,
+    worstCase,
+    pmiDropOff,
+    balloon,
+    amortizationStart,
+    finalPayment,
+    reconciliation,
+    negativeAmortization,
+    disruptionImpact
+  } = loan;
+  const { totalInterest, totalCost, interestSaved, monthsSaved } = loan.totals;
+  const firstPayment = loan.schedule[0] || {};
+  let pmiStatus = firstPayment.pmi > 0 ? "Not within loan term" : "No PMI";
+  if (pmiDropOff) pmiStatus = formatPaymentDate(pmiDropOff);
+  const frequencyLabel = frequencyOf(paymentFrequency).label;
 
-    setAmortizationData(yearlyData);
-    return { crossoverInfo, equityCrossoverYear };
+  // The first payment means something different for each loan structure
+  let paymentLabel = `${frequencyLabel} Payment`;
+  if (structure.type === "interestOnly") {
+    paymentLabel = `${frequencyLabel} Interest-Only Payment`;
+  }
+  if (structure.type === "straightLine") paymentLabel = `First ${frequencyLabel} Payment`;
+  else if (rateType === "arm") paymentLabel = `Initial ${paymentLabel}`;
+
+  // Load a saved scenario (or any partial set of inputs) into the simulator
+  const applyInputs = (values) => {
+    const next = { ...inputs, ...values };
+    setLoanAmount(next.loanAmount);
+    setInterestRate(next.interestRate);
+    setLoanTermYears(next.loanTermYears);
+    setStartYear(next.startYear);
+    setStartMonth(next.startMonth || 12);
+    setPaymentFrequency(next.paymentFrequency || "monthly");
+    setCompounding(next.compounding || "perPayment");
+    setDayCount(next.dayCount || "periodic");
+    setStructure(next.structure || defaultStructure);
+    setExtraPayments(next.extraPayments || defaultExtraPayments);
+    setRateType(next.rateType || "fixed");
+    setArm(next.arm || defaultArm);
+    setOwnership(next.ownership || defaultOwnership);
+    setRefinance(next.refinance || defaultRefinance);
+    setFees(next.fees || defaultFees);
+    setEconomics(next.economics || defaultEconomics);
+    setMonteCarlo(next.monteCarlo || defaultMonteCarlo);
+    setLocale(next.locale || "en-US");
+    setCurrency(next.currency || "USD");
+    setRounding(next.rounding || "halfUp");
+    setDisruptions(next.disruptions || defaultDisruptions);
   };
 
-  // Store crossover information
-  const [crossoverInfo, setCrossoverInfo] = useState(null);
-  const [equityCrossoverYear, setEquityCrossoverYear] = useState(null);
+  // Saved scenarios selected for the charts, regenerated from their inputs
+  const overlays = useMemo(
+    () =>
+      scenarios
+        .filter((scenario) => overlayIds.includes(scenario.id))
+        .map((scenario, i) => ({
+          id: scenario.id,
+          name: scenario.name,
+          color: OVERLAY_COLORS[i % OVERLAY_COLORS.length],
+          yearlyData: addRealValues(calculateLoan(scenario).yearlyData, economics)
+        })),
+    [scenarios, overlayIds, economics]
+  );
+  const realValuesAnalysis = useMemo(
+    () => analyzeRealValues(calculationInputs, loan, economics),
+    [calculationInputs, loan, economics]
+  );
+  // Cumulative chart series in nominal or start-year dollars
+  const cumulativeField = (field) =>
+    cumulativeView === "real" ? `real${field[0].toUpperCase()}${field.slice(1)}` : field;
+  const refinanceAnalysis = useMemo(
+    () =>
+      refinance.enabled
+        ? analyzeRefinance(calculationInputs, loan.schedule, refinance)
+        : null,
+    [calculationInputs, loan.schedule, refinance]
+  );
 
-  // Calculate on initial render and when parameters change
-  useEffect(() => {
-    const { crossoverInfo, equityCrossoverYear } = calculateAmortization();
-    setCrossoverInfo(crossoverInfo);
-    setEquityCrossoverYear(equityCrossoverYear);
-  }, [loanAmount, interestRate, loanTermYears, startYear]);
-
-  // Format as currency
-  const formatCurrency = (value) =>
-    new Intl.NumberFormat("en-US", {
-      style: "currency",
-      currency: "USD",
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    }).format(value);
-
-  // Format as percentage
-  const formatPercentage = (value) => {
-    return `${value.toFixed(2)}%`;
-  };
+  const history = useMemo(
+    () => reconcileHistory(calculationInputs, loan.schedule, paymentHistory),
+    [calculationInputs, loan.schedule, paymentHistory]
+  );
+  const actualYears = useMemo(
+    () => (history ? actualYearlyData(calculationInputs, history) : []),
+    [calculationInputs, history]
+  );
 
-  // Calculate monthly payment
-  const calculateMonthlyPayment = () => {
-    const monthlyRate = interestRate / 100 / 12;
-    const totalPayments = loanTermYears * 12;
-    return (
-      loanAmount *
-      (monthlyRate * Math.pow(1 + monthlyRate, totalPayments)) /
-      (Math.pow(1 + monthlyRate, totalPayments) - 1)
+  const chartData = useMemo(() => {
+    const withRefinance = mergeByYear(
+      buildOverlayChartData(amortizationData, overlays),
+      refinanceAnalysis
+        ? refinanceAnalysis.balancePath.map(({ year, refinanceBalance }) => ({
+            year,
+            refinanceBalance
+          }))
+        : []
+    );
+    // Monte Carlo bands as [p10, p90] ranges for the area series
+    const withBands = mergeByYear(
+      withRefinance,
+      simulationResult
+        ? simulationResult.years.map((band) => ({
+            year: band.year,
+            balanceBand: [band.balanceP10, band.balanceP90],
+            balanceMedian: band.balanceP50,
+            paymentBand: band.loanYear > 0 ? [band.paymentP10, band.paymentP90] : null,
+            paymentMedian: band.loanYear > 0 ? band.paymentP50 : null
+          }))
+        : []
+    );
+    const withHistory = mergeByYear(withBands, historyBalancePoints(actualYears));
+    return mergeByYear(withHistory, pinned || []);
+  }, [
+    amortizationData,
+    overlays,
+    refinanceAnalysis,
+    simulationResult,
+    actualYears,
+    pinned
+  ]);
+  const ratioData = useMemo(
+    () => mergeByYear(amortizationData, pinned || []),
+    [amortizationData, pinned]
+  );
+  // Ghost of the pinned curve: thin, grey and not animated
+  const pinnedLine = (field, name, yAxisId) =>
+    pinned && (
+      <Line
+        yAxisId={yAxisId}
+        type="monotone"
+        dataKey={pinnedKey(field)}
+        name={`${name} (Pinned)`}
+        stroke="#9ca3af"
+        strokeWidth={2}
+        strokeDasharray="2 4"
+        dot={false}
+        isAnimationActive={false}
+        connectNulls
+      />
     );
-  };
 
-  const monthlyPayment = calculateMonthlyPayment();
-  const totalInterest = monthlyPayment * loanTermYears * 12 - loanAmount;
-  const totalCost = monthlyPayment * loanTermYears * 12;
+  // One chart marker per year in which the ARM payment resets
+  // Charts are labelled by loan year (startYear + loanYear), not calendar year
+  const resetMarkers = paymentChanges.filter(
+    (change, i) => i === 0 || change.loanYear !== paymentChanges[i - 1].loanYear
+  );
+  // Years in which unpaid interest was added to the balance
+  const negativeAmortizationYears = amortizationData
+    .filter((row) => row.capitalizedInterest > 0)
+    .map((row) => row.year);
 
   return (
-    <div style={{ padding: "24px", maxWidth: "1200px", margin: "0 auto" }}>
-      <h1 style={{ fontSize: "1.5rem", fontWeight: "bold", marginBottom: "24px" }}>
-        Loan Amortization Schedule Simulator
-      </h1>
-
-      <div
-        style={{
-          display: "grid",
-          gridTemplateColumns: "repeat(auto-fit, minmax(250px, 1fr))",
-          gap: "24px",
-          marginBottom: "32px"
-        }}
-      >
-        <div>
-          <div style={{ marginBottom: "16px" }}>
-            <label
-              style={{
-                display: "block",
-                fontSize: "0.875rem",
-                fontWeight: "500",
-                marginBottom: "4px"
-              }}
-            >
-              Loan Amount ($)
-            </label>
-            <input
-              type="number"
+    <FormattingContext.Provider value={formatters}>
+      <div style={{ padding: "24px", maxWidth: "1200px", margin: "0 auto" }}>
+        <h1 style={{ fontSize: "1.5rem", fontWeight: "bold", marginBottom: "24px" }}>
+          Loan Amortization Schedule Simulator
+        </h1>
+
+        {urlWarnings.length > 0 && (
+          <NoticeBanner
+            title="Some values in this link were adjusted:"
+            items={urlWarnings}
+            onDismiss={() => setUrlWarnings([])}
+            tone="warning"
+          />
+        )}
+
+        <p className="print-only" style={{ marginBottom: "16px" }}>
+          {formatCurrency(loanAmount)} at {formatRate(interestRate)} (
+          {formatPercentage(apr, 3)} APR) over {loanTermYears} years, starting{" "}
+          {months[startMonth - 1]} {startYear}, paid{" "}
+          {frequencyLabel.toLowerCase()}
+          {rateType === "arm" && " (adjustable rate)"}
+        </p>
+
+        <div
+          className="no-print"
+          style={{
+            display: "grid",
+            gridTemplateColumns: "repeat(auto-fit, minmax(250px, 1fr))",
+            gap: "24px",
+            marginBottom: "32px"
+          }}
+        >
+          <div>
+            <SliderField
+              label={`Loan Amount (${symbol})`}
               value={loanAmount}
-              onChange={(e) =>
-                setLoanAmount(Math.max(1000, Number(e.target.value)))
-              }
-              style={{
-                width: "100%",
-                padding: "8px",
-                border: "1px solid #d1d5db",
-                borderRadius: "4px"
-              }}
+              onChange={setLoanAmount}
+              rule="loanAmount"
+              step="1000"
+              slider={SLIDER_RANGES.loanAmount}
             />
-          </div>
 
-          <div style={{ marginBottom: "16px" }}>
-            <label
-              style={{
-                display: "block",
-                fontSize: "0.875rem",
-                fontWeight: "500",
-                marginBottom: "4px"
-              }}
-            >
-              Interest Rate (%)
-            </label>
-            <input
-              type="number"
+            <SliderField
+              label="Interest Rate (%)"
               value={interestRate}
-              onChange={(e) =>
-                setInterestRate(
-                  Math.max(0.1, Math.min(20, Number(e.target.value)))
-                )
-              }
-              step="0.1"
-              style={{
-                width: "100%",
-                padding: "8px",
-                border: "1px solid #d1d5db",
-                borderRadius: "4px"
-              }}
-            />
+              onChange={setInterestRate}
+              rule="interestRate"
+              step="0.05"
+              slider={SLIDER_RANGES.interestRate}
+            >
+              <span style={{ display: "block", fontSize: "0.75rem", color: "#4b5563" }}>
+                APR {formatPercentage(apr, 3)}
+              </span>
+            </SliderField>
           </div>
-        </div>
 
-        <div>
-          <div style={{ marginBottom: "16px" }}>
-            <label
-              style={{
-                display: "block",
-                fontSize: "0.875rem",
-                fontWeight: "500",
-                marginBottom: "4px"
-              }}
-            >
-              Loan Term (Years)
-            </label>
-            <input
-              type="number"
+          <div>
+            <SliderField
+              label="Loan Term (Years)"
               value={loanTermYears}
-              onChange={(e) =>
-                setLoanTermYears(Math.max(1, Math.min(50, Number(e.target.value))))
-              }
-              style={{
-                width: "100%",
-                padding: "8px",
-                border: "1px solid #d1d5db",
-                borderRadius: "4px"
-              }}
+              onChange={setLoanTermYears}
+              rule="loanTermYears"
+              step="1"
+              integer
+              slider={SLIDER_RANGES.loanTermYears}
             />
-          </div>
 
-          <div style={{ marginBottom: "16px" }}>
-            <label
-              style={{
-                display: "block",
-                fontSize: "0.875rem",
-                fontWeight: "500",
-                marginBottom: "4px"
-              }}
-            >
-              Start Year
-            </label>
-            <input
-              type="number"
+            <SliderField
+              label="Start Year"
               value={startYear}
-              onChange={(e) =>
-                setStartYear(Math.max(1900, Number(e.target.value)))
-              }
-              style={{
-                width: "100%",
-                padding: "8px",
-                border: "1px solid #d1d5db",
-                borderRadius: "4px"
-              }}
+              onChange={setStartYear}
+              rule="startYear"
+              step="1"
+              integer
             />
-          </div>
-        </div>
-      </div>
 
-      <div
-        style={{
-          background: "#f9fafb",
-          padding: "16px",
-          borderRadius: "4px",
-          marginBottom: "24px"
-        }}
-      >
-        <h2
-          style={{
-            fontSize: "1.125rem",
-            fontWeight: "600",
-            marginBottom: "8px"
-          }}
-        >
-          Loan Summary
-        </h2>
-        <div
-          style={{
-            display: "grid",
-            gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
-            gap: "16px"
-          }}
-        >
-          <div>
-            <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
-              Monthly Payment:
-            </span>
-            <p style={{ fontWeight: "bold", fontSize: "1.25rem" }}>
-              {formatCurrency(monthlyPayment)}
-            </p>
-          </div>
-          <div>
-            <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
-              Total Interest:
-            </span>
-            <p style={{ fontWeight: "bold", fontSize: "1.25rem" }}>
-              {formatCurrency(totalInterest)}
-            </p>
-          </div>
-          <div>
-            <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
-              Total Cost:
-            </span>
-            <p style={{ fontWeight: "bold", fontSize: "1.25rem" }}>
-              {formatCurrency(totalCost)}
-            </p>
-          </div>
-          <div>
-            <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
-              Interest to Principal Ratio:
-            </span>
-            <p style={{ fontWeight: "bold", fontSize: "1.25rem" }}>
-              {((totalInterest / loanAmount) * 100).toFixed(2)}%
-            </p>
+            <div style={fieldStyle}>
+              <label style={labelStyle}>Start Month</label>
+              <select
+                value={startMonth}
+                onChange={(e) => setStartMonth(Number(e.target.value))}
+                style={inputStyle}
+              >
+                {months.map((name, index) => (
+                  <option key={name} value={index + 1}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div style={fieldStyle}>
+              <label style={labelStyle}>Payment Frequency</label>
+              <select
+                value={paymentFrequency}
+                onChange={(e) => setPaymentFrequency(e.target.value)}
+                style={inputStyle}
+              >
+                {Object.entries(PAYMENT_FREQUENCIES).map(([key, frequency]) => (
+                  <option key={key} value={key}>
+                    {frequency.label}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
+
           <div>
-            <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
-              Interest Efficiency:
-            </span>
-            <p
-              style={{
-                fontWeight: "bold",
-                fontSize: "1.25rem",
-                color: totalInterest > loanAmount ? "#ef4444" : "#22c55e"
-              }}
-            >
-              {(loanAmount / totalInterest).toFixed(2)}x
-            </p>
+            <div style={fieldStyle}>
+              <label style={labelStyle}>Day Count</label>
+              <select
+                value={dayCount}
+                onChange={(e) => setDayCount(e.target.value)}
+                style={inputStyle}
+              >
+                {Object.entries(DAY_COUNT_CONVENTIONS).map(([key, convention]) => (
+                  <option key={key} value={key}>
+                    {convention.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div style={fieldStyle}>
+              <label style={labelStyle}>Compounding</label>
+              <select
+                value={compounding}
+                onChange={(e) => setCompounding(e.target.value)}
+                disabled={dayCount !== "periodic"}
+                style={inputStyle}
+              >
+                {Object.entries(COMPOUNDING_OPTIONS).map(([key, option]) => (
+                  <option key={key} value={key}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div style={fieldStyle}>
+              <label htmlFor="display-locale" style={labelStyle}>
+                Number Format
+              </label>
+              <select
+                id="display-locale"
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                style={inputStyle}
+              >
+                {Object.entries(LOCALES).map(([key, option]) => (
+                  <option key={key} value={key}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div style={fieldStyle}>
+              <label htmlFor="display-currency" style={labelStyle}>
+                Currency
+              </label>
+              <select
+                id="display-currency"
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                style={inputStyle}
+              >
+                {Object.entries(CURRENCIES).map(([key, option]) => (
+                  <option key={key} value={key}>
+                    {key} · {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div style={fieldStyle}>
+              <label htmlFor="amount-rounding" style={labelStyle}>
+                Rounding
+              </label>
+              <select
+                id="amount-rounding"
+                value={rounding}
+                onChange={(e) => setRounding(e.target.value)}
+                style={inputStyle}
+              >
+                {Object.entries(ROUNDING_MODES).map(([key, option]) => (
+                  <option key={key} value={key}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
         </div>
-      </div>
 
-      <div
-        style={{ marginBottom: "16px", display: "flex", gap: "10px", flexWrap: "wrap" }}
-      >
-        <button
-          onClick={() => setChartVisible(!chartVisible)}
+        <SolverPanel inputs={inputs} onApply={applyInputs} />
+
+        <GoalSeekPanel inputs={inputs} onApply={applyInputs} />
+
+        <SensitivityPanel inputs={calculationInputs} onApply={applyInputs} />
+
+        <OwnershipPanel
+          ownership={ownership}
+          onChange={setOwnership}
+          onLoanAmountChange={setLoanAmount}
+        />
+
+        <LoanStructurePanel
+          structure={structure}
+          onChange={setStructure}
+          loanTermYears={loanTermYears}
+        />
+
+        <RateModelPanel
+          rateType={rateType}
+          onRateTypeChange={setRateType}
+          arm={arm}
+          onArmChange={setArm}
+        />
+
+        <MonteCarloPanel
+          monteCarlo={monteCarlo}
+          onChange={setMonteCarlo}
+          simulation={simulationResult}
+          running={simulationRunning}
+          rateType={rateType}
+        />
+
+        <ExtraPaymentsPanel
+          extraPayments={extraPayments}
+          onChange={setExtraPayments}
+          startYear={startYear}
+        />
+
+        <DisruptionsPanel
+          disruptions={disruptions}
+          onChange={setDisruptions}
+          impact={disruptionImpact}
+          negativeAmortization={negativeAmortization}
+          startYear={startYear}
+        />
+
+        <PaymentHistoryPanel history={history} onChange={setPaymentHistory} />
+
+        <FeesPanel fees={fees} onChange={setFees} loan={loan} interestRate={interestRate} />
+
+        <RealValuesPanel
+          economics={economics}
+          onChange={setEconomics}
+          analysis={realValuesAnalysis}
+          totalPaid={totalCost}
+        />
+
+        <RefinancePanel
+          refinance={refinance}
+          onChange={setRefinance}
+          analysis={refinanceAnalysis}
+          startYear={startYear}
+          loanYears={amortizationData.length - 1}
+        />
+
+        <PayoffPlannerPanel inputs={calculationInputs} onApply={applyInputs} />
+
+        <div
           style={{
-            padding: "8px 16px",
-            background: "#e5e7eb",
-            border: "none",
+            background: "#f9fafb",
+            padding: "16px",
             borderRadius: "4px",
-            cursor: "pointer"
+            marginBottom: "24px"
           }}
         >
-          {chartVisible ? "Hide Chart" : "Show Chart"}
-        </button>
-
-        <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
-          <input
-            type="text"
-            value={scenarioName}
-            onChange={(e) => setScenarioName(e.target.value)}
-            placeholder="Scenario name"
+          <h2
             style={{
-              padding: "8px",
-              border: "1px solid #d1d5db",
-              borderRadius: "4px"
-            }}
-          />
-          <button
-            onClick={() => {
-              if (scenarioName.trim()) {
-                const monthly = calculateMonthlyPayment();
-                const totalInt = monthly * loanTermYears * 12 - loanAmount;
-                const newScenario = {
-                  id: Date.now(),
-                  name: scenarioName,
-                  loanAmount,
-                  interestRate,
-                  loanTermYears,
-                  monthlyPayment: monthly,
-                  totalInterest: totalInt,
-                  interestRatio: (totalInt / loanAmount) * 100
-                };
-                setScenarios([...scenarios, newScenario]);
-                setScenarioName("");
-              }
+              fontSize: "1.125rem",
+              fontWeight: "600",
+              marginBottom: "8px"
             }}
+          >
+            Loan Summary
+          </h2>
+          <div
             style={{
-              padding: "8px 16px",
-              background: "#4f46e5",
-              color: "white",
-              border: "none",
-              borderRadius: "4px",
-              cursor: "pointer"
+              display: "grid",
+              gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+              gap: "16px"
             }}
           >
-            Save Scenario
-          </button>
+            <div>
+              <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+                {paymentLabel}:
+              </span>
+              <p style={{ fontWeight: "bold", fontSize: "1.25rem" }}>
+                {formatCurrency(payment)}
+              </p>
+              {amortizationStart && (
+                <span style={{ fontSize: "0.75rem", color: "#4b5563", display: "block" }}>
+                  then {formatCurrency(amortizationStart.payment)} from{" "}
+                  {formatPaymentDate(amortizationStart)}
+                </span>
+              )}
+              {structure.type === "straightLine" && (
+                <span style={{ fontSize: "0.75rem", color: "#4b5563", display: "block" }}>
+                  declining to {formatCurrency(finalPayment)}
+                </span>
+              )}
+              {structure.type === "amortizing" && finalPayment !== payment && (
+                <span style={{ fontSize: "0.75rem", color: "#4b5563", display: "block" }}>
+                  final payment {formatCurrency(finalPayment, 2)}
+                </span>
+              )}
+              {monthlyComparison && (
+                <span style={{ fontSize: "0.75rem", color: "#4b5563" }}>
+                  {formatCurrency(monthlyPayment)} per month
+                </span>
+              )}
+            </div>
+            {balloon && (
+              <div>
+                <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+                  Balloon Payment:
+                </span>
+                <p style={{ fontWeight: "bold", fontSize: "1.25rem", color: "#dc2626" }}>
+                  {formatCurrency(balloon.amount)}
+                </p>
+                <span style={{ fontSize: "0.75rem", color: "#4b5563" }}>
+                  due {formatPaymentDate(balloon)}
+                </span>
+              </div>
+            )}
+            <div>
+              <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+                Total Interest:
+              </span>
+              <p style={{ fontWeight: "bold", fontSize: "1.25rem" }}>
+                {formatCurrency(totalInterest)}
+              </p>
+            </div>
+            <div>
+              <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+                Total Cost:
+              </span>
+              <p style={{ fontWeight: "bold", fontSize: "1.25rem" }}>
+                {formatCurrency(totalCost)}
+              </p>
+              {loan.totals.upfrontCharges > 0 && (
+                <span style={{ fontSize: "0.75rem", color: "#4b5563" }}>
+                  {formatCurrency(loan.totals.trueCost)} with points and fees
+                </span>
+              )}
+            </div>
+            <div>
+              <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+                APR:
+              </span>
+              <p style={{ fontWeight: "bold", fontSize: "1.25rem" }}>
+                {formatPercentage(apr, 3)}
+              </p>
+              <span style={{ fontSize: "0.75rem", color: "#4b5563" }}>
+                Effective {formatPercentage(loan.effectiveRate, 3)} · Note{" "}
+                {formatRate(interestRate)}
+              </span>
+            </div>
+            <div>
+              <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+                Interest to Principal Ratio:
+              </span>
+              <p style={{ fontWeight: "bold", fontSize: "1.25rem" }}>
+                {formatPercentage((totalInterest / loanAmount) * 100)}
+              </p>
+            </div>
+            <div>
+              <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+                Interest Efficiency:
+              </span>
+              <p
+                style={{
+                  fontWeight: "bold",
+                  fontSize: "1.25rem",
+                  color: totalInterest > loanAmount ? "#ef4444" : "#22c55e"
+                }}
+              >
+                {totalInterest > 0
+                  ? `${formatNumber(loanAmount / totalInterest)}x`
+                  : "No interest"}
+              </p>
+            </div>
+            <div>
+              <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+                Interest Saved:
+              </span>
+              <p style={{ fontWeight: "bold", fontSize: "1.25rem", color: "#22c55e" }}>
+                {formatCurrency(interestSaved)}
+              </p>
+            </div>
+            <div>
+              <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+                Months Saved:
+              </span>
+              <p style={{ fontWeight: "bold", fontSize: "1.25rem", color: "#22c55e" }}>
+                {monthsSaved}
+              </p>
+            </div>
+            {monthlyComparison && (
+              <div>
+                <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+                  Interest vs Monthly Payments:
+                </span>
+                <p
+                  style={{
+                    fontWeight: "bold",
+                    fontSize: "1.25rem",
+                    color: monthlyComparison.interestSaved >= 0 ? "#22c55e" : "#ef4444"
+                  }}
+                >
+                  {monthlyComparison.interestSaved >= 0 ? "Saves " : "Costs "}
+                  {formatCurrency(Math.abs(monthlyComparison.interestSaved))}
+                </p>
+                <span style={{ fontSize: "0.75rem", color: "#4b5563" }}>
+                  Monthly total {formatCurrency(monthlyComparison.totalInterest)}
+                  {monthlyComparison.monthsSaved > 0 &&
+                    ` · paid off ${monthlyComparison.monthsSaved} months sooner`}
+                </span>
+              </div>
+            )}
+            {ownership.enabled && (
+              <>
+                <div>
+                  <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+                    {frequencyLabel} Payment (PITI):
+                  </span>
+                  <p style={{ fontWeight: "bold", fontSize: "1.25rem" }}>
+                    {formatCurrency(firstPayment.totalPayment)}
+                  </p>
+                  <span style={{ fontSize: "0.75rem", color: "#4b5563" }}>
+                    P&amp;I {formatCurrency(payment)} · Tax{" "}
+                    {formatCurrency(firstPayment.propertyTax)} · Insurance{" "}
+                    {formatCurrency(firstPayment.insurance)} · HOA{" "}
+                    {formatCurrency(firstPayment.hoa)} · PMI {formatCurrency(firstPayment.pmi)}
+                  </span>
+                </div>
+                <div>
+                  <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+                    PMI Removed:
+                  </span>
+                  <p style={{ fontWeight: "bold", fontSize: "1.25rem" }}>
+                    {pmiStatus}
+                  </p>
+                </div>
+                <div>
+                  <span style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+                    Total Cost of Ownership:
+                  </span>
+                  <p style={{ fontWeight: "bold", fontSize: "1.25rem" }}>
+                    {formatCurrency(loan.totals.totalOwnershipCost)}
+                  </p>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        <ExportControls inputs={calculationInputs} loan={loan} />
+
+        <div
+          className="no-print"
+          style={{ marginBottom: "16px", display: "flex", gap: "10px", flexWrap: "wrap" }}
+        >
           <button
-            onClick={() => setShowScenarios(!showScenarios)}
+            onClick={() => setChartVisible(!chartVisible)}
             style={{
               padding: "8px 16px",
               background: "#e5e7eb",
@@ -436,415 +926,591 @@ const AmortizationSimulator = () => {
               cursor: "pointer"
             }}
           >
-            {showScenarios ? "Hide Comparisons" : "Show Comparisons"}
+            {chartVisible ? "Hide Chart" : "Show Chart"}
           </button>
-        </div>
-      </div>
-
-      {showScenarios && scenarios.length > 0 && (
-        <div
-          style={{
-            marginBottom: "24px",
-            background: "#f9fafb",
-            padding: "16px",
-            borderRadius: "4px"
-          }}
-        >
-          <h3
-            style={{ fontSize: "1.125rem", fontWeight: "600", marginBottom: "12px" }}
-          >
-            Scenario Comparison
-          </h3>
-          <div style={{ overflowX: "auto" }}>
-            <table style={{ width: "100%", borderCollapse: "collapse" }}>
-              <thead>
-                <tr style={{ background: "#e5e7eb" }}>
-                  <th
-                    style={{ padding: "8px", textAlign: "left", border: "1px solid #d1d5db" }}
-                  >
-                    Scenario
-                  </th>
-                  <th
-                    style={{ padding: "8px", textAlign: "left", border: "1px solid #d1d5db" }}
-                  >
-                    Loan Amount
-                  </th>
-                  <th
-                    style={{ padding: "8px", textAlign: "left", border: "1px solid #d1d5db" }}
-                  >
-                    Interest Rate
-                  </th>
-                  <th
-                    style={{ padding: "8px", textAlign: "left", border: "1px solid #d1d5db" }}
-                  >
-                    Term (years)
-                  </th>
-                  <th
-                    style={{ padding: "8px", textAlign: "left", border: "1px solid #d1d5db" }}
-                  >
-                    Monthly Payment
-                  </th>
-                  <th
-                    style={{ padding: "8px", textAlign: "left", border: "1px solid #d1d5db" }}
-                  >
-                    Total Interest
-                  </th>
-                  <th
-                    style={{ padding: "8px", textAlign: "left", border: "1px solid #d1d5db" }}
-                  >
-                    Interest Ratio
-                  </th>
-                  <th
-                    style={{ padding: "8px", textAlign: "left", border: "1px solid #d1d5db" }}
-                  >
-                    Actions
-                  </th>
-                </tr>
-              </thead>
-              <tbody>
-                {scenarios.map((scenario) => (
-                  <tr key={scenario.id} style={{ borderBottom: "1px solid #d1d5db" }}>
-                    <td
-                      style={{ padding: "8px", border: "1px solid #d1d5db" }}
-                    >
-                      {scenario.name}
-                    </td>
-                    <td
-                      style={{ padding: "8px", border: "1px solid #d1d5db" }}
-                    >
-                      {formatCurrency(scenario.loanAmount)}
-                    </td>
-                    <td
-                      style={{ padding: "8px", border: "1px solid #d1d5db" }}
-                    >
-                      {scenario.interestRate}%
-                    </td>
-                    <td
-                      style={{ padding: "8px", border: "1px solid #d1d5db" }}
-                    >
-                      {scenario.loanTermYears}
-                    </td>
-                    <td
-                      style={{ padding: "8px", border: "1px solid #d1d5db" }}
-                    >
-                      {formatCurrency(scenario.monthlyPayment)}
-                    </td>
-                    <td
-                      style={{ padding: "8px", border: "1px solid #d1d5db" }}
-                    >
-                      {formatCurrency(scenario.totalInterest)}
-                    </td>
-                    <td
-                      style={{ padding: "8px", border: "1px solid #d1d5db" }}
-                    >
-                      {scenario.interestRatio.toFixed(2)}%
-                    </td>
-                    <td
-                      style={{ padding: "8px", border: "1px solid #d1d5db" }}
-                    >
-                      <button
-                        onClick={() => {
-                          setLoanAmount(scenario.loanAmount);
-                          setInterestRate(scenario.interestRate);
-                          setLoanTermYears(scenario.loanTermYears);
-                        }}
-                        style={{
-                          padding: "4px 8px",
-                          background: "#4f46e5",
-                          color: "white",
-                          border: "none",
-                          borderRadius: "4px",
-                          cursor: "pointer",
-                          marginRight: "4px"
-                        }}
-                      >
-                        Load
-                      </button>
-                      <button
-                        onClick={() => {
-                          setScenarios(scenarios.filter((s) => s.id !== scenario.id));
-                        }}
-                        style={{
-                          padding: "4px 8px",
-                          background: "#ef4444",
-                          color: "white",
-                          border: "none",
-                          borderRadius: "4px",
-                          cursor: "pointer"
-                        }}
-                      >
-                        Delete
-                      </button>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        </div>
-      )}
-
-      {chartVisible && (
-        <div>
-          <div style={{ height: "400px", width: "100%", marginBottom: "32px" }}>
-            <ResponsiveContainer width="100%" height="100%">
-              <ComposedChart data={amortizationData}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="year" />
-                <YAxis
-                  yAxisId="left"
-                  orientation="left"
-                  label={{
-                    value: "Payment Amount ($)",
-                    angle: -90,
-                    position: "insideLeft"
-                  }}
-                />
-                <YAxis
-                  yAxisId="right"
-                  orientation="right"
-                  label={{
-                    value: "Remaining Balance ($)",
-                    angle: 90,
-                    position: "insideRight"
-                  }}
-                />
-                <Tooltip formatter={(value, name) => [formatCurrency(value), name]} />
-                <Legend />
-                <Bar
-                  yAxisId="left"
-                  dataKey="principal"
-                  name="Principal"
-                  stackId="a"
-                  fill="#82ca9d"
-                />
-                <Bar
-                  yAxisId="left"
-                  dataKey="interest"
-                  name="Interest"
-                  stackId="a"
-                  fill="#8884d8"
-                />
-                <Line
-                  yAxisId="right"
-                  type="monotone"
-                  dataKey="remainingBalance"
-                  name="Remaining Balance"
-                  stroke="#ff7e6b"
-                  strokeWidth={3}
-                  dot={{ fill: "white", stroke: "#ff7e6b", strokeWidth: 2, r: 4 }}
-                />
-              </ComposedChart>
-            </ResponsiveContainer>
-          </div>
+          {chartVisible && (
+            <button
+              onClick={() => setPinned(pinCurves(amortizationData))}
+              style={secondaryButtonStyle}
+            >
+              Pin Current
+            </button>
+          )}
+          {chartVisible && pinned && (
+            <button onClick={() => setPinned(null)} style={secondaryButtonStyle}>
+              Clear Pinned
+            </button>
+          )}
 
-          <div style={{ marginBottom: "32px" }}>
-            <div
+          <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
+            <input
+              type="text"
+              value={scenarioName}
+              onChange={(e) => setScenarioName(e.target.value)}
+              placeholder="Scenario name"
+              style={{
+                padding: "8px",
+                border: "1px solid #d1d5db",
+                borderRadius: "4px"
+              }}
+            />
+            <button
+              onClick={() => {
+                if (scenarioName.trim()) {
+                  const newScenario = {
+                    id: Date.now(),
+                    name: scenarioName,
+                    ...inputs,
+                    monthlyPayment,
+                    totalInterest,
+                    interestRatio: loan.totals.interestRatio,
+                    apr,
+                    trueCost: loan.totals.trueCost
+                  };
+                  setScenarios([...scenarios, newScenario]);
+                  setScenarioName("");
+                }
+              }}
               style={{
-                display: "flex",
-                justifyContent: "space-between",
-                alignItems: "flex-start",
-                marginBottom: "16px"
+                padding: "8px 16px",
+                background: "#4f46e5",
+                color: "white",
+                border: "none",
+                borderRadius: "4px",
+                cursor: "pointer"
               }}
             >
-              <h3 style={{ fontSize: "1.125rem", fontWeight: "600" }}>
-                Interest vs Principal Ratio
-              </h3>
+              Save Scenario
+            </button>
+            <button
+              onClick={() => setShowScenarios(!showScenarios)}
+              style={{
+                padding: "8px 16px",
+                background: "#e5e7eb",
+                border: "none",
+                borderRadius: "4px",
+                cursor: "pointer"
+              }}
+            >
+              {showScenarios ? "Hide Comparisons" : "Show Comparisons"}
+            </button>
+            <button
+              onClick={() =>
+                downloadFile(
+                  "amortization-scenarios.json",
+                  serializeScenarios(scenarios),
+                  "application/json"
+                )
+              }
+              disabled={scenarios.length === 0}
+              style={secondaryButtonStyle}
+            >
+              Export Scenarios
+            </button>
+            <button
+              onClick={() => importInputRef.current.click()}
+              style={secondaryButtonStyle}
+            >
+              Import Scenarios
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={(e) => {
+                if (e.target.files[0]) importScenarios(e.target.files[0]);
+                e.target.value = "";
+              }}
+              style={{ display: "none" }}
+              data-testid="scenario-import"
+            />
+          </div>
+        </div>
 
-              <div
-                style={{
-                  background: "#f0f9ff",
-                  padding: "12px",
-                  borderRadius: "4px",
-                  border: "1px solid #bae6fd"
-                }}
-              >
-                <h4
-                  style={{
-                    fontSize: "0.875rem",
-                    fontWeight: "600",
-                    marginBottom: "8px",
-                    color: "#0369a1"
-                  }}
-                >
-                  Key Insights:
-                </h4>
-                <ul style={{ fontSize: "0.875rem", margin: 0, paddingLeft: "20px" }}>
-                  <li style={{ marginBottom: "4px" }}>
-                    Principal exceeds interest at: Year{" "}
-                    {crossoverInfo?.yearFraction || "N/A"}
-                    {crossoverInfo?.monthNumber &&
-                      ` (${crossoverInfo.percentageOfTerm}% of loan term)`}
-                  </li>
-                  <li style={{ marginBottom: "4px" }}>
-                    50% equity reached:{" "}
-                    {equityCrossoverYear
-                      ? `Year ${equityCrossoverYear}`
-                      : "Not within loan term"}
-                  </li>
-                  <li>
-                    Interest-to-principal ratio:{" "}
-                    {((totalInterest / loanAmount) * 100).toFixed(2)}%
-                  </li>
-                </ul>
-              </div>
-            </div>
+        {storageErrors.length > 0 && (
+          <NoticeBanner
+            title="Some saved scenarios could not be read; changes won't be saved:"
+            items={storageErrors}
+            onDismiss={() => setStorageErrors([])}
+            tone="warning"
+          />
+        )}
+
+        {importErrors.length > 0 && (
+          <NoticeBanner
+            title="Some scenarios could not be imported:"
+            items={importErrors}
+            onDismiss={() => setImportErrors([])}
+          />
+        )}
+
+        {showScenarios && scenarios.length > 0 && (
+          <ScenarioComparison
+            scenarios={scenarios}
+            overlays={overlays}
+            onToggleOverlay={(id) =>
+              setOverlayIds(
+                overlayIds.includes(id)
+                  ? overlayIds.filter((overlayId) => overlayId !== id)
+                  : [...overlayIds, id]
+              )
+            }
+            baselineId={baselineId}
+            onBaselineChange={setBaselineId}
+            onLoad={applyInputs}
+            onDelete={(id) => {
+              setScenarios(scenarios.filter((s) => s.id !== id));
+              setOverlayIds(overlayIds.filter((overlayId) => overlayId !== id));
+            }}
+          />
+        )}
 
-            <div style={{ height: "300px", width: "100%" }}>
+        {chartVisible && (
+          <div>
+            <div style={{ height: "400px", width: "100%", marginBottom: "32px" }}>
               <ResponsiveContainer width="100%" height="100%">
-                <ComposedChart data={amortizationData}>
+                <ComposedChart data={chartData}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="year" />
                   <YAxis
-                    domain={[0, 100]}
-                    label={{ value: "Percentage (%)", angle: -90, position: "insideLeft" }}
+                    yAxisId="left"
+                    orientation="left"
+                    tickFormatter={compactCurrency}
+                    label={{
+                      value: `Payment Amount (${symbol})`,
+                      angle: -90,
+                      position: "insideLeft"
+                    }}
+                  />
+                  <YAxis
+                    yAxisId="right"
+                    orientation="right"
+                    tickFormatter={compactCurrency}
+                    label={{
+                      value: `Remaining Balance (${symbol})`,
+                      angle: 90,
+                      position: "insideRight"
+                    }}
+                  />
+                  <Tooltip
+                    formatter={(value, name) => [
+                      Array.isArray(value)
+                        ? value.map((amount) => formatCurrency(amount)).join(" – ")
+                        : formatCurrency(value),
+                      name
+                    ]}
                   />
-                  <Tooltip formatter={(value, name) => [`${value.toFixed(2)}%`, name]} />
                   <Legend />
                   <Bar
-                    dataKey="principalPercentage"
-                    name="Principal %"
-                    fill="#82ca9d"
+                    yAxisId="left"
+                    dataKey="principal"
+                    name="Principal"
                     stackId="a"
+                    fill="#82ca9d"
+                    {...SERIES_ANIMATION}
                   />
                   <Bar
-                    dataKey="interestPercentage"
-                    name="Interest %"
-                    fill="#8884d8"
+                    yAxisId="left"
+                    dataKey="interest"
+                    name="Interest"
                     stackId="a"
+                    fill="#8884d8"
+                    {...SERIES_ANIMATION}
                   />
-                  {crossoverInfo?.year && (
+                  {ownership.enabled &&
+                    OWNERSHIP_SERIES.map((series) => (
+                      <Bar
+                        key={series.dataKey}
+                        yAxisId="left"
+                        dataKey={series.dataKey}
+                        name={series.name}
+                        stackId="a"
+                        fill={series.color}
+                        {...SERIES_ANIMATION}
+                      />
+                    ))}
+                  <Line
+                    yAxisId="right"
+                    type="monotone"
+                    dataKey="remainingBalance"
+                    name="Remaining Balance"
+                    stroke="#ff7e6b"
+                    strokeWidth={3}
+                    dot={{ fill: "white", stroke: "#ff7e6b", strokeWidth: 2, r: 4 }}
+                    {...SERIES_ANIMATION}
+                  />
+                  {pinnedLine("remainingBalance", "Remaining Balance", "right")}
+                  {simulationResult && (
+                    <Area
+                      yAxisId="left"
+                      type="monotone"
+                      dataKey="paymentBand"
+                      name="Yearly Payment p10–p90"
+                      stroke="none"
+                      fill="#6366f1"
+                      fillOpacity={0.15}
+                    />
+                  )}
+                  {simulationResult && (
+                    <Line
+                      yAxisId="left"
+                      type="monotone"
+                      dataKey="paymentMedian"
+                      name="Yearly Payment (Median)"
+                      stroke="#6366f1"
+                      strokeDasharray="4 4"
+                      dot={false}
+                    />
+                  )}
+                  {simulationResult && (
+                    <Area
+                      yAxisId="right"
+                      type="monotone"
+                      dataKey="balanceBand"
+                      name="Balance p10–p90"
+                      stroke="none"
+                      fill="#ff7e6b"
+                      fillOpacity={0.15}
+                    />
+                  )}
+                  {simulationResult && (
+                    <Line
+                      yAxisId="right"
+                      type="monotone"
+                      dataKey="balanceMedian"
+                      name="Balance (Median)"
+                      stroke="#ff7e6b"
+                      strokeDasharray="4 4"
+                      dot={false}
+                    />
+                  )}
+                  {history && (
+                    <Line
+                      yAxisId="right"
+                      type="monotone"
+                      dataKey="actualBalance"
+                      name="Actual Balance"
+                      stroke="#1f2937"
+                      strokeWidth={3}
+                      dot={false}
+                      connectNulls
+                    />
+                  )}
+                  {history && (
+                    <Line
+                      yAxisId="right"
+                      type="monotone"
+                      dataKey="reprojectedBalance"
+                      name="Re-projected Balance"
+                      stroke="#1f2937"
+                      strokeWidth={2}
+                      strokeDasharray="6 3"
+                      dot={false}
+                      connectNulls
+                    />
+                  )}
+                  {refinanceAnalysis && (
+                    <Line
+                      yAxisId="right"
+                      type="monotone"
+                      dataKey="refinanceBalance"
+                      name="Refinanced Balance"
+                      stroke="#0d9488"
+                      strokeWidth={3}
+                      dot={false}
+                      connectNulls
+                    />
+                  )}
+                  {refinanceAnalysis && (
                     <ReferenceLine
-                      x={Math.floor(crossoverInfo.year)}
-                      stroke="#ef4444"
+                      yAxisId="left"
+                      x={refinanceAnalysis.refinanceYear}
+                      stroke="#0d9488"
+                      strokeDasharray="5 5"
+                      label={{ value: "Refinance", position: "top", fill: "#0d9488" }}
+                    />
+                  )}
+                  {overlays.map((overlay) => (
+                    <Line
+                      key={overlay.id}
+                      yAxisId="right"
+                      type="monotone"
+                      dataKey={overlayKey(overlay.id, "balance")}
+                      name={`${overlay.name} Balance`}
+                      stroke={overlay.color}
+                      strokeWidth={2}
+                      strokeDasharray="6 3"
+                      dot={false}
+                      connectNulls
+                    />
+                  ))}
+                  {balloon && (
+                    <ReferenceLine
+                      yAxisId="left"
+                      x={startYear + balloon.loanYear}
+                      stroke="#dc2626"
                       strokeDasharray="5 5"
                       label={{
-                        value: "Principal > Interest",
+                        value: `Balloon ${formatCurrency(balloon.amount)}`,
                         position: "top",
-                        fill: "#ef4444"
+                        fill: "#dc2626"
                       }}
                     />
                   )}
+                  {resetMarkers.map((change) => (
+                    <ReferenceLine
+                      key={change.paymentNumber}
+                      yAxisId="left"
+                      x={startYear + change.loanYear}
+                      stroke="#f59e0b"
+                      strokeDasharray="3 3"
+                      label={{
+                        value: formatPercentage(change.rate),
+                        position: "top",
+                        fill: "#f59e0b"
+                      }}
+                    />
+                  ))}
+                  {negativeAmortizationYears.map((year, i) => (
+                    <ReferenceLine
+                      key={`negative-${year}`}
+                      yAxisId="right"
+                      x={year}
+                      stroke="#dc2626"
+                      strokeWidth={6}
+                      strokeOpacity={0.25}
+                      label={
+                        i === 0
+                          ? { value: "Negative amortization", position: "top", fill: "#dc2626" }
+                          : undefined
+                      }
+                    />
+                  ))}
                 </ComposedChart>
               </ResponsiveContainer>
             </div>
 
-            <div style={{ height: "300px", width: "100%", marginTop: "24px" }}>
-              <h3 style={{ fontSize: "1.125rem", fontWeight: "600", marginBottom: "8px" }}>
-                Cumulative Principal vs Interest
-              </h3>
-              <ResponsiveContainer width="100%" height="100%">
-                <ComposedChart data={amortizationData}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="year" />
-                  <YAxis
-                    label={{ value: "Amount ($)", angle: -90, position: "insideLeft" }}
-                  />
-                  <Tooltip formatter={(value, name) => [formatCurrency(value), name]} />
-                  <Legend />
-                  <Line
-                    type="monotone"
-                    dataKey="cumulativePrincipal"
-                    name="Cumulative Principal"
-                    stroke="#82ca9d"
-                    strokeWidth={2}
-                    dot={false}
-                  />
-                  <Line
-                    type="monotone"
-                    dataKey="cumulativeInterest"
-                    name="Cumulative Interest"
-                    stroke="#8884d8"
-                    strokeWidth={2}
-                    dot={false}
-                  />
-                  {equityCrossoverYear && (
-                    <ReferenceLine
-                      x={equityCrossoverYear}
-                      stroke="#22c55e"
-                      strokeDasharray="5 5"
-                      label={{ value: "50% Equity", position: "top", fill: "#22c55e" }}
+            <div style={{ marginBottom: "32px" }}>
+              <div
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "flex-start",
+                  marginBottom: "16px"
+                }}
+              >
+                <h3 style={{ fontSize: "1.125rem", fontWeight: "600" }}>
+                  Interest vs Principal Ratio
+                </h3>
+
+                <div
+                  style={{
+                    background: "#f0f9ff",
+                    padding: "12px",
+                    borderRadius: "4px",
+                    border: "1px solid #bae6fd"
+                  }}
+                >
+                  <h4
+                    style={{
+                      fontSize: "0.875rem",
+                      fontWeight: "600",
+                      marginBottom: "8px",
+                      color: "#0369a1"
+                    }}
+                  >
+                    Key Insights:
+                  </h4>
+                  <ul style={{ fontSize: "0.875rem", margin: 0, paddingLeft: "20px" }}>
+                    <li style={{ marginBottom: "4px" }}>
+                      Principal exceeds interest at: Year{" "}
+                      {crossoverInfo?.paymentNumber
+                        ? formatNumber(Number(crossoverInfo.yearFraction), 1)
+                        : "N/A"}
+                      {crossoverInfo?.paymentNumber &&
+                        ` (${crossoverInfo.percentageOfTerm}% of loan term)`}
+                    </li>
+                    <li style={{ marginBottom: "4px" }}>
+                      50% equity reached:{" "}
+                      {equityCrossoverYear
+                        ? `Year ${equityCrossoverYear}`
+                        : "Not within loan term"}
+                    </li>
+                    <li style={{ marginBottom: "4px" }}>
+                      Principal repaid: {formatCurrency(reconciliation.principalRepaid, 2)}{" "}
+                      {reconciliation.balanced
+                        ? "(ties out to the loan amount)"
+                        : `(off by ${formatCurrency(reconciliation.difference, 2)})`}
+                    </li>
+                    <li style={{ marginBottom: worstCase || balloon ? "4px" : 0 }}>
+                      Interest-to-principal ratio:{" "}
+                      {formatPercentage((totalInterest / loanAmount) * 100)}
+                    </li>
+                    {balloon && (
+                      <li style={{ marginBottom: worstCase ? "4px" : 0 }}>
+                        Balloon payment: {formatCurrency(balloon.amount)} due{" "}
+                        {formatPaymentDate(balloon)}
+                      </li>
+                    )}
+                    {worstCase && (
+                      <li>
+                        Worst-case payment under caps: {formatCurrency(worstCase.payment)}{" "}
+                        at {formatPercentage(worstCase.rate, 3)} (from {formatPaymentDate(worstCase)})
+                      </li>
+                    )}
+                  </ul>
+                </div>
+              </div>
+
+              <div style={{ height: "300px", width: "100%" }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={ratioData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" />
+                    <YAxis
+                      domain={[0, 100]}
+                      label={{ value: "Percentage (%)", angle: -90, position: "insideLeft" }}
                     />
-                  )}
-                </ComposedChart>
-              </ResponsiveContainer>
+                    <Tooltip formatter={(value, name) => [formatPercentage(value), name]} />
+                    <Legend />
+                    <Bar
+                      dataKey="principalPercentage"
+                      name="Principal %"
+                      fill="#82ca9d"
+                      stackId="a"
+                      {...SERIES_ANIMATION}
+                    />
+                    <Bar
+                      dataKey="interestPercentage"
+                      name="Interest %"
+                      fill="#8884d8"
+                      stackId="a"
+                      {...SERIES_ANIMATION}
+                    />
+                    {pinnedLine("interestPercentage", "Interest %")}
+                    {resetMarkers.map((change) => (
+                      <ReferenceLine
+                        key={change.paymentNumber}
+                        x={startYear + change.loanYear}
+                        stroke="#f59e0b"
+                        strokeDasharray="3 3"
+                      />
+                    ))}
+                    {crossoverInfo?.paymentNumber && (
+                      <ReferenceLine
+                        x={startYear + crossoverInfo.loanYear}
+                        stroke="#ef4444"
+                        strokeDasharray="5 5"
+                        label={{
+                          value: "Principal > Interest",
+                          position: "top",
+                          fill: "#ef4444"
+                        }}
+                      />
+                    )}
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div style={{ height: "300px", width: "100%", marginTop: "24px" }}>
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    marginBottom: "8px"
+                  }}
+                >
+                  <h3 style={{ fontSize: "1.125rem", fontWeight: "600" }}>
+                    Cumulative Principal vs Interest
+                    {cumulativeView === "real" && ` (${startYear} dollars)`}
+                  </h3>
+                  <button
+                    className="no-print"
+                    onClick={() =>
+                      setCumulativeView(cumulativeView === "real" ? "nominal" : "real")
+                    }
+                    style={secondaryButtonStyle}
+                  >
+                    {cumulativeView === "real" ? "Show Nominal Dollars" : "Show Real Dollars"}
+                  </button>
+                </div>
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={chartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" />
+                    <YAxis
+                      tickFormatter={compactCurrency}
+                      label={{ value: `Amount (${symbol})`, angle: -90, position: "insideLeft" }}
+                    />
+                    <Tooltip formatter={(value, name) => [formatCurrency(value), name]} />
+                    <Legend />
+                    <Line
+                      type="monotone"
+                      dataKey={cumulativeField("cumulativePrincipal")}
+                      name="Cumulative Principal"
+                      stroke="#82ca9d"
+                      strokeWidth={2}
+                      dot={false}
+                      {...SERIES_ANIMATION}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey={cumulativeField("cumulativeInterest")}
+                      name="Cumulative Interest"
+                      stroke="#8884d8"
+                      strokeWidth={2}
+                      dot={false}
+                      {...SERIES_ANIMATION}
+                    />
+                    {pinnedLine(
+                      cumulativeField("cumulativePrincipal"),
+                      "Cumulative Principal"
+                    )}
+                    {pinnedLine(
+                      cumulativeField("cumulativeInterest"),
+                      "Cumulative Interest"
+                    )}
+                    {overlays.map((overlay) => (
+                      <Line
+                        key={overlay.id}
+                        type="monotone"
+                        dataKey={overlayKey(
+                          overlay.id,
+                          cumulativeField("cumulativeInterest")
+                        )}
+                        name={`${overlay.name} Cumulative Interest`}
+                        stroke={overlay.color}
+                        strokeWidth={2}
+                        strokeDasharray="6 3"
+                        dot={false}
+                        connectNulls
+                      />
+                    ))}
+                    {equityCrossoverYear && (
+                      <ReferenceLine
+                        x={equityCrossoverYear}
+                        stroke="#22c55e"
+                        strokeDasharray="5 5"
+                        label={{ value: "50% Equity", position: "top", fill: "#22c55e" }}
+                      />
+                    )}
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
             </div>
           </div>
-        </div>
-      )}
+        )}
 
-      <div style={{ overflowX: "auto", marginTop: "32px" }}>
-        <table
-          style={{
-            minWidth: "100%",
-            background: "white",
-            borderCollapse: "collapse"
-          }}
-        >
-          <thead>
-            <tr style={{ background: "#f3f4f6" }}>
-              <th
-                style={{ padding: "8px 16px", border: "1px solid #e5e7eb", textAlign: "left" }}
-              >
-                Year
-              </th>
-              <th
-                style={{ padding: "8px 16px", border: "1px solid #e5e7eb", textAlign: "left" }}
-              >
-                Principal Paid
-              </th>
-              <th
-                style={{ padding: "8px 16px", border: "1px solid #e5e7eb", textAlign: "left" }}
-              >
-                Interest Paid
-              </th>
-              <th
-                style={{ padding: "8px 16px", border: "1px solid #e5e7eb", textAlign: "left" }}
-              >
-                Principal %
-              </th>
-              <th
-                style={{ padding: "8px 16px", border: "1px solid #e5e7eb", textAlign: "left" }}
-              >
-                Interest %
-              </th>
-              <th
-                style={{ padding: "8px 16px", border: "1px solid #e5e7eb", textAlign: "left" }}
-              >
-                Remaining Balance
-              </th>
-            </tr>
-          </thead>
-          <tbody>
-            {amortizationData.map((data, index) => (
-              <tr
-                key={index}
-                style={{ background: index % 2 === 0 ? "#f9fafb" : "white" }}
-              >
-                <td style={{ padding: "8px 16px", border: "1px solid #e5e7eb" }}>
-                  {data.year}
-                </td>
-                <td style={{ padding: "8px 16px", border: "1px solid #e5e7eb" }}>
-                  {formatCurrency(data.principal)}
-                </td>
-                <td style={{ padding: "8px 16px", border: "1px solid #e5e7eb" }}>
-                  {formatCurrency(data.interest)}
-                </td>
-                <td style={{ padding: "8px 16px", border: "1px solid #e5e7eb" }}>
-                  {formatPercentage(data.principalPercentage)}
-                </td>
-                <td style={{ padding: "8px 16px", border: "1px solid #e5e7eb" }}>
-                  {formatPercentage(data.interestPercentage)}
-                </td>
-                <td style={{ padding: "8px 16px", border: "1px solid #e5e7eb" }}>
-                  {formatCurrency(data.remainingBalance)}
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
+        <ScheduleTable
+          yearlyData={amortizationData}
+          schedule={loan.schedule}
+          showOwnershipCosts={ownership.enabled}
+          frequencyLabel={frequencyLabel}
+          actuals={actualYears}
+        />
       </div>
-    </div>
+    </FormattingContext.Provider>
   );
 };
 
@@ -1,8 +1,283 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
 import App from './App';
+import * as exporters from './exporters';
 
-test('renders learn react link', () => {
+test('renders the simulator with a loan summary', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(
+    screen.getByText(/loan amortization schedule simulator/i)
+  ).toBeInTheDocument();
+  expect(screen.getByText(/loan summary/i)).toBeInTheDocument();
+  expect(screen.getByText(/% of loan term\)/)).toBeInTheDocument();
+});
+
+test('expands a yearly row into its monthly payments', () => {
+  render(<App />);
+  expect(screen.queryByText('Mar 2011')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /2011/ }));
+  expect(screen.getByText('Jan 2011')).toBeInTheDocument();
+  expect(screen.getByText('Dec 2011')).toBeInTheDocument();
+  expect(screen.queryByText('Jan 2012')).not.toBeInTheDocument();
+});
+
+test('toggles the whole schedule to monthly rows', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /show monthly schedule/i }));
+  expect(screen.getByText('Jan 2011')).toBeInTheDocument();
+  expect(screen.getByText('Dec 2040')).toBeInTheDocument();
+});
+
+test('saved scenarios can be marked as baseline and compared', () => {
+  window.localStorage.clear();
+  render(<App />);
+
+  fireEvent.change(screen.getByPlaceholderText(/scenario name/i), {
+    target: { value: 'Thirty year' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: /save scenario/i }));
+  fireEvent.change(screen.getByRole('textbox', { name: 'Loan Term (Years)' }), {
+    target: { value: '15' }
+  });
+  fireEvent.change(screen.getByPlaceholderText(/scenario name/i), {
+    target: { value: 'Fifteen year' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: /save scenario/i }));
+  fireEvent.click(screen.getByRole('button', { name: /show comparisons/i }));
+
+  fireEvent.click(screen.getByLabelText(/use thirty year as baseline/i));
+  expect(screen.getByRole('cell', { name: 'Baseline' })).toBeInTheDocument();
+  expect(screen.getByText(/^-\$/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByLabelText(/overlay fifteen year on charts/i));
+  expect(screen.getByLabelText(/overlay fifteen year on charts/i)).toBeChecked();
+  window.localStorage.clear();
+});
+
+test('saved scenarios are shown in the currency they were saved in', () => {
+  window.localStorage.clear();
+  render(<App />);
+  const save = (name) => {
+    fireEvent.change(screen.getByPlaceholderText(/scenario name/i), {
+      target: { value: name }
+    });
+    fireEvent.click(screen.getByRole('button', { name: /save scenario/i }));
+  };
+  save('Dollars');
+  fireEvent.change(screen.getByLabelText('Currency'), { target: { value: 'JPY' } });
+  save('Yen');
+  fireEvent.click(screen.getByRole('button', { name: /show comparisons/i }));
+
+  const cells = (name) => {
+    const row = screen.getAllByRole('row').find((r) => within(r).queryByText(name));
+    return within(row).getAllByRole('cell').map((cell) => cell.textContent);
+  };
+  expect(cells('Dollars')[3]).toMatch(/^\$/);
+  expect(cells('Yen')[3]).toMatch(/^¥/);
+  expect(cells('Yen')[4]).toBe('4.5%');
+
+  fireEvent.click(screen.getByLabelText(/use dollars as baseline/i));
+  expect(cells('Yen')[12]).toBe('N/A');
+  fireEvent.change(screen.getByLabelText('Currency'), { target: { value: 'USD' } });
+  window.localStorage.clear();
+});
+
+test('stored scenarios that cannot be read are reported and left in storage', () => {
+  const stored = JSON.stringify({
+    version: 1,
+    scenarios: [{ name: 'Odd', loanAmount: 1000, interestRate: 5, loanTermYears: 5, arm: 1 }]
+  });
+  window.localStorage.setItem('amortization-simulator.scenarios', stored);
+  render(<App />);
+
+  expect(screen.getByText('Entry 1 "Odd": arm must be an object')).toBeInTheDocument();
+  fireEvent.change(screen.getByPlaceholderText(/scenario name/i), {
+    target: { value: 'New' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: /save scenario/i }));
+  expect(window.localStorage.getItem('amortization-simulator.scenarios')).toBe(stored);
+  window.localStorage.clear();
+});
+
+test('a failed Excel export is reported', async () => {
+  const spy = jest
+    .spyOn(exporters, 'exportXlsx')
+    .mockRejectedValue(new Error('Loading chunk 42 failed'));
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Export Excel' }));
+
+  expect(await screen.findByText('Loading chunk 42 failed')).toBeInTheDocument();
+  spy.mockRestore();
+});
+
+test('a simulation runner that fails to load stops the run', async () => {
+  // The runner can't be loaded under jest, like a failed chunk in a browser
+  window.Worker = function Worker() {};
+  render(<App />);
+  fireEvent.click(screen.getByLabelText(/simulate random rate paths/i));
+
+  expect(await screen.findByText(/^Simulating/)).toBeInTheDocument();
+  await waitFor(() => expect(screen.queryByText(/^Simulating/)).not.toBeInTheDocument());
+  fireEvent.click(screen.getByLabelText(/simulate random rate paths/i));
+  delete window.Worker;
+});
+
+test('solving for the term fills the solved value into the inputs', () => {
+  render(<App />);
+  fireEvent.change(screen.getByDisplayValue('Loan amount'), {
+    target: { value: 'loanTermYears' }
+  });
+  fireEvent.change(screen.getByDisplayValue('1500'), { target: { value: '1400' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Solve' }));
+
+  expect(screen.getByText(/25 years gives/)).toBeInTheDocument();
+  expect(screen.getByRole('textbox', { name: 'Loan Term (Years)' })).toHaveValue('25');
+});
+
+test('clicking a sensitivity cell loads its rate and term', () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText(/show how rate, term/i));
+  fireEvent.click(screen.getByTitle('Load 3% over 15 years'));
+
+  expect(screen.getByText(/at 3% \(.*\) over 15 years/)).toBeInTheDocument();
+});
+
+test('out-of-range typing is flagged, not clamped, until the field is left', () => {
+  render(<App />);
+  const rate = screen.getByRole('textbox', { name: 'Interest Rate (%)' });
+  const summary = screen.getByText(/ over \d+ years/).textContent;
+  fireEvent.change(rate, { target: { value: '45' } });
+
+  expect(rate).toHaveValue('45');
+  expect(screen.getByText('Must be between 0 and 20')).toBeInTheDocument();
+  expect(screen.getByText(/ over \d+ years/).textContent).toBe(summary);
+
+  fireEvent.blur(rate);
+  expect(rate).toHaveValue('20');
+  expect(screen.queryByText('Must be between 0 and 20')).not.toBeInTheDocument();
+});
+
+test('the sliders drive the inputs and the current curves can be pinned', () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Loan Term (Years) slider'), {
+    target: { value: '20' }
+  });
+  expect(screen.getByRole('textbox', { name: 'Loan Term (Years)' })).toHaveValue('20');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Pin Current' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Clear Pinned' }));
+  expect(screen.queryByRole('button', { name: 'Clear Pinned' })).not.toBeInTheDocument();
+});
+
+test('the locale and currency change how numbers are shown and read', () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Number Format'), { target: { value: 'de-DE' } });
+  fireEvent.change(screen.getByLabelText('Currency'), { target: { value: 'EUR' } });
+  fireEvent.change(screen.getByRole('textbox', { name: 'Interest Rate (%)' }), {
+    target: { value: '4,75' }
+  });
+
+  expect(screen.getByRole('textbox', { name: 'Loan Amount (€)' })).toBeInTheDocument();
+  expect(screen.getByText(/at 4,75\s%/)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Number Format'), { target: { value: 'en-US' } });
+  fireEvent.change(screen.getByLabelText('Currency'), { target: { value: 'USD' } });
+});
+
+test('a missed payment shows its cost and marks the schedule row', () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Disrupted payment year'), {
+    target: { value: '2011' }
+  });
+  fireEvent.change(screen.getByLabelText('Disrupted payment month'), {
+    target: { value: '3' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: 'Add Disruption' }));
+
+  expect(screen.getByText('Mar 2011: Missed')).toBeInTheDocument();
+  expect(screen.getByText('Disrupted Payments')).toBeInTheDocument();
+  expect(screen.getByText(/^Negative amortization from Mar 2011/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /2011/ }));
+  expect(screen.getAllByText('Missed').length).toBeGreaterThan(0);
+  fireEvent.click(screen.getByRole('button', { name: 'Remove' }));
+});
+
+test('the payoff planner compares strategies for the saved loans', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Plan payoff across several loans'));
+  fireEvent.change(screen.getByLabelText('Loan name'), { target: { value: 'House' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Add Current Loan' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Add Current Loan' }));
+
+  expect(screen.getByText('House')).toBeInTheDocument();
+  expect(screen.getByText('Loan 2')).toBeInTheDocument();
+  expect(screen.getByText('Minimum payments only')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Move House up' })).toBeDisabled();
+  expect(screen.queryByText(/short of the payments due/)).not.toBeInTheDocument();
+  window.localStorage.clear();
+});
+
+test('the payoff planner only takes loans in the currency of its others', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Plan payoff across several loans'));
+  fireEvent.click(screen.getByRole('button', { name: 'Add Current Loan' }));
+  fireEvent.change(screen.getByLabelText('Currency'), { target: { value: 'JPY' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Add Current Loan' }));
+
+  expect(
+    screen.getByText(/plan's loans are in USD; switch the currency to USD/)
+  ).toBeInTheDocument();
+  expect(screen.queryByText('Loan 2')).not.toBeInTheDocument();
+  expect(screen.getByLabelText('Monthly Budget ($)')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Currency'), { target: { value: 'USD' } });
+  window.localStorage.clear();
+});
+
+test('an imported payment history is reconciled against the projection', async () => {
+  render(<App />);
+  const csv = 'Posted,Amount\n01/01/2011,5000\n02/01/2011,100\n';
+  fireEvent.change(screen.getByLabelText('Payment history CSV'), {
+    target: { files: [new File([csv], 'statement.csv', { type: 'text/csv' })] }
+  });
+
+  expect(await screen.findByText('Payments Reconciled')).toBeInTheDocument();
+  expect(screen.getByLabelText('Amount Column')).toHaveValue('1');
+  expect(screen.getByText('Short payment')).toBeInTheDocument();
+  expect(screen.getByRole('columnheader', { name: 'Actual Balance' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Clear History' }));
+  expect(screen.queryByText('Payments Reconciled')).not.toBeInTheDocument();
+});
+
+test('the payoff goal finds and adds the extra payment it needs', () => {
+  render(<App />);
+  fireEvent.change(screen.getByRole('textbox', { name: 'Debt-Free By (Year)' }), {
+    target: { value: '2020' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: 'Find Extra Payment' }));
+  expect(screen.getByText('Extra Each Month')).toBeInTheDocument();
+  // Editing the loan drops the answer solved for the old one
+  const amount = screen.getByRole('textbox', { name: /Loan Amount/ });
+  const original = amount.value;
+  fireEvent.change(amount, { target: { value: '300000' } });
+  expect(screen.queryByText('Extra Each Month')).not.toBeInTheDocument();
+  fireEvent.change(amount, { target: { value: original } });
+  fireEvent.click(screen.getByRole('button', { name: 'Find Extra Payment' }));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Add to Extra Payments' }));
+  expect(screen.getByText(/a month to the extra payments/)).toBeInTheDocument();
+  const extra = screen.getByRole('textbox', { name: /Extra Monthly Payment/ });
+  expect(extra).not.toHaveValue('0');
+
+  fireEvent.change(extra, { target: { value: '0' } });
+  fireEvent.change(screen.getByRole('textbox', { name: 'Debt-Free By (Year)' }), {
+    target: { value: '2000' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: 'Find Extra Payment' }));
+  expect(
+    screen.getByText(/^Not reachable: The target date is before/)
+  ).toBeInTheDocument();
 });
@@ -0,0 +1,268 @@
+import React, { useState } from 'react';
+import SliderField from './SliderField';
+import { useFormatters } from './FormattingContext';
+import { clampInput } from './loanInputs';
+import {
+  DISRUPTION_TYPES,
+  UNPAID_INTEREST_OPTIONS,
+  RECOVERY_OPTIONS
+} from './disruptions';
+import {
+  labelStyle,
+  inputStyle,
+  fieldStyle,
+  panelStyle,
+  sectionHeadingStyle,
+  summaryLabelStyle,
+  summaryValueStyle,
+  smallButtonStyle,
+  dangerButtonStyle
+} from './styles';
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+  gap: "16px"
+};
+
+// Missed, deferred and reduced payments and a forbearance window, with what
+// happens to the unpaid interest and the term, and what it all costs
+const DisruptionsPanel = ({
+  disruptions,
+  onChange,
+  impact,
+  negativeAmortization,
+  startYear
+}) => {
+  const {
+    formatCurrency,
+    currencySymbol,
+    monthNames,
+    formatPaymentDate
+  } = useFormatters();
+  const [eventYear, setEventYear] = useState(startYear + 1);
+  const [eventMonth, setEventMonth] = useState(1);
+  const [eventType, setEventType] = useState("skipped");
+  const [eventAmount, setEventAmount] = useState(500);
+
+  const update = (changes) => onChange({ ...disruptions, ...changes });
+  const updateForbearance = (changes) =>
+    update({ forbearance: { ...disruptions.forbearance, ...changes } });
+  const { forbearance } = disruptions;
+  const months = monthNames();
+  const symbol = currencySymbol();
+
+  const choiceField = (label, key, options) => (
+    <div style={fieldStyle}>
+      <label style={labelStyle}>{label}</label>
+      <select
+        value={disruptions[key]}
+        onChange={(e) => update({ [key]: e.target.value })}
+        style={inputStyle}
+      >
+        {Object.entries(options).map(([value, option]) => (
+          <option key={value} value={value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
+  const result = (label, value, color) => (
+    <div>
+      <span style={summaryLabelStyle}>{label}</span>
+      <p style={{ ...summaryValueStyle, color }}>{value}</p>
+    </div>
+  );
+
+  const addEvent = () => {
+    const event = { id: Date.now(), year: eventYear, month: eventMonth, type: eventType };
+    if (eventType === "reduced") event.amount = eventAmount;
+    // One event per month: a new one replaces what was there
+    update({
+      events: [
+        ...disruptions.events.filter(
+          (entry) => entry.year !== eventYear || entry.month !== eventMonth
+        ),
+        event
+      ].sort((a, b) => a.year - b.year || a.month - b.month)
+    });
+  };
+
+  let termChange = "No change";
+  if (impact && impact.paymentChange !== 0) {
+    const count = Math.abs(impact.paymentChange);
+    termChange = `${count} payment${count === 1 ? "" : "s"} ${
+      impact.paymentChange > 0 ? "longer" : "shorter"
+    }`;
+  }
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Missed Payments &amp; Forbearance</h2>
+      <div
+        style={{
+          display: "flex",
+          gap: "8px",
+          alignItems: "center",
+          flexWrap: "wrap",
+          marginBottom: "8px"
+        }}
+      >
+        <input
+          type="number"
+          value={eventYear}
+          onChange={(e) => setEventYear(clampInput("startYear", e.target.value))}
+          aria-label="Disrupted payment year"
+          style={{ ...inputStyle, width: "100px" }}
+        />
+        <select
+          value={eventMonth}
+          onChange={(e) => setEventMonth(Number(e.target.value))}
+          aria-label="Disrupted payment month"
+          style={{ ...inputStyle, width: "90px" }}
+        >
+          {months.map((name, index) => (
+            <option key={name} value={index + 1}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={eventType}
+          onChange={(e) => setEventType(e.target.value)}
+          aria-label="What happened to the payment"
+          style={{ ...inputStyle, width: "220px" }}
+        >
+          {Object.entries(DISRUPTION_TYPES).map(([value, option]) => (
+            <option key={value} value={value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {eventType === "reduced" && (
+          <input
+            type="number"
+            value={eventAmount}
+            onChange={(e) => setEventAmount(clampInput("costAmount", e.target.value))}
+            aria-label="Amount paid"
+            style={{ ...inputStyle, width: "140px" }}
+          />
+        )}
+        <button onClick={addEvent} style={smallButtonStyle}>
+          Add Disruption
+        </button>
+      </div>
+      {disruptions.events.length > 0 && (
+        <ul style={{ fontSize: "0.875rem", margin: "0 0 16px", paddingLeft: "20px" }}>
+          {disruptions.events.map((event) => (
+            <li key={event.id} style={{ marginBottom: "4px" }}>
+              {months[event.month - 1]} {event.year}: {DISRUPTION_TYPES[event.type].label}
+              {event.type === "reduced" && ` to ${formatCurrency(event.amount)}`}{" "}
+              <button
+                onClick={() =>
+                  update({
+                    events: disruptions.events.filter((entry) => entry.id !== event.id)
+                  })
+                }
+                style={dangerButtonStyle}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <label style={{ ...labelStyle, display: "flex", gap: "8px", marginBottom: "12px" }}>
+        <input
+          type="checkbox"
+          checked={forbearance.enabled}
+          onChange={(e) => updateForbearance({ enabled: e.target.checked })}
+        />
+        Forbearance period
+      </label>
+      {forbearance.enabled && (
+        <div style={{ ...gridStyle, marginBottom: "16px" }}>
+          <SliderField
+            label="Forbearance Starts (Year)"
+            value={forbearance.startYear}
+            onChange={(startYear) => updateForbearance({ startYear })}
+            rule="startYear"
+            integer
+          />
+          <div style={fieldStyle}>
+            <label style={labelStyle}>Forbearance Starts (Month)</label>
+            <select
+              value={forbearance.startMonth}
+              onChange={(e) => updateForbearance({ startMonth: Number(e.target.value) })}
+              style={inputStyle}
+            >
+              {months.map((name, index) => (
+                <option key={name} value={index + 1}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <SliderField
+            label="Length (Months)"
+            value={forbearance.months}
+            onChange={(months) => updateForbearance({ months })}
+            rule="forbearanceMonths"
+            integer
+          />
+          <SliderField
+            label="Payment During Forbearance (%)"
+            value={forbearance.paymentPercent}
+            onChange={(paymentPercent) => updateForbearance({ paymentPercent })}
+            rule="paymentPercent"
+            step="5"
+          />
+        </div>
+      )}
+
+      <div style={gridStyle}>
+        {choiceField("Unpaid Interest", "unpaidInterest", UNPAID_INTEREST_OPTIONS)}
+        {choiceField("Afterwards", "recovery", RECOVERY_OPTIONS)}
+        <SliderField
+          label={`Late Fee per Missed or Short Payment (${symbol})`}
+          value={disruptions.lateFee}
+          onChange={(lateFee) => update({ lateFee })}
+          rule="costAmount"
+          step="5"
+        />
+      </div>
+
+      {impact && (
+        <div style={{ ...gridStyle, marginTop: "16px" }}>
+          {result("Disrupted Payments", impact.disruptedPayments)}
+          {result(
+            "Extra Interest",
+            formatCurrency(impact.extraInterest),
+            impact.extraInterest > 0 ? "#dc2626" : undefined
+          )}
+          {result(
+            "Capitalized Interest",
+            formatCurrency(negativeAmortization ? negativeAmortization.amount : 0)
+          )}
+          {impact.deferredInterest > 0 &&
+            result("Deferred Interest Due at Payoff", formatCurrency(impact.deferredInterest))}
+          {result("Late Fees", formatCurrency(impact.lateFees))}
+          {result("Term", termChange)}
+          {impact.paymentAfter != null &&
+            result("Payment Afterwards", formatCurrency(impact.paymentAfter, 2))}
+        </div>
+      )}
+      {negativeAmortization && (
+        <p style={{ fontSize: "0.75rem", color: "#b91c1c", marginTop: "8px" }}>
+          Negative amortization from {formatPaymentDate(negativeAmortization.first)}: the
+          balance peaks at {formatCurrency(negativeAmortization.peakBalance)}.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default DisruptionsPanel;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import NoticeBanner from './NoticeBanner';
+import { useFormatters } from './FormattingContext';
+import {
+  buildSummaryRows,
+  buildYearlyTable,
+  buildMonthlyTable,
+  exportCsv,
+  exportXlsx
+} from './exporters';
+import { secondaryButtonStyle } from './styles';
+
+const ExportControls = ({ inputs, loan }) => {
+  const formatters = useFormatters();
+  const [exportError, setExportError] = useState(null);
+  const summaryRows = () => buildSummaryRows(inputs, loan, formatters);
+
+  // The Excel writer is loaded on demand, so a failed chunk load or write
+  // surfaces here rather than as an unhandled rejection
+  const exportExcel = () => {
+    setExportError(null);
+    exportXlsx("amortization-schedule.xlsx", summaryRows(), {
+      "Yearly Schedule": buildYearlyTable(loan.yearlyData, formatters),
+      "Monthly Schedule": buildMonthlyTable(loan.schedule, formatters)
+    }).catch((error) => setExportError(error.message || String(error)));
+  };
+
+  return (
+    <>
+      <div
+        className="no-print"
+        style={{ marginBottom: "16px", display: "flex", gap: "10px", flexWrap: "wrap" }}
+      >
+        <button
+          onClick={() =>
+            exportCsv(
+              "amortization-yearly.csv",
+              summaryRows(),
+              buildYearlyTable(loan.yearlyData, formatters)
+            )
+          }
+          style={secondaryButtonStyle}
+        >
+          Export Yearly CSV
+        </button>
+        <button
+          onClick={() =>
+            exportCsv(
+              "amortization-monthly.csv",
+              summaryRows(),
+              buildMonthlyTable(loan.schedule, formatters)
+            )
+          }
+          style={secondaryButtonStyle}
+        >
+          Export Monthly CSV
+        </button>
+        <button onClick={exportExcel} style={secondaryButtonStyle}>
+          Export Excel
+        </button>
+        <button onClick={() => window.print()} style={secondaryButtonStyle}>
+          Print / Save as PDF
+        </button>
+      </div>
+      {exportError && (
+        <NoticeBanner
+          title="The Excel export failed:"
+          items={[exportError]}
+          onDismiss={() => setExportError(null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default ExportControls;
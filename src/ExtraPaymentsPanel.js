@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import {
+  labelStyle,
+  inputStyle,
+  fieldStyle,
+  panelStyle,
+  sectionHeadingStyle,
+  smallButtonStyle,
+  dangerButtonStyle
+} from './styles';
+import SliderField from './SliderField';
+import { useFormatters } from './FormattingContext';
+import { clampInput } from './loanInputs';
+
+const ExtraPaymentsPanel = ({ extraPayments, onChange, startYear }) => {
+  const { formatCurrency, currencySymbol, monthNames } = useFormatters();
+  const [oneTimeYear, setOneTimeYear] = useState(startYear + 1);
+  const [oneTimeMonth, setOneTimeMonth] = useState(1);
+  const [oneTimeAmount, setOneTimeAmount] = useState(10000);
+
+  const update = (changes) => onChange({ ...extraPayments, ...changes });
+  const months = monthNames();
+  const symbol = currencySymbol();
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Extra Principal Payments</h2>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+          gap: "16px"
+        }}
+      >
+        <SliderField
+          label={`Extra Monthly Payment (${symbol})`}
+          value={extraPayments.monthly}
+          onChange={(monthly) => update({ monthly })}
+          rule="extraAmount"
+        />
+        <SliderField
+          label={`Annual Lump Sum (${symbol})`}
+          value={extraPayments.annual}
+          onChange={(annual) => update({ annual })}
+          rule="extraAmount"
+        />
+        <div style={fieldStyle}>
+          <label style={labelStyle}>Lump Sum Month</label>
+          <select
+            value={extraPayments.annualMonth}
+            onChange={(e) => update({ annualMonth: Number(e.target.value) })}
+            style={inputStyle}
+          >
+            {months.map((name, index) => (
+              <option key={name} value={index + 1}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <SliderField
+          label="Lump Sum Starting Year"
+          value={extraPayments.annualStartYear ?? startYear + 1}
+          onChange={(annualStartYear) => update({ annualStartYear })}
+          rule="startYear"
+          integer
+        />
+      </div>
+
+      <h3 style={{ fontSize: "1rem", fontWeight: "600", marginBottom: "8px" }}>
+        One-Time Payments
+      </h3>
+      <div
+        style={{
+          display: "flex",
+          gap: "8px",
+          alignItems: "center",
+          flexWrap: "wrap",
+          marginBottom: "8px"
+        }}
+      >
+        <input
+          type="number"
+          value={oneTimeYear}
+          onChange={(e) => setOneTimeYear(clampInput("startYear", e.target.value))}
+          aria-label="One-time payment year"
+          style={{ ...inputStyle, width: "100px" }}
+        />
+        <select
+          value={oneTimeMonth}
+          onChange={(e) => setOneTimeMonth(Number(e.target.value))}
+          aria-label="One-time payment month"
+          style={{ ...inputStyle, width: "90px" }}
+        >
+          {months.map((name, index) => (
+            <option key={name} value={index + 1}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          value={oneTimeAmount}
+          onChange={(e) => setOneTimeAmount(clampInput("extraAmount", e.target.value))}
+          aria-label="One-time payment amount"
+          style={{ ...inputStyle, width: "140px" }}
+        />
+        <button
+          onClick={() => {
+            if (oneTimeAmount > 0) {
+              update({
+                oneTime: [
+                  ...extraPayments.oneTime,
+                  {
+                    id: Date.now(),
+                    year: oneTimeYear,
+                    month: oneTimeMonth,
+                    amount: oneTimeAmount
+                  }
+                ]
+              });
+            }
+          }}
+          style={smallButtonStyle}
+        >
+          Add Payment
+        </button>
+      </div>
+      {extraPayments.oneTime.length > 0 && (
+        <ul style={{ fontSize: "0.875rem", margin: 0, paddingLeft: "20px" }}>
+          {extraPayments.oneTime.map((payment) => (
+            <li key={payment.id} style={{ marginBottom: "4px" }}>
+              {months[payment.month - 1]} {payment.year}:{" "}
+              {formatCurrency(payment.amount)}{" "}
+              <button
+                onClick={() =>
+                  update({
+                    oneTime: extraPayments.oneTime.filter((p) => p.id !== payment.id)
+                  })
+                }
+                style={dangerButtonStyle}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExtraPaymentsPanel;
@@ -0,0 +1,94 @@
+import React from 'react';
+import SliderField from './SliderField';
+import { useFormatters } from './FormattingContext';
+import {
+  panelStyle,
+  sectionHeadingStyle,
+  summaryLabelStyle,
+  summaryValueStyle
+} from './styles';
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+  gap: "16px"
+};
+
+// Discount points, origination and other finance charges, and what they do
+// to the APR and the true cost of the loan
+const FeesPanel = ({ fees, onChange, loan, interestRate }) => {
+  const {
+    formatCurrency,
+    formatPercentage,
+    formatRate,
+    formatPaymentDate,
+    currencySymbol
+  } = useFormatters();
+  const update = (changes) => onChange({ ...fees, ...changes });
+  const { apr, effectiveRate, pointsBreakEven, totals } = loan;
+  const symbol = currencySymbol();
+
+  const numberField = (label, key, rule, step) => (
+    <SliderField
+      label={label}
+      value={fees[key]}
+      onChange={(value) => update({ [key]: value })}
+      rule={rule}
+      step={step}
+    />
+  );
+
+  const result = (label, value, color) => (
+    <div>
+      <span style={summaryLabelStyle}>{label}</span>
+      <p style={{ ...summaryValueStyle, color }}>{value}</p>
+    </div>
+  );
+
+  let breakEven = "No points";
+  if (pointsBreakEven) {
+    breakEven =
+      pointsBreakEven.months != null
+        ? `${pointsBreakEven.months} months (${formatPaymentDate(pointsBreakEven)})`
+        : "Never";
+  }
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Points &amp; Fees</h2>
+      <div style={gridStyle}>
+        {numberField("Discount Points", "discountPoints", "points", "0.125")}
+        {numberField(
+          "Rate Reduction per Point (%)",
+          "pointRateReduction",
+          "pointRateReduction",
+          "0.125"
+        )}
+        {numberField(`Origination Fee (${symbol})`, "originationFee", "costAmount", "100")}
+        {numberField(
+          `Other Finance Charges (${symbol})`,
+          "otherCharges",
+          "costAmount",
+          "100"
+        )}
+      </div>
+
+      <div style={{ ...gridStyle, marginTop: "12px" }}>
+        {result(
+          "Note Rate → APR",
+          `${formatRate(interestRate)} → ${formatPercentage(apr, 3)}`
+        )}
+        {result("Effective Annual Rate", formatPercentage(effectiveRate, 3))}
+        {result("Upfront Charges", formatCurrency(totals.upfrontCharges))}
+        {result("True Cost (payments + charges)", formatCurrency(totals.trueCost))}
+        {result(
+          "Points Break-Even",
+          breakEven,
+          pointsBreakEven && pointsBreakEven.months == null ? "#ef4444" : undefined
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FeesPanel;
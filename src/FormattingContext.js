@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+import { defaultFormatters } from './formatters';
+
+// The formatters for the simulator's locale and currency. The simulator
+// provides them; outside it amounts show in US dollars.
+export const FormattingContext = createContext(defaultFormatters);
+
+export const useFormatters = () => useContext(FormattingContext);
@@ -0,0 +1,302 @@
+import React, { useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import SliderField from './SliderField';
+import { useFormatters } from './FormattingContext';
+import { buildYearlyData, defaultExtraPayments, loanYearOfMonth } from './loanEngine';
+import { GOAL_TYPES, GOAL_PAYMENTS, defaultGoal, solveExtraPayment } from './solver';
+import { mergeByYear } from './chartData';
+import {
+  labelStyle,
+  inputStyle,
+  fieldStyle,
+  panelStyle,
+  sectionHeadingStyle,
+  summaryLabelStyle,
+  summaryValueStyle,
+  primaryButtonStyle,
+  smallButtonStyle
+} from './styles';
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+  gap: "16px"
+};
+
+// Year-end balances of a solved schedule, for the comparison chart
+const balancePoints = (schedule, inputs, field) =>
+  buildYearlyData(schedule, inputs).map((row) => ({
+    year: row.year,
+    [field]: row.remainingBalance
+  }));
+
+// Work back from a payoff date or an interest budget to the extra payment
+// that reaches it, monthly or as one lump sum, and show the resulting
+// balance against the loan as it is. `onApply` adds the payment to the
+// loan's extra payments.
+const GoalSeekPanel = ({ inputs, onApply }) => {
+  const {
+    formatCurrency,
+    formatPaymentDate,
+    currencySymbol,
+    monthNames
+  } = useFormatters();
+  const [goal, setGoal] = useState(() => {
+    const today = new Date();
+    return {
+      ...defaultGoal,
+      targetYear: inputs.startYear + Math.ceil(inputs.loanTermYears / 2),
+      lumpSumYear: today.getFullYear(),
+      lumpSumMonth: today.getMonth() + 1
+    };
+  });
+  const [solved, setSolved] = useState(null);
+  const [applied, setApplied] = useState(null);
+
+  const update = (changes) => {
+    setGoal({ ...goal, ...changes });
+    setSolved(null);
+  };
+  const months = monthNames();
+  const symbol = currencySymbol();
+
+  const monthSelect = (label, key) => (
+    <div style={fieldStyle}>
+      <label htmlFor={`goal-${key}`} style={labelStyle}>
+        {label}
+      </label>
+      <select
+        id={`goal-${key}`}
+        value={goal[key]}
+        onChange={(e) => update({ [key]: Number(e.target.value) })}
+        style={inputStyle}
+      >
+        {months.map((name, index) => (
+          <option key={name} value={index + 1}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
+  const choiceField = (label, key, options) => (
+    <div style={fieldStyle}>
+      <label htmlFor={`goal-${key}`} style={labelStyle}>
+        {label}
+      </label>
+      <select
+        id={`goal-${key}`}
+        value={goal[key]}
+        onChange={(e) => update({ [key]: e.target.value })}
+        style={inputStyle}
+      >
+        {Object.entries(options).map(([value, option]) => (
+          <option key={value} value={value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
+  const result = (label, value, note) => (
+    <div>
+      <span style={summaryLabelStyle}>{label}</span>
+      <p style={summaryValueStyle}>{value}</p>
+      {note && <span style={{ fontSize: "0.75rem", color: "#4b5563" }}>{note}</span>}
+    </div>
+  );
+
+  const solve = () => {
+    setSolved({ goal, inputs, result: solveExtraPayment(inputs, goal) });
+    setApplied(null);
+  };
+
+  const apply = () => {
+    const { value } = solved.result;
+    const extraPayments = { ...defaultExtraPayments, ...inputs.extraPayments };
+    if (solved.goal.payment === "lumpSum") {
+      extraPayments.oneTime = [
+        ...extraPayments.oneTime,
+        {
+          id: Date.now(),
+          year: solved.goal.lumpSumYear,
+          month: solved.goal.lumpSumMonth,
+          amount: value
+        }
+      ];
+    } else {
+      extraPayments.monthly += value;
+    }
+    onApply({ extraPayments });
+    setApplied(solved);
+    setSolved(null);
+  };
+
+  // An answer is only good for the loan it was solved for
+  const answer = solved && solved.inputs === inputs ? solved.result : null;
+  const lumpSum = goal.payment === "lumpSum";
+  const chartData =
+    answer && answer.value != null
+      ? mergeByYear(
+          balancePoints(answer.baseline.schedule, inputs, "baselineBalance"),
+          balancePoints(answer.schedule, inputs, "goalBalance")
+        )
+      : [];
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Payoff Goal</h2>
+      <div style={gridStyle}>
+        {choiceField("Goal", "type", GOAL_TYPES)}
+        {goal.type === "payoffDate" ? (
+          <>
+            <SliderField
+              label="Debt-Free By (Year)"
+              value={goal.targetYear}
+              onChange={(targetYear) => update({ targetYear })}
+              rule="startYear"
+              integer
+            />
+            {monthSelect("Debt-Free By (Month)", "targetMonth")}
+          </>
+        ) : (
+          <SliderField
+            label={`Maximum Total Interest (${symbol})`}
+            value={goal.maxInterest}
+            onChange={(maxInterest) => update({ maxInterest })}
+            rule="costAmount"
+            step="1000"
+          />
+        )}
+        {choiceField("Pay It As", "payment", GOAL_PAYMENTS)}
+        {lumpSum && (
+          <>
+            <SliderField
+              label="Lump Sum Paid In (Year)"
+              value={goal.lumpSumYear}
+              onChange={(lumpSumYear) => update({ lumpSumYear })}
+              rule="startYear"
+              integer
+            />
+            {monthSelect("Lump Sum Paid In (Month)", "lumpSumMonth")}
+          </>
+        )}
+      </div>
+
+      <button onClick={solve} style={primaryButtonStyle}>
+        Find Extra Payment
+      </button>
+
+      {answer && answer.problem && (
+        <p style={{ marginTop: "8px", fontSize: "0.875rem", color: "#b91c1c" }}>
+          Not reachable: {answer.problem}.
+        </p>
+      )}
+      {answer && answer.alreadyMet && (
+        <p style={{ marginTop: "8px", fontSize: "0.875rem", color: "#15803d" }}>
+          Already on track: the loan is paid off {formatPaymentDate(answer.payoff)}{" "}
+          with {formatCurrency(answer.totalInterest)} of interest, without anything
+          extra.
+        </p>
+      )}
+      {answer && answer.value > 0 && (
+        <>
+          <div style={{ ...gridStyle, marginTop: "16px" }}>
+            {result(
+              solved.goal.payment === "lumpSum"
+                ? `Lump Sum in ${formatPaymentDate({
+                    year: solved.goal.lumpSumYear,
+                    month: solved.goal.lumpSumMonth
+                  })}`
+                : "Extra Each Month",
+              formatCurrency(answer.value, 2)
+            )}
+            {result(
+              "Paid Off",
+              formatPaymentDate(answer.payoff),
+              `instead of ${formatPaymentDate(answer.baseline.payoff)}`
+            )}
+            {result(
+              "Total Interest",
+              formatCurrency(answer.totalInterest),
+              `instead of ${formatCurrency(answer.baseline.totalInterest)}`
+            )}
+            {result("Interest Saved", formatCurrency(answer.interestSaved))}
+          </div>
+
+          <div style={{ height: "260px", width: "100%", margin: "16px 0" }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" />
+                <YAxis
+                  tickFormatter={(value) => formatCurrency(value, 0, { compact: true })}
+                />
+                <Tooltip formatter={(value, name) => [formatCurrency(value), name]} />
+                <Legend />
+                <Line
+                  type="monotone"
+                  dataKey="baselineBalance"
+                  name="Balance as It Is"
+                  stroke="#9ca3af"
+                  strokeWidth={2}
+                  strokeDasharray="6 3"
+                  dot={false}
+                  connectNulls
+                />
+                <Line
+                  type="monotone"
+                  dataKey="goalBalance"
+                  name="Balance with the Goal"
+                  stroke="#4f46e5"
+                  strokeWidth={3}
+                  dot={false}
+                  connectNulls
+                />
+                {solved.goal.type === "payoffDate" && (
+                  <ReferenceLine
+                    x={
+                      inputs.startYear +
+                      loanYearOfMonth(inputs, {
+                        year: solved.goal.targetYear,
+                        month: solved.goal.targetMonth
+                      })
+                    }
+                    stroke="#16a34a"
+                    strokeDasharray="3 3"
+                    label={{ value: "Target", position: "top", fill: "#16a34a" }}
+                  />
+                )}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <button onClick={apply} style={smallButtonStyle}>
+            Add to Extra Payments
+          </button>
+        </>
+      )}
+      {applied && (
+        <p style={{ marginTop: "8px", fontSize: "0.875rem", color: "#15803d" }}>
+          Added {formatCurrency(applied.result.value, 2)}{" "}
+          {applied.goal.payment === "lumpSum" ? "as a one-time payment" : "a month"} to
+          the extra payments.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default GoalSeekPanel;
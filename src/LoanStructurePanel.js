@@ -0,0 +1,63 @@
+import React from 'react';
+import { LOAN_STRUCTURES } from './loanEngine';
+import SliderField from './SliderField';
+import {
+  labelStyle,
+  inputStyle,
+  fieldStyle,
+  panelStyle,
+  sectionHeadingStyle
+} from './styles';
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+  gap: "16px"
+};
+
+const LoanStructurePanel = ({ structure, onChange, loanTermYears }) => {
+  const update = (changes) => onChange({ ...structure, ...changes });
+
+  const yearsField = (label, key) => (
+    <SliderField
+      label={label}
+      value={structure[key]}
+      onChange={(value) => update({ [key]: value })}
+      rule="structureYears"
+      step="1"
+      integer
+    />
+  );
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Loan Structure</h2>
+      <div style={gridStyle}>
+        <div style={fieldStyle}>
+          <label style={labelStyle}>Loan Type</label>
+          <select
+            value={structure.type}
+            onChange={(e) => update({ type: e.target.value })}
+            style={inputStyle}
+          >
+            {Object.entries(LOAN_STRUCTURES).map(([key, option]) => (
+              <option key={key} value={key}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {structure.type === "interestOnly" &&
+          yearsField("Interest-Only Period (Years)", "interestOnlyYears")}
+        {structure.type === "balloon" && yearsField("Balloon Due After (Years)", "balloonYears")}
+      </div>
+      {structure.type === "balloon" && (
+        <p style={{ fontSize: "0.875rem", color: "#4b5563", marginTop: "8px" }}>
+          Payments are amortized over the {loanTermYears}-year loan term.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default LoanStructurePanel;
@@ -0,0 +1,134 @@
+import React from 'react';
+import SliderField from './SliderField';
+import { useFormatters } from './FormattingContext';
+import { RATE_MODELS } from './monteCarlo';
+import {
+  labelStyle,
+  inputStyle,
+  fieldStyle,
+  panelStyle,
+  sectionHeadingStyle,
+  summaryLabelStyle,
+  summaryValueStyle
+} from './styles';
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+  gap: "16px"
+};
+
+// Settings for the stochastic rate simulation and the spread of total
+// interest it produces. `simulation` is null until the first run finishes.
+const MonteCarloPanel = ({ monteCarlo, onChange, simulation, running, rateType }) => {
+  const { formatCurrency } = useFormatters();
+  const update = (changes) => onChange({ ...monteCarlo, ...changes });
+
+  const numberField = (label, key, rule, step) => (
+    <SliderField
+      label={label}
+      value={monteCarlo[key]}
+      onChange={(value) => update({ [key]: value })}
+      rule={rule}
+      step={step}
+    />
+  );
+
+  const result = (label, value, color) => (
+    <div>
+      <span style={summaryLabelStyle}>{label}</span>
+      <p style={{ ...summaryValueStyle, color }}>{value}</p>
+    </div>
+  );
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Rate Simulation</h2>
+      <label style={{ ...labelStyle, display: "flex", gap: "8px", marginBottom: "12px" }}>
+        <input
+          type="checkbox"
+          checked={monteCarlo.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        Simulate random rate paths (Monte Carlo)
+      </label>
+
+      {monteCarlo.enabled && (
+        <>
+          <p style={{ fontSize: "0.875rem", color: "#4b5563", marginBottom: "12px" }}>
+            {rateType === "arm"
+              ? "Each path supplies the ARM index at every reset; the caps and floor " +
+                "still apply."
+              : "Each path floats the note rate monthly, re-amortizing the payment as " +
+                "it moves."}
+          </p>
+          <div style={gridStyle}>
+            <div style={fieldStyle}>
+              <label style={labelStyle}>Rate Model</label>
+              <select
+                value={monteCarlo.model}
+                onChange={(e) => update({ model: e.target.value })}
+                style={inputStyle}
+              >
+                {Object.entries(RATE_MODELS).map(([value, { label }]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {numberField(
+              "Volatility (% points/year)",
+              "volatility",
+              "rateVolatility",
+              "0.1"
+            )}
+            {monteCarlo.model === "meanReverting" ? (
+              <>
+                {numberField("Long-Run Rate (%)", "longRunRate", "armRate", "0.125")}
+                {numberField(
+                  "Reversion Speed (/year)",
+                  "reversionSpeed",
+                  "reversionSpeed",
+                  "0.05"
+                )}
+              </>
+            ) : (
+              numberField("Drift (% points/year)", "drift", "rateDrift", "0.05")
+            )}
+            {numberField("Paths", "paths", "simulationPaths", "100")}
+            {numberField("Random Seed", "seed", "seed", "1")}
+          </div>
+
+          {simulation && (
+            <div style={{ ...gridStyle, marginTop: "12px" }}>
+              {result(
+                "Total Interest (p10)",
+                formatCurrency(simulation.totalInterest.p10),
+                "#22c55e"
+              )}
+              {result(
+                "Total Interest (Median)",
+                formatCurrency(simulation.totalInterest.p50)
+              )}
+              {result(
+                "Total Interest (p90)",
+                formatCurrency(simulation.totalInterest.p90),
+                "#ef4444"
+              )}
+            </div>
+          )}
+          <p style={{ fontSize: "0.75rem", color: "#4b5563", marginTop: "8px" }}>
+            {running
+              ? `Simulating ${monteCarlo.paths} paths…`
+              : simulation &&
+                `${simulation.paths} paths. The charts show the median and ` +
+                  "p10–p90 band of the yearly payments and balance."}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MonteCarloPanel;
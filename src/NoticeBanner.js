@@ -0,0 +1,37 @@
+import React from 'react';
+import { secondaryButtonStyle } from './styles';
+
+const TONES = {
+  error: { background: "#fef2f2", border: "1px solid #fecaca", color: "#b91c1c" },
+  warning: { background: "#fffbeb", border: "1px solid #fde68a", color: "#92400e" }
+};
+
+// Dismissable list of problems, e.g. from an import or a shared link
+const NoticeBanner = ({ title, items, onDismiss, tone = "error" }) => (
+  <div
+    role="alert"
+    className="no-print"
+    style={{
+      ...TONES[tone],
+      marginBottom: "16px",
+      padding: "12px",
+      borderRadius: "4px",
+      fontSize: "0.875rem"
+    }}
+  >
+    <strong>{title}</strong>
+    <ul style={{ margin: "4px 0 0", paddingLeft: "20px" }}>
+      {items.map((item) => (
+        <li key={item}>{item}</li>
+      ))}
+    </ul>
+    <button
+      onClick={onDismiss}
+      style={{ ...secondaryButtonStyle, marginTop: "8px", padding: "4px 8px" }}
+    >
+      Dismiss
+    </button>
+  </div>
+);
+
+export default NoticeBanner;
@@ -0,0 +1,90 @@
+import React from 'react';
+import { clampInput } from './loanInputs';
+import { useFormatters } from './FormattingContext';
+import SliderField from './SliderField';
+import {
+  labelStyle,
+  inputStyle,
+  fieldStyle,
+  panelStyle,
+  sectionHeadingStyle
+} from './styles';
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+  gap: "16px"
+};
+
+// Home price, down payment and the non-loan monthly costs (taxes, insurance,
+// HOA dues and PMI) that make up the full PITI payment
+const OwnershipPanel = ({ ownership, onChange, onLoanAmountChange }) => {
+  const { currencySymbol } = useFormatters();
+  const update = (changes) => onChange({ ...ownership, ...changes });
+  const symbol = currencySymbol();
+
+  // Changing the price or down payment re-derives the loan amount
+  const updatePurchase = (changes) => {
+    const next = { ...ownership, ...changes };
+    onChange(next);
+    onLoanAmountChange(clampInput("loanAmount", next.homePrice - next.downPayment));
+  };
+
+  const numberField = (label, key, rule, onFieldChange = update) => (
+    <SliderField
+      label={label}
+      value={ownership[key]}
+      onChange={(value) => onFieldChange({ [key]: value })}
+      rule={rule}
+    />
+  );
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Cost of Ownership</h2>
+      <label style={{ ...labelStyle, display: "flex", gap: "8px", marginBottom: "12px" }}>
+        <input
+          type="checkbox"
+          checked={ownership.enabled}
+          onChange={(e) => {
+            update({ enabled: e.target.checked });
+            if (e.target.checked) {
+              onLoanAmountChange(
+                clampInput("loanAmount", ownership.homePrice - ownership.downPayment)
+              );
+            }
+          }}
+        />
+        Include property tax, insurance, HOA and PMI (PITI)
+      </label>
+
+      {ownership.enabled && (
+        <div style={gridStyle}>
+          {numberField(`Home Price (${symbol})`, "homePrice", "homePrice", updatePurchase)}
+          {numberField(`Down Payment (${symbol})`, "downPayment", "costAmount", updatePurchase)}
+          {numberField(`Property Tax (${symbol}/year)`, "propertyTaxAnnual", "costAmount")}
+          {numberField(
+            `Homeowners Insurance (${symbol}/year)`,
+            "insuranceAnnual",
+            "costAmount"
+          )}
+          {numberField(`HOA Dues (${symbol}/month)`, "hoaMonthly", "costAmount")}
+          {numberField("PMI Rate (%/year)", "pmiRate", "pmiRate")}
+          <div style={fieldStyle}>
+            <label style={labelStyle}>PMI Drops Off At</label>
+            <select
+              value={ownership.pmiDropLtv}
+              onChange={(e) => update({ pmiDropLtv: Number(e.target.value) })}
+              style={inputStyle}
+            >
+              <option value={78}>78% LTV (automatic)</option>
+              <option value={80}>80% LTV (on request)</option>
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OwnershipPanel;
@@ -0,0 +1,285 @@
+import React, { useState, useRef } from 'react';
+import NoticeBanner from './NoticeBanner';
+import { useFormatters } from './FormattingContext';
+import {
+  HISTORY_FIELDS,
+  DATE_FORMATS,
+  DECIMAL_SEPARATORS,
+  VARIANCE_TYPES,
+  parseCsv,
+  guessMapping,
+  readPaymentHistory
+} from './paymentHistory';
+import {
+  labelStyle,
+  inputStyle,
+  fieldStyle,
+  panelStyle,
+  sectionHeadingStyle,
+  summaryLabelStyle,
+  summaryValueStyle,
+  secondaryButtonStyle,
+  dangerButtonStyle
+} from './styles';
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+  gap: "16px"
+};
+
+const headerCellStyle = { padding: "8px", textAlign: "left", border: "1px solid #d1d5db" };
+
+const cellStyle = { padding: "8px", border: "1px solid #d1d5db" };
+
+const formatDifference = (value, formatCurrency) =>
+  `${value > 0 ? "+" : value < 0 ? "-" : ""}${formatCurrency(Math.abs(value), 2)}`;
+
+// Actual payments imported from a lender's CSV export, with the column
+// mapping used to read them. `onChange` receives the payments read (or
+// null) and `history` is their reconciliation against the projection.
+const PaymentHistoryPanel = ({ history, onChange }) => {
+  const { formatCurrency, formatPaymentDate } = useFormatters();
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const fileInputRef = useRef(null);
+
+  const apply = (nextRows, nextMapping) => {
+    const { payments, errors: problems } = readPaymentHistory(nextRows, nextMapping);
+    setRows(nextRows);
+    setMapping(nextMapping);
+    setErrors(problems);
+    onChange(payments.length ? payments : null);
+  };
+  const updateMapping = (changes) => apply(rows, { ...mapping, ...changes });
+
+  const importFile = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const parsed = parseCsv(String(reader.result));
+      if (parsed.length === 0) {
+        setErrors(["The file has no rows"]);
+        return;
+      }
+      apply(parsed, guessMapping(parsed));
+    };
+    reader.onerror = () => setErrors(["Could not read the file"]);
+    reader.readAsText(file);
+  };
+
+  const clear = () => {
+    setRows([]);
+    setMapping(null);
+    setErrors([]);
+    onChange(null);
+  };
+
+  const columnCount = Math.max(0, ...rows.map((row) => row.length));
+  const columnName = (index) =>
+    mapping.hasHeader && rows[0][index] ? rows[0][index] : `Column ${index + 1}`;
+
+  const result = (label, value, color, note) => (
+    <div>
+      <span style={summaryLabelStyle}>{label}</span>
+      <p style={{ ...summaryValueStyle, color }}>{value}</p>
+      {note && <span style={{ fontSize: "0.75rem", color: "#4b5563" }}>{note}</span>}
+    </div>
+  );
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Payment History</h2>
+      <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", marginBottom: "12px" }}>
+        <button onClick={() => fileInputRef.current.click()} style={secondaryButtonStyle}>
+          Import Payment History
+        </button>
+        {mapping && (
+          <button onClick={clear} style={dangerButtonStyle}>
+            Clear History
+          </button>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="text/csv,.csv,text/plain"
+          aria-label="Payment history CSV"
+          onChange={(e) => {
+            if (e.target.files[0]) importFile(e.target.files[0]);
+            e.target.value = "";
+          }}
+          style={{ display: "none" }}
+        />
+      </div>
+      {!mapping && (
+        <p style={{ fontSize: "0.875rem", color: "#4b5563", margin: 0 }}>
+          Load a CSV of the payments made so far, as exported from the lender&apos;s
+          statement, to compare it with the projection.
+        </p>
+      )}
+
+      {errors.length > 0 && (
+        <NoticeBanner
+          title="Some rows could not be read:"
+          items={errors}
+          onDismiss={() => setErrors([])}
+          tone="warning"
+        />
+      )}
+
+      {mapping && (
+        <>
+          <label style={{ ...labelStyle, display: "flex", gap: "8px", marginBottom: "12px" }}>
+            <input
+              type="checkbox"
+              checked={mapping.hasHeader}
+              onChange={(e) => updateMapping({ hasHeader: e.target.checked })}
+            />
+            First row is a header
+          </label>
+          <div style={gridStyle}>
+            {Object.entries(HISTORY_FIELDS).map(([field, { label, required }]) => (
+              <div key={field} style={fieldStyle}>
+                <label htmlFor={`history-${field}`} style={labelStyle}>
+                  {label} Column
+                </label>
+                <select
+                  id={`history-${field}`}
+                  value={mapping[field] == null ? "" : mapping[field]}
+                  onChange={(e) =>
+                    updateMapping({
+                      [field]: e.target.value === "" ? null : Number(e.target.value)
+                    })
+                  }
+                  style={inputStyle}
+                >
+                  {!required && <option value="">Not in the file</option>}
+                  {Array.from({ length: columnCount }, (_, index) => (
+                    <option key={index} value={index}>
+                      {columnName(index)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <div style={fieldStyle}>
+              <label htmlFor="history-date-format" style={labelStyle}>
+                Date Format
+              </label>
+              <select
+                id="history-date-format"
+                value={mapping.dateFormat}
+                onChange={(e) => updateMapping({ dateFormat: e.target.value })}
+                style={inputStyle}
+              >
+                {Object.entries(DATE_FORMATS).map(([value, option]) => (
+                  <option key={value} value={value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div style={fieldStyle}>
+              <label htmlFor="history-decimal-separator" style={labelStyle}>
+                Decimal Separator
+              </label>
+              <select
+                id="history-decimal-separator"
+                value={mapping.decimalSeparator}
+                onChange={(e) => updateMapping({ decimalSeparator: e.target.value })}
+                style={inputStyle}
+              >
+                {Object.entries(DECIMAL_SEPARATORS).map(([value, option]) => (
+                  <option key={value} value={value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </>
+      )}
+
+      {history && (
+        <>
+          <div style={{ ...gridStyle, marginTop: "8px" }}>
+            {result("Payments Reconciled", history.months.length)}
+            {result(
+              "Actual Balance",
+              formatCurrency(history.balance, 2),
+              undefined,
+              history.asOf && `after ${formatPaymentDate(history.asOf)}`
+            )}
+            {result(
+              "Against Projection",
+              formatDifference(
+                history.balance - history.projectedBalance,
+                formatCurrency
+              ),
+              history.balance > history.projectedBalance + 0.005 ? "#dc2626" : "#16a34a",
+              `projected ${formatCurrency(history.projectedBalance, 2)}`
+            )}
+            {result(
+              "Re-projected Payoff",
+              history.payoff ? formatPaymentDate(history.payoff) : "Not paid off",
+              undefined,
+              `projected ${formatPaymentDate(history.projectedPayoff)}`
+            )}
+            {result(
+              "Remaining Interest",
+              formatCurrency(history.remainingInterest),
+              undefined,
+              `projected ${formatCurrency(history.projectedRemainingInterest)}`
+            )}
+          </div>
+
+          {history.variances.length === 0 ? (
+            <p style={{ fontSize: "0.875rem", color: "#16a34a" }}>
+              Every payment matches the projection.
+            </p>
+          ) : (
+            <div style={{ overflowX: "auto", marginTop: "16px" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr style={{ background: "#e5e7eb" }}>
+                    <th style={headerCellStyle}>Month</th>
+                    <th style={headerCellStyle}>Variance</th>
+                    <th style={headerCellStyle}>Expected</th>
+                    <th style={headerCellStyle}>Actual</th>
+                    <th style={headerCellStyle}>Difference</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {history.variances.map((variance, index) => (
+                    <tr key={index}>
+                      <td style={cellStyle}>{formatPaymentDate(variance)}</td>
+                      <td style={{ ...cellStyle, color: "#b91c1c" }}>
+                        {VARIANCE_TYPES[variance.type].label}
+                      </td>
+                      <td style={cellStyle}>{formatCurrency(variance.expected, 2)}</td>
+                      <td style={cellStyle}>{formatCurrency(variance.actual, 2)}</td>
+                      <td style={cellStyle}>
+                        {formatDifference(
+                          variance.actual - variance.expected,
+                          formatCurrency
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <p style={{ fontSize: "0.75rem", color: "#4b5563", marginTop: "8px" }}>
+            Expected interest is the projection&apos;s rate applied to the real
+            balance. The rest of the loan is re-projected from the real balance
+            with the projected payments, so being ahead or behind moves the payoff
+            date.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PaymentHistoryPanel;
@@ -0,0 +1,419 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import {
+  AreaChart,
+  Area,
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import SliderField from './SliderField';
+import NoticeBanner from './NoticeBanner';
+import { createFormatters } from './formatters';
+import { useFormatters } from './FormattingContext';
+import {
+  PAYOFF_STRATEGIES,
+  compareStrategies,
+  debtKey,
+  yearlyBalances,
+  firstMinimum,
+  planCurrency
+} from './payoffPlanner';
+import { OVERLAY_COLORS } from './chartData';
+import { normalizeScenario, loadPortfolio, savePortfolio } from './scenarioStorage';
+import {
+  labelStyle,
+  inputStyle,
+  fieldStyle,
+  panelStyle,
+  sectionHeadingStyle,
+  smallButtonStyle,
+  dangerButtonStyle
+} from './styles';
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+  gap: "16px"
+};
+
+const headerCellStyle = { padding: "8px", textAlign: "left", border: "1px solid #d1d5db" };
+
+const cellStyle = { padding: "8px", border: "1px solid #d1d5db" };
+
+const colorOf = (index) => OVERLAY_COLORS[index % OVERLAY_COLORS.length];
+
+const monthsBetween = (from, to) => (to.year - from.year) * 12 + to.month - from.month;
+
+// Several loans paid from one monthly budget: the loans are snapshots of the
+// simulator's inputs, kept in browser storage, and `onApply` loads one back.
+// The loans must share a currency, and the plan is shown in it.
+const PayoffPlannerPanel = ({ inputs, onApply }) => {
+  const { locale } = useFormatters();
+  const [enabled, setEnabled] = useState(false);
+  const [stored] = useState(() => loadPortfolio());
+  const [debts, setDebts] = useState(stored.scenarios);
+  const [storageErrors, setStorageErrors] = useState(stored.errors);
+  const [currencyError, setCurrencyError] = useState(null);
+  const [name, setName] = useState("");
+  const [strategy, setStrategy] = useState("avalanche");
+  const [budget, setBudget] = useState(() =>
+    Math.ceil(debts.reduce((sum, debt) => sum + firstMinimum(debt), 0))
+  );
+  // Loans saved in different currencies (before this was checked) are
+  // listed but not planned until they share one again
+  const currency = planCurrency(debts);
+  const mixedCurrencies = debts.length > 0 && !currency;
+  const { formatCurrency, formatRate, formatPaymentDate, currencySymbol } =
+    createFormatters({ locale, currency: currency || inputs.currency });
+  const symbol = currencySymbol();
+
+  // Loans that are stored but could not be read would be lost by saving
+  useEffect(() => {
+    if (stored.errors.length === 0) savePortfolio(debts);
+  }, [stored, debts]);
+
+  const order = useMemo(() => debts.map((debt) => debt.id), [debts]);
+  const comparison = useMemo(
+    () => (enabled && currency ? compareStrategies(debts, budget, order) : []),
+    [enabled, currency, debts, budget, order]
+  );
+  const selected = comparison.find((entry) => entry.key === strategy);
+  const plan = selected ? selected.plan : null;
+
+  const snapshot = (id, debtName) => normalizeScenario({ ...inputs, id, name: debtName });
+
+  // One budget can't pay loans in different currencies
+  const acceptsCurrency = (others) => {
+    const shared = planCurrency(others);
+    if (!shared || shared === inputs.currency) {
+      setCurrencyError(null);
+      return true;
+    }
+    setCurrencyError(
+      `The plan's loans are in ${shared}; switch the currency to ${shared} to add ` +
+        "this one."
+    );
+    return false;
+  };
+
+  const addDebt = () => {
+    if (!acceptsCurrency(debts)) return;
+    const debtName = name.trim() || `Loan ${debts.length + 1}`;
+    const debt = snapshot(Date.now(), debtName);
+    setDebts([...debts, debt]);
+    // Start with a budget that covers the new loan's payment too
+    setBudget(Math.ceil(budget + firstMinimum(debt)));
+    setName("");
+  };
+
+  const moveDebt = (index, step) => {
+    const next = [...debts];
+    [next[index], next[index + step]] = [next[index + step], next[index]];
+    setDebts(next);
+  };
+
+  const replaceDebt = (debt) => {
+    if (!acceptsCurrency(debts.filter((entry) => entry.id !== debt.id))) return;
+    setDebts(
+      debts.map((entry) => (entry.id === debt.id ? snapshot(debt.id, debt.name) : entry))
+    );
+  };
+
+  const balanceData = plan ? yearlyBalances(plan) : [];
+  const planStart = plan && plan.months.length ? plan.months[0] : null;
+  const timeline = plan
+    ? plan.debts.map((debt) => {
+        const end = debt.payoff || plan.months[plan.months.length - 1];
+        return {
+          name: debt.name,
+          offset: monthsBetween(planStart, debt.start) / 12,
+          duration: (monthsBetween(debt.start, end) + 1) / 12
+        };
+      })
+    : [];
+  const timelineYear = (value) => Math.floor(planStart.year + value);
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Debt Payoff Planner</h2>
+      <label style={{ ...labelStyle, display: "flex", gap: "8px", marginBottom: "12px" }}>
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => setEnabled(e.target.checked)}
+        />
+        Plan payoff across several loans
+      </label>
+      {storageErrors.length > 0 && (
+        <NoticeBanner
+          title="Some saved loans could not be read; changes won't be saved:"
+          items={storageErrors}
+          onDismiss={() => setStorageErrors([])}
+          tone="warning"
+        />
+      )}
+
+      {enabled && (
+        <>
+          <div
+            style={{
+              display: "flex",
+              gap: "8px",
+              alignItems: "center",
+              flexWrap: "wrap",
+              marginBottom: "12px"
+            }}
+          >
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Loan name"
+              aria-label="Loan name"
+              style={{ ...inputStyle, width: "200px" }}
+            />
+            <button onClick={addDebt} style={smallButtonStyle}>
+              Add Current Loan
+            </button>
+          </div>
+
+          {debts.length === 0 && (
+            <p style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+              Set up a loan above and add it; repeat for each loan you are paying.
+            </p>
+          )}
+
+          {currencyError && (
+            <NoticeBanner
+              title="This loan can't join the plan:"
+              items={[currencyError]}
+              onDismiss={() => setCurrencyError(null)}
+            />
+          )}
+          {mixedCurrencies && (
+            <p style={{ fontSize: "0.875rem", color: "#b91c1c" }}>
+              The saved loans are in different currencies. One budget can&apos;t pay
+              them all; remove the loans in other currencies to plan their payoff.
+            </p>
+          )}
+
+          {debts.length > 0 && (
+            <div style={{ overflowX: "auto", marginBottom: "16px" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr style={{ background: "#e5e7eb" }}>
+                    <th style={headerCellStyle}>Loan</th>
+                    <th style={headerCellStyle}>Balance</th>
+                    <th style={headerCellStyle}>Rate</th>
+                    <th style={headerCellStyle}>Payment</th>
+                    <th style={headerCellStyle}>Paid Off</th>
+                    <th style={headerCellStyle}>Interest</th>
+                    <th style={headerCellStyle}>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {debts.map((debt, index) => {
+                    const result = plan ? plan.debts[index] : null;
+                    // The same as formatCurrency unless the loans are mixed
+                    const formatAmount = createFormatters({
+                      locale,
+                      currency: debt.currency
+                    }).formatCurrency;
+                    return (
+                      <tr key={debt.id}>
+                        <td style={{ ...cellStyle, color: colorOf(index) }}>
+                          {debt.name}
+                        </td>
+                        <td style={cellStyle}>{formatAmount(debt.loanAmount)}</td>
+                        <td style={cellStyle}>{formatRate(debt.interestRate)}</td>
+                        <td style={cellStyle}>
+                          {formatAmount(debt.monthlyPayment, 2)}
+                        </td>
+                        <td style={cellStyle}>
+                          {!result
+                            ? "—"
+                            : result.payoff
+                              ? formatPaymentDate(result.payoff)
+                              : "Not paid off"}
+                        </td>
+                        <td style={cellStyle}>
+                          {result ? formatAmount(result.totalInterest) : "—"}
+                        </td>
+                        <td style={{ ...cellStyle, whiteSpace: "nowrap" }}>
+                          <button
+                            onClick={() => moveDebt(index, -1)}
+                            disabled={index === 0}
+                            aria-label={`Move ${debt.name} up`}
+                            style={{ ...smallButtonStyle, marginRight: "4px" }}
+                          >
+                            ↑
+                          </button>
+                          <button
+                            onClick={() => moveDebt(index, 1)}
+                            disabled={index === debts.length - 1}
+                            aria-label={`Move ${debt.name} down`}
+                            style={{ ...smallButtonStyle, marginRight: "4px" }}
+                          >
+                            ↓
+                          </button>
+                          <button
+                            onClick={() => onApply(debt)}
+                            style={{ ...smallButtonStyle, marginRight: "4px" }}
+                          >
+                            Load
+                          </button>
+                          <button
+                            onClick={() => replaceDebt(debt)}
+                            style={{ ...smallButtonStyle, marginRight: "4px" }}
+                          >
+                            Update from Current
+                          </button>
+                          <button
+                            onClick={() =>
+                              setDebts(debts.filter((entry) => entry.id !== debt.id))
+                            }
+                            style={dangerButtonStyle}
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {plan && (
+            <>
+              <div style={gridStyle}>
+                <SliderField
+                  label={`Monthly Budget (${symbol})`}
+                  value={budget}
+                  onChange={setBudget}
+                  rule="costAmount"
+                  step="50"
+                />
+                <div style={fieldStyle}>
+                  <label style={labelStyle}>Strategy</label>
+                  <select
+                    value={strategy}
+                    onChange={(e) => setStrategy(e.target.value)}
+                    style={inputStyle}
+                  >
+                    {Object.entries(PAYOFF_STRATEGIES).map(([value, option]) => (
+                      <option key={value} value={value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              {strategy === "custom" && (
+                <p style={{ fontSize: "0.75rem", color: "#4b5563", marginTop: 0 }}>
+                  Extra money goes to the loans in the order of the table; use the arrows
+                  to change it.
+                </p>
+              )}
+              {plan.shortfall && (
+                <p style={{ fontSize: "0.875rem", color: "#b91c1c" }}>
+                  The budget is {formatCurrency(plan.shortfall.amount, 2)} short of the
+                  payments due in {formatPaymentDate(plan.shortfall)}; months like that
+                  pay only the scheduled payments.
+                </p>
+              )}
+
+              <div style={{ overflowX: "auto", margin: "16px 0" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                  <thead>
+                    <tr style={{ background: "#e5e7eb" }}>
+                      <th style={headerCellStyle}>Strategy</th>
+                      <th style={headerCellStyle}>Debt-Free</th>
+                      <th style={headerCellStyle}>Total Interest</th>
+                      <th style={headerCellStyle}>Interest Saved</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.map((entry) => (
+                      <tr
+                        key={entry.key}
+                        style={{
+                          fontWeight: entry.key === strategy ? "bold" : undefined
+                        }}
+                      >
+                        <td style={cellStyle}>{entry.label}</td>
+                        <td style={cellStyle}>
+                          {entry.plan.debtFree
+                            ? formatPaymentDate(entry.plan.debtFree)
+                            : "Not within 100 years"}
+                        </td>
+                        <td style={cellStyle}>{formatCurrency(entry.plan.totalInterest)}</td>
+                        <td style={cellStyle}>{formatCurrency(entry.interestSaved)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div style={{ height: "300px", width: "100%", marginBottom: "16px" }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <AreaChart data={balanceData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" />
+                    <YAxis
+                      tickFormatter={(value) => formatCurrency(value, 0, { compact: true })}
+                    />
+                    <Tooltip formatter={(value, key) => [formatCurrency(value), key]} />
+                    <Legend />
+                    {debts.map((debt, index) => (
+                      <Area
+                        key={debt.id}
+                        type="monotone"
+                        dataKey={debtKey(debt.id)}
+                        name={debt.name}
+                        stackId="balance"
+                        stroke={colorOf(index)}
+                        fill={colorOf(index)}
+                        fillOpacity={0.5}
+                      />
+                    ))}
+                  </AreaChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div style={{ height: `${80 + timeline.length * 40}px`, width: "100%" }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={timeline} layout="vertical">
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" tickFormatter={timelineYear} allowDecimals={false} />
+                    <YAxis type="category" dataKey="name" width={140} />
+                    <Bar dataKey="offset" stackId="timeline" fill="transparent" />
+                    <Bar dataKey="duration" name="Years paying" stackId="timeline">
+                      {timeline.map((entry, index) => (
+                        <Cell key={entry.name + index} fill={colorOf(index)} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+              <p style={{ fontSize: "0.75rem", color: "#4b5563" }}>
+                When each loan is being paid under the chosen strategy. Interest is
+                charged monthly at each loan&apos;s rate; the loans&apos; own extra
+                payments and disruptions are left out.
+              </p>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PayoffPlannerPanel;
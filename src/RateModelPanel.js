@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { ARM_PRESETS } from './loanEngine';
+import SliderField from './SliderField';
+import {
+  labelStyle,
+  inputStyle,
+  fieldStyle,
+  panelStyle,
+  sectionHeadingStyle
+} from './styles';
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+  gap: "16px"
+};
+
+const parseIndexPath = (text) =>
+  text
+    .split(",")
+    .map((value) => value.trim())
+    .filter((value) => value !== "")
+    .map(Number)
+    .filter((value) => Number.isFinite(value));
+
+const RateModelPanel = ({ rateType, onRateTypeChange, arm, onArmChange }) => {
+  const [indexText, setIndexText] = useState(arm.indexPath.join(", "));
+  const [syncedIndexPath, setSyncedIndexPath] = useState(arm.indexPath);
+
+  // Keep the text box in step when the path is replaced from outside
+  if (syncedIndexPath !== arm.indexPath) {
+    setSyncedIndexPath(arm.indexPath);
+    if (parseIndexPath(indexText).join() !== arm.indexPath.join()) {
+      setIndexText(arm.indexPath.join(", "));
+    }
+  }
+
+  const update = (changes) => onArmChange({ ...arm, ...changes });
+
+  const numberField = (label, key, rule = "armRate", step = "0.125") => (
+    <SliderField
+      label={label}
+      value={arm[key]}
+      onChange={(value) => update({ [key]: value })}
+      rule={rule}
+      step={step}
+    />
+  );
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Rate Model</h2>
+      <div style={gridStyle}>
+        <div style={fieldStyle}>
+          <label style={labelStyle}>Rate Type</label>
+          <select
+            value={rateType}
+            onChange={(e) => onRateTypeChange(e.target.value)}
+            style={inputStyle}
+          >
+            <option value="fixed">Fixed</option>
+            <option value="arm">Adjustable (ARM)</option>
+          </select>
+        </div>
+        {rateType === "arm" && (
+          <div style={fieldStyle}>
+            <label style={labelStyle}>Product</label>
+            <select
+              value=""
+              onChange={(e) => e.target.value && update(ARM_PRESETS[e.target.value])}
+              style={inputStyle}
+            >
+              <option value="">Custom</option>
+              {Object.keys(ARM_PRESETS).map((name) => (
+                <option key={name} value={name}>
+                  {name} ARM
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {rateType === "arm" && (
+        <div style={gridStyle}>
+          {numberField("Initial Fixed Period (Years)", "initialPeriodYears", "armYears", "1")}
+          {numberField(
+            "Reset Frequency (Months)",
+            "resetFrequencyMonths",
+            "armResetMonths",
+            "1"
+          )}
+          {numberField("Margin (%)", "margin")}
+          <div style={fieldStyle}>
+            <label style={labelStyle}>Index Path (% per reset)</label>
+            <input
+              type="text"
+              value={indexText}
+              onChange={(e) => {
+                setIndexText(e.target.value);
+                update({ indexPath: parseIndexPath(e.target.value) });
+              }}
+              placeholder="3.5, 4.0, 4.5"
+              style={inputStyle}
+            />
+          </div>
+          {numberField("Initial Adjustment Cap (%)", "initialCap")}
+          {numberField("Periodic Cap (%)", "periodicCap")}
+          {numberField("Lifetime Cap (%)", "lifetimeCap")}
+          {numberField("Floor Rate (%)", "floorRate")}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RateModelPanel;
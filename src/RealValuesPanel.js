@@ -0,0 +1,79 @@
+import React from 'react';
+import SliderField from './SliderField';
+import { useFormatters } from './FormattingContext';
+import {
+  panelStyle,
+  sectionHeadingStyle,
+  summaryLabelStyle,
+  summaryValueStyle
+} from './styles';
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+  gap: "16px"
+};
+
+// Inflation and investment-return assumptions, with the present value of
+// the payments and the pay-down vs invest comparison they imply
+const RealValuesPanel = ({ economics, onChange, analysis, totalPaid }) => {
+  const { formatCurrency } = useFormatters();
+  const update = (changes) => onChange({ ...economics, ...changes });
+  const { npvAtReturn, realTotalPaid, payDownVsInvest } = analysis;
+
+  const numberField = (label, key) => (
+    <SliderField
+      label={label}
+      value={economics[key]}
+      onChange={(value) => update({ [key]: value })}
+      rule="economicRate"
+      step="0.25"
+    />
+  );
+
+  const result = (label, value, color) => (
+    <div>
+      <span style={summaryLabelStyle}>{label}</span>
+      <p style={{ ...summaryValueStyle, color }}>{value}</p>
+    </div>
+  );
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Inflation &amp; Opportunity Cost</h2>
+      <div style={gridStyle}>
+        {numberField("Inflation Rate (%/year)", "inflationRate")}
+        {numberField("Investment Return (%/year)", "investmentReturn")}
+      </div>
+
+      <div style={{ ...gridStyle, marginTop: "12px" }}>
+        {result("Total Paid (Nominal)", formatCurrency(totalPaid))}
+        {result("Total Paid (Today's Dollars)", formatCurrency(realTotalPaid))}
+        {result("NPV of Payments at Investment Return", formatCurrency(npvAtReturn))}
+        {payDownVsInvest ? (
+          result(
+            payDownVsInvest.better === "payDown"
+              ? "Paying Down Beats Investing By"
+              : "Investing Beats Paying Down By",
+            formatCurrency(payDownVsInvest.difference),
+            payDownVsInvest.better === "payDown" ? "#22c55e" : "#0ea5e9"
+          )
+        ) : (
+          <p style={{ fontSize: "0.875rem", color: "#4b5563" }}>
+            Add extra payments to compare paying down the loan with investing the
+            difference.
+          </p>
+        )}
+      </div>
+      {payDownVsInvest && (
+        <p style={{ fontSize: "0.75rem", color: "#4b5563", marginTop: "8px" }}>
+          Wealth at the end of the original term: pay down{" "}
+          {formatCurrency(payDownVsInvest.payDownWealth)} vs invest{" "}
+          {formatCurrency(payDownVsInvest.investWealth)}.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RealValuesPanel;
@@ -0,0 +1,127 @@
+import React from 'react';
+import SliderField from './SliderField';
+import { useFormatters } from './FormattingContext';
+import {
+  labelStyle,
+  inputStyle,
+  fieldStyle,
+  panelStyle,
+  sectionHeadingStyle,
+  summaryLabelStyle,
+  summaryValueStyle
+} from './styles';
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+  gap: "16px"
+};
+
+const RefinancePanel = ({ refinance, onChange, analysis, startYear, loanYears }) => {
+  const { formatCurrency, formatPaymentDate, currencySymbol } = useFormatters();
+  const update = (changes) => onChange({ ...refinance, ...changes });
+
+  const numberField = (label, key, rule, step) => (
+    <SliderField
+      label={label}
+      value={refinance[key]}
+      onChange={(value) => update({ [key]: value })}
+      rule={rule}
+      step={step}
+    />
+  );
+
+  const result = (label, value, color) => (
+    <div>
+      <span style={summaryLabelStyle}>{label}</span>
+      <p style={{ ...summaryValueStyle, color }}>{value}</p>
+    </div>
+  );
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Refinance Analyzer</h2>
+      <label style={{ ...labelStyle, display: "flex", gap: "8px", marginBottom: "12px" }}>
+        <input
+          type="checkbox"
+          checked={refinance.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        Compare refinancing the remaining balance
+      </label>
+
+      {refinance.enabled && (
+        <>
+          <div style={gridStyle}>
+            <div style={fieldStyle}>
+              <label style={labelStyle}>Refinance At</label>
+              <select
+                value={refinance.afterYears}
+                onChange={(e) => update({ afterYears: Number(e.target.value) })}
+                style={inputStyle}
+              >
+                {Array.from({ length: loanYears }, (_, years) => (
+                  <option key={years} value={years}>
+                    {years === 0 ? `Start (${startYear})` : `End of ${startYear + years}`}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {numberField("New Interest Rate (%)", "newRate", "interestRate", "0.125")}
+            {numberField("New Term (Years)", "newTermYears", "loanTermYears", "1")}
+            {numberField(
+              `Closing Costs (${currencySymbol()})`,
+              "closingCosts",
+              "costAmount",
+              "100"
+            )}
+            <div style={fieldStyle}>
+              <label style={labelStyle}>Closing Costs Paid</label>
+              <select
+                value={refinance.rollCosts ? "roll" : "cash"}
+                onChange={(e) => update({ rollCosts: e.target.value === "roll" })}
+                style={inputStyle}
+              >
+                <option value="cash">In cash</option>
+                <option value="roll">Rolled into loan</option>
+              </select>
+            </div>
+            {numberField("Discount Rate for NPV (%)", "discountRate", "discountRate", "0.25")}
+          </div>
+
+          <div style={gridStyle}>
+            {result("Balance Refinanced", formatCurrency(analysis.newLoanAmount))}
+            {result(
+              "Payment: Current → New",
+              `${formatCurrency(analysis.currentPayment)} → ${formatCurrency(
+                analysis.newPayment
+              )}`
+            )}
+            {result(
+              "Break-Even",
+              analysis.breakEvenMonths != null
+                ? `${analysis.breakEvenMonths} months (${formatPaymentDate(
+                    analysis.breakEvenDate
+                  )})`
+                : "Never",
+              analysis.breakEvenMonths != null ? "#22c55e" : "#ef4444"
+            )}
+            {result(
+              "Lifetime Interest Saved",
+              formatCurrency(analysis.interestDifference),
+              analysis.interestDifference >= 0 ? "#22c55e" : "#ef4444"
+            )}
+            {result("Net Present Cost: Keep", formatCurrency(analysis.currentNpv))}
+            {result(
+              "Net Present Cost: Refinance",
+              formatCurrency(analysis.refinanceNpv),
+              analysis.refinanceNpv <= analysis.currentNpv ? "#22c55e" : "#ef4444"
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RefinancePanel;
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { createFormatters } from './formatters';
+import { useFormatters } from './FormattingContext';
+import { smallButtonStyle, dangerButtonStyle } from './styles';
+
+const headerCellStyle = { padding: "8px", textAlign: "left", border: "1px solid #d1d5db" };
+
+const cellStyle = { padding: "8px", border: "1px solid #d1d5db" };
+
+const formatDelta = (value, formatCurrency) => {
+  if (Math.abs(value) < 0.5) return formatCurrency(0);
+  return `${value > 0 ? "+" : "-"}${formatCurrency(Math.abs(value))}`;
+};
+
+const deltaColor = (delta) => {
+  if (delta == null || Math.abs(delta) < 0.5) return undefined;
+  return delta < 0 ? "#22c55e" : "#ef4444";
+};
+
+const ScenarioComparison = ({
+  scenarios,
+  overlays,
+  onToggleOverlay,
+  baselineId,
+  onBaselineChange,
+  onLoad,
+  onDelete
+}) => {
+  const { locale } = useFormatters();
+  const [rankByApr, setRankByApr] = useState(false);
+  const baseline = scenarios.find((s) => s.id === baselineId);
+  const overlayColor = (id) => overlays.find((o) => o.id === id)?.color;
+
+  // Offers ranked on APR, which includes points and fees, not the note rate
+  const byApr = [...scenarios].sort((a, b) => a.apr - b.apr);
+  const aprRank = new Map(byApr.map((scenario, i) => [scenario.id, i + 1]));
+  const rows = rankByApr ? byApr : scenarios;
+
+  return (
+    <div
+      style={{
+        marginBottom: "24px",
+        background: "#f9fafb",
+        padding: "16px",
+        borderRadius: "4px"
+      }}
+    >
+      <h3 style={{ fontSize: "1.125rem", fontWeight: "600", marginBottom: "12px" }}>
+        Scenario Comparison
+      </h3>
+      <label style={{ display: "flex", gap: "8px", marginBottom: "8px" }}>
+        <input
+          type="checkbox"
+          checked={rankByApr}
+          onChange={(e) => setRankByApr(e.target.checked)}
+        />
+        Rank by APR (lowest true cost first)
+      </label>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ background: "#e5e7eb" }}>
+              <th style={headerCellStyle}>Chart</th>
+              <th style={headerCellStyle}>Baseline</th>
+              <th style={headerCellStyle}>Scenario</th>
+              <th style={headerCellStyle}>Loan Amount</th>
+              <th style={headerCellStyle}>Interest Rate</th>
+              <th style={headerCellStyle}>APR</th>
+              <th style={headerCellStyle}>APR Rank</th>
+              <th style={headerCellStyle}>Term (years)</th>
+              <th style={headerCellStyle}>Monthly Payment</th>
+              <th style={headerCellStyle}>Total Interest</th>
+              <th style={headerCellStyle}>True Cost</th>
+              <th style={headerCellStyle}>Interest Ratio</th>
+              <th style={headerCellStyle}>Interest vs Baseline</th>
+              <th style={headerCellStyle}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((scenario) => {
+              const color = overlayColor(scenario.id);
+              // Each scenario shows in the currency it was saved in
+              const { formatCurrency, formatPercentage, formatRate } = createFormatters({
+                locale,
+                currency: scenario.currency
+              });
+              // Interest in another currency can't be set against the baseline's
+              const comparable = baseline && baseline.currency === scenario.currency;
+              const delta =
+                comparable && scenario.id !== baselineId
+                  ? scenario.totalInterest - baseline.totalInterest
+                  : null;
+
+              return (
+                <tr key={scenario.id} style={{ borderBottom: "1px solid #d1d5db" }}>
+                  <td style={cellStyle}>
+                    <input
+                      type="checkbox"
+                      checked={Boolean(color)}
+                      onChange={() => onToggleOverlay(scenario.id)}
+                      aria-label={`Overlay ${scenario.name} on charts`}
+                    />
+                    {color && (
+                      <span
+                        style={{
+                          display: "inline-block",
+                          width: "10px",
+                          height: "10px",
+                          marginLeft: "6px",
+                          borderRadius: "2px",
+                          background: color
+                        }}
+                      />
+                    )}
+                  </td>
+                  <td style={cellStyle}>
+                    <input
+                      type="radio"
+                      name="baseline-scenario"
+                      checked={scenario.id === baselineId}
+                      onChange={() => onBaselineChange(scenario.id)}
+                      aria-label={`Use ${scenario.name} as baseline`}
+                    />
+                  </td>
+                  <td style={cellStyle}>{scenario.name}</td>
+                  <td style={cellStyle}>{formatCurrency(scenario.loanAmount)}</td>
+                  <td style={cellStyle}>{formatRate(scenario.interestRate)}</td>
+                  <td style={cellStyle}>{formatPercentage(scenario.apr, 3)}</td>
+                  <td style={cellStyle}>{aprRank.get(scenario.id)}</td>
+                  <td style={cellStyle}>{scenario.loanTermYears}</td>
+                  <td style={cellStyle}>{formatCurrency(scenario.monthlyPayment)}</td>
+                  <td style={cellStyle}>{formatCurrency(scenario.totalInterest)}</td>
+                  <td style={cellStyle}>{formatCurrency(scenario.trueCost)}</td>
+                  <td style={cellStyle}>{formatPercentage(scenario.interestRatio)}</td>
+                  <td style={{ ...cellStyle, color: deltaColor(delta) }}>
+                    {delta != null
+                      ? formatDelta(delta, formatCurrency)
+                      : scenario.id === baselineId
+                        ? "Baseline"
+                        : "N/A"}
+                  </td>
+                  <td style={cellStyle}>
+                    <button
+                      onClick={() => onLoad(scenario)}
+                      style={{ ...smallButtonStyle, marginRight: "4px" }}
+                    >
+                      Load
+                    </button>
+                    <button onClick={() => onDelete(scenario.id)} style={dangerButtonStyle}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioComparison;
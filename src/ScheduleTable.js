@@ -0,0 +1,287 @@
+import React, { useState } from 'react';
+import { useFormatters } from './FormattingContext';
+import { disruptionLabel } from './disruptions';
+import { secondaryButtonStyle } from './styles';
+
+const headerCellStyle = {
+  padding: "8px 16px",
+  border: "1px solid #e5e7eb",
+  textAlign: "left"
+};
+
+const cellStyle = { padding: "8px 16px", border: "1px solid #e5e7eb" };
+
+const tableStyle = {
+  minWidth: "100%",
+  background: "white",
+  borderCollapse: "collapse"
+};
+
+// Columns added in cost-of-ownership mode
+const OWNERSHIP_COLUMNS = [
+  { key: "propertyTax", label: "Property Tax" },
+  { key: "insurance", label: "Insurance" },
+  { key: "hoa", label: "HOA" },
+  { key: "pmi", label: "PMI" }
+];
+
+// Yearly columns from an imported payment history, after the projected ones
+const ACTUAL_COLUMNS = [
+  { key: "actualPrincipal", label: "Actual Principal" },
+  { key: "actualInterest", label: "Actual Interest" },
+  { key: "actualBalance", label: "Actual Balance" }
+];
+
+// Re-projected figures are set in italics to tell them from the statement's
+const actualCellStyle = (actual) =>
+  actual && actual.reprojected ? { ...cellStyle, fontStyle: "italic" } : cellStyle;
+
+// Optional yearly columns in start-year dollars
+const REAL_COLUMNS = [
+  { key: "realPrincipal", label: "Principal (Real)" },
+  { key: "realInterest", label: "Interest (Real)" },
+  { key: "realRemainingBalance", label: "Balance (Real)" }
+];
+
+const MonthlyTable = ({ payments, showOwnershipCosts }) => {
+  const { formatCurrency, formatPaymentDate } = useFormatters();
+  // Statement-level detail needs cents
+  const formatCents = (value) => formatCurrency(value, 2);
+
+  return (
+    <table style={tableStyle}>
+      <thead>
+        <tr style={{ background: "#f3f4f6" }}>
+          <th style={headerCellStyle}>Payment #</th>
+          <th style={headerCellStyle}>Date</th>
+          <th style={headerCellStyle}>Payment</th>
+          <th style={headerCellStyle}>Principal</th>
+          <th style={headerCellStyle}>Interest</th>
+          <th style={headerCellStyle}>Extra Payment</th>
+          {showOwnershipCosts &&
+            OWNERSHIP_COLUMNS.map((column) => (
+              <th key={column.key} style={headerCellStyle}>
+                {column.label}
+              </th>
+            ))}
+          {showOwnershipCosts && <th style={headerCellStyle}>Total Payment</th>}
+          <th style={headerCellStyle}>Ending Balance</th>
+        </tr>
+      </thead>
+      <tbody>
+        {payments.map((row, index) => (
+          <tr
+            key={row.paymentNumber}
+            style={{
+              background: row.disruption
+                ? "#fef2f2"
+                : index % 2 === 0
+                  ? "#f9fafb"
+                  : "white"
+            }}
+          >
+            <td style={cellStyle}>{row.paymentNumber}</td>
+            <td style={cellStyle}>
+              {formatPaymentDate(row)}
+              {row.disruption && (
+                <span style={{ display: "block", fontSize: "0.75rem", color: "#b91c1c" }}>
+                  {disruptionLabel(row.disruption)}
+                </span>
+              )}
+            </td>
+            <td style={cellStyle}>{formatCents(row.payment)}</td>
+            <td style={cellStyle}>{formatCents(row.principal)}</td>
+            <td style={cellStyle}>{formatCents(row.interest)}</td>
+            <td style={cellStyle}>{formatCents(row.extraPayment)}</td>
+            {showOwnershipCosts &&
+              OWNERSHIP_COLUMNS.map((column) => (
+                <td key={column.key} style={cellStyle}>
+                  {formatCents(row[column.key])}
+                </td>
+              ))}
+            {showOwnershipCosts && (
+              <td style={cellStyle}>{formatCents(row.totalPayment)}</td>
+            )}
+            <td style={cellStyle}>{formatCents(row.balance)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// `actuals` are the yearly figures of an imported payment history (see
+// actualYearlyData), shown beside the projection; years the re-projection
+// runs past the projected payoff are added at the end
+const ScheduleTable = ({
+  yearlyData,
+  schedule,
+  showOwnershipCosts,
+  frequencyLabel = "Monthly",
+  actuals = []
+}) => {
+  const { formatCurrency, formatPercentage } = useFormatters();
+  const [monthlyView, setMonthlyView] = useState(false);
+  const [showRealValues, setShowRealValues] = useState(false);
+  const [expandedYears, setExpandedYears] = useState([]);
+
+  const actualsByYear = new Map(actuals.map((row) => [row.year, row]));
+  const lastYear = yearlyData.length ? yearlyData[yearlyData.length - 1].year : 0;
+  const laterActuals = actuals.filter((row) => row.year > lastYear);
+  const columnCount =
+    7 +
+    (showOwnershipCosts ? OWNERSHIP_COLUMNS.length : 0) +
+    (showRealValues ? REAL_COLUMNS.length : 0) +
+    (actuals.length ? ACTUAL_COLUMNS.length : 0);
+
+  const actualCells = (year) => {
+    const actual = actualsByYear.get(year);
+    return ACTUAL_COLUMNS.map((column) => (
+      <td key={column.key} style={actualCellStyle(actual)}>
+        {actual ? formatCurrency(actual[column.key]) : "—"}
+      </td>
+    ));
+  };
+
+  const toggleYear = (year) =>
+    setExpandedYears(
+      expandedYears.includes(year)
+        ? expandedYears.filter((y) => y !== year)
+        : [...expandedYears, year]
+    );
+
+  return (
+    <div style={{ overflowX: "auto", marginTop: "32px" }}>
+      <div className="no-print" style={{ marginBottom: "12px" }}>
+        <button onClick={() => setMonthlyView(!monthlyView)} style={secondaryButtonStyle}>
+          {monthlyView ? "Show Yearly Schedule" : `Show ${frequencyLabel} Schedule`}
+        </button>
+        {!monthlyView && (
+          <label style={{ marginLeft: "12px" }}>
+            <input
+              type="checkbox"
+              checked={showRealValues}
+              onChange={(e) => setShowRealValues(e.target.checked)}
+              style={{ marginRight: "6px" }}
+            />
+            Show inflation-adjusted columns
+          </label>
+        )}
+      </div>
+
+      {monthlyView ? (
+        <MonthlyTable payments={schedule} showOwnershipCosts={showOwnershipCosts} />
+      ) : (
+        <table style={tableStyle}>
+          <thead>
+            <tr style={{ background: "#f3f4f6" }}>
+              <th style={headerCellStyle}>Year</th>
+              <th style={headerCellStyle}>Principal Paid</th>
+              <th style={headerCellStyle}>Interest Paid</th>
+              <th style={headerCellStyle}>Extra Paid</th>
+              {showOwnershipCosts &&
+                OWNERSHIP_COLUMNS.map((column) => (
+                  <th key={column.key} style={headerCellStyle}>
+                    {column.label}
+                  </th>
+                ))}
+              <th style={headerCellStyle}>Principal %</th>
+              <th style={headerCellStyle}>Interest %</th>
+              <th style={headerCellStyle}>Remaining Balance</th>
+              {showRealValues &&
+                REAL_COLUMNS.map((column) => (
+                  <th key={column.key} style={headerCellStyle}>
+                    {column.label}
+                  </th>
+                ))}
+              {actuals.length > 0 &&
+                ACTUAL_COLUMNS.map((column) => (
+                  <th key={column.key} style={headerCellStyle}>
+                    {column.label}
+                  </th>
+                ))}
+            </tr>
+          </thead>
+          <tbody>
+            {yearlyData.map((data, index) => {
+              // The opening-balance row has no payments to drill into
+              const expandable = index > 0;
+              const expanded = expandable && expandedYears.includes(data.year);
+
+              return (
+                <React.Fragment key={data.year}>
+                  <tr style={{ background: index % 2 === 0 ? "#f9fafb" : "white" }}>
+                    <td style={cellStyle}>
+                      {expandable ? (
+                        <button
+                          onClick={() => toggleYear(data.year)}
+                          aria-expanded={expanded}
+                          style={{
+                            background: "none",
+                            border: "none",
+                            padding: 0,
+                            cursor: "pointer",
+                            font: "inherit"
+                          }}
+                        >
+                          {expanded ? "▾" : "▸"} {data.year}
+                        </button>
+                      ) : (
+                        data.year
+                      )}
+                    </td>
+                    <td style={cellStyle}>{formatCurrency(data.principal)}</td>
+                    <td style={cellStyle}>{formatCurrency(data.interest)}</td>
+                    <td style={cellStyle}>{formatCurrency(data.extraPayment)}</td>
+                    {showOwnershipCosts &&
+                      OWNERSHIP_COLUMNS.map((column) => (
+                        <td key={column.key} style={cellStyle}>
+                          {formatCurrency(data[column.key])}
+                        </td>
+                      ))}
+                    <td style={cellStyle}>{formatPercentage(data.principalPercentage)}</td>
+                    <td style={cellStyle}>{formatPercentage(data.interestPercentage)}</td>
+                    <td style={cellStyle}>{formatCurrency(data.remainingBalance)}</td>
+                    {showRealValues &&
+                      REAL_COLUMNS.map((column) => (
+                        <td key={column.key} style={cellStyle}>
+                          {formatCurrency(data[column.key])}
+                        </td>
+                      ))}
+                    {actuals.length > 0 && actualCells(data.year)}
+                  </tr>
+                  {expanded && (
+                    <tr>
+                      <td colSpan={columnCount} style={{ padding: "8px 16px 16px 32px" }}>
+                        <MonthlyTable
+                          payments={schedule.filter((row) => row.loanYear === data.loanYear)}
+                          showOwnershipCosts={showOwnershipCosts}
+                        />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+            {laterActuals.map((actual) => (
+              <tr key={actual.year}>
+                <td style={cellStyle}>{actual.year}</td>
+                <td colSpan={columnCount - 1 - ACTUAL_COLUMNS.length} style={cellStyle}>
+                  Past the projected payoff
+                </td>
+                {actualCells(actual.year)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {!monthlyView && actuals.length > 0 && (
+        <p style={{ fontSize: "0.75rem", color: "#4b5563" }}>
+          Actual columns in italics are re-projected from the real balance.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleTable;
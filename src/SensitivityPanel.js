@@ -0,0 +1,215 @@
+import React, { useState, useMemo } from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import SliderField from './SliderField';
+import { useFormatters } from './FormattingContext';
+import {
+  SENSITIVITY_METRICS,
+  defaultRangesFor,
+  buildSensitivityGrid,
+  buildTornado,
+  heatColor
+} from './sensitivity';
+import {
+  labelStyle,
+  inputStyle,
+  fieldStyle,
+  panelStyle,
+  sectionHeadingStyle
+} from './styles';
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))",
+  gap: "16px"
+};
+
+const cellStyle = {
+  padding: "6px 8px",
+  border: "1px solid #e5e7eb",
+  textAlign: "right",
+  fontSize: "0.8rem",
+  cursor: "pointer",
+  whiteSpace: "nowrap"
+};
+
+const headerCellStyle = {
+  ...cellStyle,
+  background: "#f9fafb",
+  fontWeight: 600,
+  cursor: "default"
+};
+
+// Rate × term heatmap of total interest or payment, and a tornado chart of
+// what moves the total cost most. Clicking a cell hands its rate and term
+// to `onApply`, which loads them into the simulator.
+const SensitivityPanel = ({ inputs, onApply }) => {
+  const { formatCurrency, formatRate } = useFormatters();
+  const [enabled, setEnabled] = useState(false);
+  const [ranges, setRanges] = useState(() => defaultRangesFor(inputs));
+  const [metric, setMetric] = useState("totalInterest");
+  const [percent, setPercent] = useState(10);
+
+  const grid = useMemo(
+    () => (enabled ? buildSensitivityGrid(inputs, ranges) : null),
+    [enabled, inputs, ranges]
+  );
+  const tornado = useMemo(
+    () => (enabled ? buildTornado(inputs, percent) : []),
+    [enabled, inputs, percent]
+  );
+
+  const rangeField = (label, key, rule, step) => (
+    <SliderField
+      label={label}
+      value={ranges[key]}
+      onChange={(value) => setRanges({ ...ranges, [key]: value })}
+      rule={rule}
+      step={step}
+    />
+  );
+
+  const isCurrent = (cell) =>
+    cell.interestRate === inputs.interestRate &&
+    cell.loanTermYears === inputs.loanTermYears;
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Sensitivity Analysis</h2>
+      <label style={{ ...labelStyle, display: "flex", gap: "8px", marginBottom: "12px" }}>
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => setEnabled(e.target.checked)}
+        />
+        Show how rate, term and the other inputs change the cost
+      </label>
+
+      {enabled && (
+        <>
+          <div style={gridStyle}>
+            {rangeField("Rate From (%)", "rateFrom", "interestRate", "0.25")}
+            {rangeField("Rate To (%)", "rateTo", "interestRate", "0.25")}
+            {rangeField("Rate Step (%)", "rateStep", "rateStep", "0.125")}
+            {rangeField("Term From (Years)", "termFrom", "loanTermYears", "1")}
+            {rangeField("Term To (Years)", "termTo", "loanTermYears", "1")}
+            {rangeField("Term Step (Years)", "termStep", "termStep", "1")}
+            <div style={fieldStyle}>
+              <label style={labelStyle}>Heatmap Shows</label>
+              <select
+                value={metric}
+                onChange={(e) => setMetric(e.target.value)}
+                style={inputStyle}
+              >
+                {Object.entries(SENSITIVITY_METRICS).map(([value, { label }]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div style={{ overflowX: "auto", margin: "16px 0" }}>
+            <table style={{ borderCollapse: "collapse", width: "100%" }}>
+              <thead>
+                <tr>
+                  <th style={headerCellStyle}>Rate \ Term</th>
+                  {grid.terms.map((term) => (
+                    <th key={term} style={headerCellStyle}>
+                      {term} yrs
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {grid.rows.map((row, i) => (
+                  <tr key={grid.rates[i]}>
+                    <th style={headerCellStyle}>{formatRate(grid.rates[i])}</th>
+                    {row.map((cell) => (
+                      <td
+                        key={cell.loanTermYears}
+                        title={
+                          `Load ${cell.interestRate}% over ` +
+                          `${cell.loanTermYears} years`
+                        }
+                        onClick={() =>
+                          onApply({
+                            interestRate: cell.interestRate,
+                            loanTermYears: cell.loanTermYears
+                          })
+                        }
+                        style={{
+                          ...cellStyle,
+                          background: heatColor(cell[metric], grid.extent[metric]),
+                          outline: isCurrent(cell) ? "2px solid #1f2937" : "none"
+                        }}
+                      >
+                        {formatCurrency(cell[metric])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p style={{ fontSize: "0.75rem", color: "#4b5563", marginTop: "8px" }}>
+              Click a cell to load its rate and term.
+            </p>
+          </div>
+
+          <div style={{ ...gridStyle, marginBottom: "8px" }}>
+            <SliderField
+              label="Tornado Change (± %)"
+              value={percent}
+              onChange={setPercent}
+              rule="sensitivityPercent"
+              step="1"
+            />
+          </div>
+          <div style={{ height: `${80 + tornado.length * 48}px`, width: "100%" }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={tornado} layout="vertical" stackOffset="sign">
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  type="number"
+                  tickFormatter={(value) => formatCurrency(value, 0, { compact: true })}
+                />
+                <YAxis type="category" dataKey="label" width={160} />
+                <Tooltip formatter={(value, name) => [formatCurrency(value), name]} />
+                <Legend />
+                <ReferenceLine x={0} stroke="#1f2937" />
+                <Bar
+                  dataKey="low"
+                  name={`Input −${percent}%`}
+                  stackId="swing"
+                  fill="#0ea5e9"
+                />
+                <Bar
+                  dataKey="high"
+                  name={`Input +${percent}%`}
+                  stackId="swing"
+                  fill="#f97316"
+                />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <p style={{ fontSize: "0.75rem", color: "#4b5563" }}>
+            Change in total cost (principal, interest and upfront charges) when
+            each input moves by {percent}%, largest effect first.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SensitivityPanel;
@@ -0,0 +1,113 @@
+import React, { useId, useState } from 'react';
+import { INPUT_LIMITS, clampValue } from './loanInputs';
+import { defaultFormatters } from './formatters';
+import { useFormatters } from './FormattingContext';
+import { labelStyle, inputStyle, fieldStyle } from './styles';
+
+const errorStyle = { fontSize: "0.75rem", color: "#b91c1c" };
+
+// Why `text` is not an acceptable value for the rule, or null if it is.
+// The text is read with `parseDecimal`, so in German "4,5" is 4.5.
+export const validateInput = (
+  text,
+  rule,
+  { integer = false, parseDecimal = defaultFormatters.parseDecimal } = {}
+) => {
+  const { min, max } = INPUT_LIMITS[rule] || {};
+  const value = parseDecimal(text);
+  if (!Number.isFinite(value)) return "Enter a number";
+  if (integer && !Number.isInteger(value)) return "Enter a whole number";
+  if ((min != null && value < min) || (max != null && value > max)) {
+    if (max == null) return `Must be at least ${min}`;
+    return `Must be between ${min} and ${max}`;
+  }
+  return null;
+};
+
+// A numeric input paired with a range slider. Typing is never clamped: the
+// text is kept as entered and only valid values reach `onChange`, with the
+// problem shown under the field. Leaving the field puts back the nearest
+// valid value. Numbers are shown and read in the current locale. `slider`
+// is { min, max } for the range, or omitted for a plain input.
+const SliderField = ({
+  label,
+  value,
+  onChange,
+  rule,
+  step,
+  integer = false,
+  slider,
+  children
+}) => {
+  const id = useId();
+  const { locale, formatInputNumber, parseDecimal } = useFormatters();
+  const [text, setText] = useState(() => formatInputNumber(value));
+  const [shown, setShown] = useState({ value, locale });
+
+  // Follow changes made elsewhere (a loaded scenario, the solver, a new
+  // locale) without overwriting what is being typed
+  if (value !== shown.value || locale !== shown.locale) {
+    setShown({ value, locale });
+    setText(formatInputNumber(value));
+  }
+
+  const error = validateInput(text, rule, { integer, parseDecimal });
+
+  const commit = (next) => {
+    setShown({ value: next, locale });
+    onChange(next);
+  };
+
+  const edit = (nextText) => {
+    setText(nextText);
+    if (!validateInput(nextText, rule, { integer, parseDecimal })) {
+      commit(parseDecimal(nextText));
+    }
+  };
+
+  const settle = () => {
+    if (!error) return;
+    const number = parseDecimal(text);
+    if (!Number.isFinite(number)) {
+      setText(formatInputNumber(value));
+      return;
+    }
+    const next = clampValue(integer ? Math.round(number) : number, INPUT_LIMITS[rule]);
+    setText(formatInputNumber(next));
+    commit(next);
+  };
+
+  return (
+    <div style={fieldStyle}>
+      <label htmlFor={id} style={labelStyle}>
+        {label}
+      </label>
+      <input
+        id={id}
+        type="text"
+        inputMode="decimal"
+        value={text}
+        aria-invalid={Boolean(error)}
+        onChange={(e) => edit(e.target.value)}
+        onBlur={settle}
+        style={{ ...inputStyle, borderColor: error ? "#f87171" : "#d1d5db" }}
+      />
+      {slider && (
+        <input
+          type="range"
+          aria-label={`${label} slider`}
+          min={slider.min}
+          max={slider.max}
+          step={step}
+          value={Math.min(slider.max, Math.max(slider.min, value))}
+          onChange={(e) => edit(formatInputNumber(Number(e.target.value)))}
+          style={{ width: "100%", marginTop: "4px" }}
+        />
+      )}
+      {error && <span style={errorStyle}>{error}</span>}
+      {children}
+    </div>
+  );
+};
+
+export default SliderField;
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import SliderField from './SliderField';
+import { useFormatters } from './FormattingContext';
+import {
+  solveLoanAmount,
+  solveInterestRate,
+  solveLoanTerm,
+  solveAffordability,
+  defaultAffordability
+} from './solver';
+import {
+  labelStyle,
+  inputStyle,
+  fieldStyle,
+  panelStyle,
+  sectionHeadingStyle,
+  primaryButtonStyle
+} from './styles';
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+  gap: "16px"
+};
+
+const SOLVE_MODES = {
+  loanAmount: "Loan amount",
+  interestRate: "Interest rate",
+  loanTermYears: "Loan term",
+  affordability: "Affordability (income & DTI)"
+};
+
+// Solve for one loan input from a payment budget, then hand the answer to
+// `onApply` so it replaces the current input and everything recalculates
+const SolverPanel = ({ inputs, onApply }) => {
+  const { formatCurrency, formatPercentage, currencySymbol } = useFormatters();
+  const [mode, setMode] = useState("loanAmount");
+  const [targetPayment, setTargetPayment] = useState(1500);
+  const [affordability, setAffordability] = useState(defaultAffordability);
+  const [message, setMessage] = useState(null);
+
+  // A solved loan amount keeps the down payment and moves the home price
+  const amountChanges = (loanAmount) =>
+    inputs.ownership.enabled
+      ? {
+          loanAmount,
+          ownership: {
+            ...inputs.ownership,
+            homePrice: loanAmount + inputs.ownership.downPayment
+          }
+        }
+      : { loanAmount };
+
+  const symbol = currencySymbol();
+  const perMonth = (payment) => `${formatCurrency(payment, 2)}/month`;
+
+  const solve = () => {
+    let result;
+    let changes;
+    let text;
+
+    if (mode === "affordability") {
+      result = solveAffordability(inputs, affordability);
+      if (result.value != null) {
+        changes = amountChanges(result.value);
+        text =
+          `Maximum loan ${formatCurrency(result.value)} for a housing payment of ` +
+          `${perMonth(result.maxHousingPayment)} (${result.limitedBy} limit)`;
+      }
+    } else if (mode === "interestRate") {
+      result = solveInterestRate(inputs, targetPayment);
+      if (result.value != null) {
+        changes = { interestRate: result.value };
+        text = `Rate ${formatPercentage(result.value, 3)} gives ${perMonth(result.payment)}`;
+      }
+    } else if (mode === "loanTermYears") {
+      result = solveLoanTerm(inputs, targetPayment);
+      if (result.value != null) {
+        changes = { loanTermYears: result.value };
+        text = `${result.value} years gives ${perMonth(result.payment)}`;
+      }
+    } else {
+      result = solveLoanAmount(inputs, targetPayment);
+      if (result.value != null) {
+        changes = amountChanges(result.value);
+        text = `${formatCurrency(result.value)} gives ${perMonth(result.payment)}`;
+      }
+    }
+
+    if (changes) {
+      onApply(changes);
+      setMessage({ text, ok: true });
+    } else {
+      setMessage({ text: result.problem, ok: false });
+    }
+  };
+
+  const affordabilityField = (label, key, rule) => (
+    <SliderField
+      label={label}
+      value={affordability[key]}
+      onChange={(value) => setAffordability({ ...affordability, [key]: value })}
+      rule={rule}
+    />
+  );
+
+  return (
+    <div className="no-print" style={panelStyle}>
+      <h2 style={sectionHeadingStyle}>Solve For</h2>
+      <div style={gridStyle}>
+        <div style={fieldStyle}>
+          <label style={labelStyle}>Solve For</label>
+          <select
+            value={mode}
+            onChange={(e) => {
+              setMode(e.target.value);
+              setMessage(null);
+            }}
+            style={inputStyle}
+          >
+            {Object.entries(SOLVE_MODES).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {mode === "affordability" ? (
+          <>
+            {affordabilityField(
+              `Gross Monthly Income (${symbol})`,
+              "monthlyIncome",
+              "costAmount"
+            )}
+            {affordabilityField(
+              `Other Monthly Debts (${symbol})`,
+              "monthlyDebts",
+              "costAmount"
+            )}
+            {affordabilityField("Front-End DTI Limit (%)", "frontEndDti", "dti")}
+            {affordabilityField("Back-End DTI Limit (%)", "backEndDti", "dti")}
+          </>
+        ) : (
+          <SliderField
+            label={`Target Monthly Payment (${symbol})`}
+            value={targetPayment}
+            onChange={setTargetPayment}
+            rule="costAmount"
+          />
+        )}
+      </div>
+
+      <button onClick={solve} style={primaryButtonStyle}>
+        Solve
+      </button>
+      {message && (
+        <p
+          style={{
+            marginTop: "8px",
+            fontSize: "0.875rem",
+            color: message.ok ? "#15803d" : "#b91c1c"
+          }}
+        >
+          {message.text}
+        </p>
+      )}
+      {mode === "affordability" && inputs.ownership.enabled && (
+        <p style={{ fontSize: "0.75rem", color: "#4b5563" }}>
+          Taxes, insurance, HOA and PMI from Cost of Ownership count toward the housing
+          payment.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SolverPanel;
@@ -0,0 +1,78 @@
+// Reshape schedules for the recharts components, which want one array of
+// rows keyed by the x-axis value.
+
+export const OVERLAY_COLORS = ["#0ea5e9", "#f97316", "#a855f7", "#14b8a6", "#e11d48", "#84cc16"];
+
+export const overlayKey = (id, field) => `overlay_${id}_${field}`;
+
+// Series tweening between states, so a dragged slider morphs the curves
+// rather than redrawing them
+export const SERIES_ANIMATION = {
+  animationDuration: 400,
+  animationEasing: "ease-in-out"
+};
+
+// Yearly fields kept when the current curves are pinned for comparison
+const PINNED_FIELDS = [
+  "remainingBalance",
+  "interestPercentage",
+  "cumulativePrincipal",
+  "cumulativeInterest",
+  "realCumulativePrincipal",
+  "realCumulativeInterest"
+];
+
+export const pinnedKey = (field) => `pinned_${field}`;
+
+// Snapshot of the current yearly curves as points for mergeByYear
+export const pinCurves = (yearlyData) =>
+  yearlyData.map((row) => ({
+    year: row.year,
+    ...Object.fromEntries(PINNED_FIELDS.map((field) => [pinnedKey(field), row[field]]))
+  }));
+
+// Add each overlay's remaining balance and cumulative interest (nominal and,
+// when present, inflation-adjusted) to the rows
+// of the current loan, matched by year. Years that only an overlay covers
+// get rows of their own.
+export const buildOverlayChartData = (yearlyData, overlays) => {
+  if (overlays.length === 0) return yearlyData;
+
+  const rowsByYear = new Map(yearlyData.map((row) => [row.year, { ...row }]));
+
+  overlays.forEach(({ id, yearlyData: overlayData }) => {
+    overlayData.forEach((row) => {
+      if (!rowsByYear.has(row.year)) rowsByYear.set(row.year, { year: row.year });
+      const merged = rowsByYear.get(row.year);
+      merged[overlayKey(id, "balance")] = row.remainingBalance;
+      merged[overlayKey(id, "cumulativeInterest")] = row.cumulativeInterest;
+      merged[overlayKey(id, "realCumulativeInterest")] = row.realCumulativeInterest;
+    });
+  });
+
+  return [...rowsByYear.values()].sort((a, b) => a.year - b.year);
+};
+
+// Merge points of the form { year, ...values } into rows keyed by year
+export const mergeByYear = (rows, points) => {
+  if (points.length === 0) return rows;
+
+  const rowsByYear = new Map(rows.map((row) => [row.year, { ...row }]));
+  points.forEach(({ year, ...values }) => {
+    rowsByYear.set(year, { ...(rowsByYear.get(year) || { year }), ...values });
+  });
+
+  return [...rowsByYear.values()].sort((a, b) => a.year - b.year);
+};
+
+// Balance series for an imported payment history (see actualYearlyData):
+// the actual balance up to the last year the statement covers, and the
+// re-projected balance from that year on so the two lines meet
+export const historyBalancePoints = (actualYears) => {
+  const lastActual = actualYears.filter((row) => !row.reprojected).pop();
+  return actualYears.map(({ year, actualBalance, reprojected }) => ({
+    year,
+    actualBalance: reprojected ? null : actualBalance,
+    reprojectedBalance: reprojected || year === lastActual.year ? actualBalance : null
+  }));
+};
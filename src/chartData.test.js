@@ -0,0 +1,63 @@
+import {
+  buildOverlayChartData,
+  overlayKey,
+  mergeByYear,
+  pinCurves,
+  pinnedKey,
+  historyBalancePoints
+} from './chartData';
+
+const row = (year, remainingBalance, cumulativeInterest) => ({
+  year,
+  remainingBalance,
+  cumulativeInterest
+});
+
+test('returns the current data untouched without overlays', () => {
+  const data = [row(2010, 100, 0)];
+  expect(buildOverlayChartData(data, [])).toBe(data);
+});
+
+test('merges overlay series by year, adding years only an overlay covers', () => {
+  const data = buildOverlayChartData(
+    [row(2010, 100, 0), row(2011, 50, 5)],
+    [{ id: 7, yearlyData: [row(2011, 80, 3), row(2012, 40, 6)] }]
+  );
+
+  expect(data.map((r) => r.year)).toEqual([2010, 2011, 2012]);
+  expect(data[1]).toMatchObject({
+    remainingBalance: 50,
+    [overlayKey(7, 'balance')]: 80,
+    [overlayKey(7, 'cumulativeInterest')]: 3
+  });
+  expect(data[2].remainingBalance).toBeUndefined();
+  expect(data[2][overlayKey(7, 'balance')]).toBe(40);
+});
+
+test('pinned curves keep the snapshot alongside later values', () => {
+  const pinned = pinCurves([row(2010, 100, 0), row(2011, 50, 5)]);
+  expect(pinned[1]).toMatchObject({
+    year: 2011,
+    [pinnedKey('remainingBalance')]: 50,
+    [pinnedKey('cumulativeInterest')]: 5
+  });
+
+  const data = mergeByYear([row(2010, 100, 0), row(2011, 60, 4)], pinned);
+  expect(data[1]).toMatchObject({
+    remainingBalance: 60,
+    [pinnedKey('remainingBalance')]: 50
+  });
+});
+
+test('history balance lines meet in the last year of the statement', () => {
+  const points = historyBalancePoints([
+    { year: 2020, actualBalance: 100, reprojected: false },
+    { year: 2021, actualBalance: 80, reprojected: false },
+    { year: 2022, actualBalance: 50, reprojected: true }
+  ]);
+  expect(points).toEqual([
+    { year: 2020, actualBalance: 100, reprojectedBalance: null },
+    { year: 2021, actualBalance: 80, reprojectedBalance: 80 },
+    { year: 2022, actualBalance: null, reprojectedBalance: 50 }
+  ]);
+});
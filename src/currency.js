@@ -0,0 +1,84 @@
+// Locales and currencies the simulator can display, and the money rounding
+// each currency implies. Minor units come from Intl, so JPY rounds to whole
+// yen and KWD to fils (three decimals).
+
+export const LOCALES = {
+  "en-US": { label: "English (United States)" },
+  "en-GB": { label: "English (United Kingdom)" },
+  "en-CA": { label: "English (Canada)" },
+  "en-IN": { label: "English (India)" },
+  "de-DE": { label: "Deutsch (Deutschland)" },
+  "fr-FR": { label: "Français (France)" },
+  "es-ES": { label: "Español (España)" },
+  "ja-JP": { label: "日本語 (日本)" }
+};
+
+export const CURRENCIES = {
+  USD: { label: "US Dollar" },
+  EUR: { label: "Euro" },
+  GBP: { label: "British Pound" },
+  CAD: { label: "Canadian Dollar" },
+  AUD: { label: "Australian Dollar" },
+  CHF: { label: "Swiss Franc" },
+  INR: { label: "Indian Rupee" },
+  JPY: { label: "Japanese Yen" },
+  KWD: { label: "Kuwaiti Dinar" }
+};
+
+// Decimal places of the currency's smallest unit, e.g. 2 for USD, 0 for JPY
+const minorUnits = new Map();
+export const minorUnitsOf = (currency) => {
+  if (!minorUnits.has(currency)) {
+    const format = new Intl.NumberFormat("en", { style: "currency", currency });
+    minorUnits.set(currency, format.resolvedOptions().maximumFractionDigits);
+  }
+  return minorUnits.get(currency);
+};
+
+// How an amount is brought to the currency's smallest unit. Half up rounds
+// halves away from zero, banker's rounding sends them to the even unit and
+// truncation drops the fraction, as some lenders do for interest.
+export const ROUNDING_MODES = {
+  halfUp: { label: "Round half up" },
+  halfEven: { label: "Banker's rounding (half to even)" },
+  truncate: { label: "Truncate" }
+};
+
+// Float noise within this fraction of a count, such as 30.000000000000004 or
+// 100.49999999999999, is read as the whole or half unit it stands for
+const NOISE = 1e-12;
+
+// Round a count of minor units to a whole count. Plain arithmetic rather
+// than toPrecision: the engine rounds a dozen amounts per row.
+export const roundUnits = (units, mode = "halfUp") => {
+  const sign = units < 0 ? -1 : 1;
+  const size = units * sign;
+  let whole = Math.floor(size);
+  let fraction = size - whole;
+  const tolerance = NOISE * (size > 1 ? size : 1);
+  if (fraction < tolerance) fraction = 0;
+  else if (1 - fraction < tolerance) {
+    whole++;
+    fraction = 0;
+  } else if (Math.abs(fraction - 0.5) < tolerance) fraction = 0.5;
+
+  let rounded = whole;
+  if (mode !== "truncate") {
+    const up = mode === "halfEven" && fraction === 0.5 ? whole % 2 === 1 : fraction >= 0.5;
+    if (up) rounded++;
+  }
+  return rounded === 0 ? 0 : sign * rounded;
+};
+
+// Number of minor units in `value`, e.g. 12.34 USD -> 1234. Without a
+// currency, cents.
+export const toMinorUnits = (value, currency) =>
+  roundUnits(value * Math.pow(10, currency ? minorUnitsOf(currency) : 2));
+
+// Function rounding amounts to the currency's smallest unit with `mode`.
+// Without a currency amounts are left unrounded.
+export const moneyRounder = (currency, mode = "halfUp") => {
+  if (!currency) return (value) => value;
+  const factor = Math.pow(10, minorUnitsOf(currency));
+  return (value) => roundUnits(value * factor, mode) / factor;
+};
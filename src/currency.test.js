@@ -0,0 +1,29 @@
+import { roundUnits, toMinorUnits, moneyRounder, minorUnitsOf } from './currency';
+
+test('reads each currency\'s minor unit from Intl', () => {
+  expect(minorUnitsOf('USD')).toBe(2);
+  expect(minorUnitsOf('JPY')).toBe(0);
+  expect(minorUnitsOf('KWD')).toBe(3);
+});
+
+test('rounds halves up, to even or not at all', () => {
+  expect([0.5, 1.5, 2.5, -2.5].map((units) => roundUnits(units))).toEqual([1, 2, 3, -3]);
+  expect([0.5, 1.5, 2.5, -2.5].map((units) => roundUnits(units, 'halfEven'))).toEqual([
+    0, 2, 2, -2
+  ]);
+  expect([1.99, -1.99].map((units) => roundUnits(units, 'truncate'))).toEqual([1, -1]);
+});
+
+test('ignores float noise around whole units', () => {
+  expect(roundUnits((0.1 + 0.2) * 10, 'truncate')).toBe(3);
+  expect(toMinorUnits(1.005, 'USD')).toBe(101);
+  expect(toMinorUnits(0.1 + 0.2)).toBe(30);
+});
+
+test('rounds amounts to the currency with the chosen mode', () => {
+  expect(moneyRounder('USD')(937.505)).toBe(937.51);
+  expect(moneyRounder('USD', 'halfEven')(937.505)).toBe(937.5);
+  expect(moneyRounder('USD', 'truncate')(937.509)).toBe(937.5);
+  expect(moneyRounder('JPY')(1234.5)).toBe(1235);
+  expect(moneyRounder()(1 / 3)).toBe(1 / 3);
+});
@@ -0,0 +1,87 @@
+// Payments that don't go as scheduled: single months that are skipped,
+// deferred or reduced, and a forbearance window of reduced or suspended
+// payments. The schedule builder asks which disruption, if any, applies to
+// each payment; what happens to the unpaid interest and to the term
+// afterwards are options of the loan.
+
+export const DISRUPTION_TYPES = {
+  skipped: { label: "Missed", lateFee: true },
+  deferred: { label: "Deferred (payment holiday)", lateFee: false },
+  reduced: { label: "Reduced", lateFee: true }
+};
+
+// Unpaid interest is either added to the balance, which is negative
+// amortization, or held interest-free and paid in one sum at payoff
+export const UNPAID_INTEREST_OPTIONS = {
+  capitalize: { label: "Capitalize into the balance" },
+  deferToMaturity: { label: "Defer to a lump sum at payoff" }
+};
+
+// After a disruption the payment is either recalculated over the remaining
+// term, or kept and the term extended until the balance is repaid
+export const RECOVERY_OPTIONS = {
+  reamortize: { label: "Re-amortize over the remaining term" },
+  extend: { label: "Keep the payment and extend the term" }
+};
+
+export const defaultDisruptions = {
+  events: [],
+  forbearance: {
+    enabled: false,
+    startYear: 2012,
+    startMonth: 1,
+    months: 6,
+    paymentPercent: 0
+  },
+  unpaidInterest: "capitalize",
+  recovery: "reamortize",
+  lateFee: 0
+};
+
+// Label of a schedule row's `disruption`
+export const disruptionLabel = (type) =>
+  type === "forbearance" ? "Forbearance" : DISRUPTION_TYPES[type].label;
+
+const monthIndex = (year, month) => year * 12 + month - 1;
+
+const inForbearance = ({ year, month }, forbearance) => {
+  if (!forbearance || !forbearance.enabled) return false;
+  const offset =
+    monthIndex(year, month) - monthIndex(forbearance.startYear, forbearance.startMonth);
+  return offset >= 0 && offset < forbearance.months;
+};
+
+// Disruption for a payment due in `when` (year and month), or null. Events
+// apply to every payment due in their month and take precedence over the
+// forbearance window. `payment` is what is paid instead of the scheduled
+// amount: a fixed amount, or a share of it (`paymentShare`).
+export const disruptionFor = (when, disruptions) => {
+  if (!disruptions) return null;
+  const { events = [], forbearance } = disruptions;
+  const event = events.find(
+    (entry) => entry.year === when.year && entry.month === when.month
+  );
+
+  if (event) {
+    return {
+      type: event.type,
+      payment: event.type === "reduced" ? Math.max(event.amount || 0, 0) : 0,
+      lateFee: DISRUPTION_TYPES[event.type]?.lateFee ? disruptions.lateFee || 0 : 0
+    };
+  }
+  if (inForbearance(when, forbearance)) {
+    return {
+      type: "forbearance",
+      paymentShare: forbearance.paymentPercent / 100,
+      lateFee: 0
+    };
+  }
+  return null;
+};
+
+export const hasDisruptions = (disruptions) =>
+  Boolean(
+    disruptions &&
+      ((disruptions.events || []).length > 0 ||
+        (disruptions.forbearance && disruptions.forbearance.enabled))
+  );
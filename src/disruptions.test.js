@@ -0,0 +1,48 @@
+import { defaultDisruptions, disruptionFor, hasDisruptions } from './disruptions';
+
+const disruptions = {
+  ...defaultDisruptions,
+  lateFee: 35,
+  events: [
+    { id: 1, year: 2012, month: 3, type: 'skipped' },
+    { id: 2, year: 2012, month: 4, type: 'deferred' },
+    { id: 3, year: 2012, month: 5, type: 'reduced', amount: 400 }
+  ],
+  forbearance: {
+    enabled: true,
+    startYear: 2012,
+    startMonth: 5,
+    months: 3,
+    paymentPercent: 50
+  }
+};
+
+test('missed and reduced payments pay a late fee, deferred ones do not', () => {
+  expect(disruptionFor({ year: 2012, month: 3 }, disruptions)).toEqual({
+    type: 'skipped',
+    payment: 0,
+    lateFee: 35
+  });
+  expect(disruptionFor({ year: 2012, month: 4 }, disruptions).lateFee).toBe(0);
+  expect(disruptionFor({ year: 2012, month: 5 }, disruptions)).toEqual({
+    type: 'reduced',
+    payment: 400,
+    lateFee: 35
+  });
+});
+
+test('forbearance covers its window and yields to events', () => {
+  expect(disruptionFor({ year: 2012, month: 6 }, disruptions)).toEqual({
+    type: 'forbearance',
+    paymentShare: 0.5,
+    lateFee: 0
+  });
+  expect(disruptionFor({ year: 2012, month: 7 }, disruptions).type).toBe('forbearance');
+  expect(disruptionFor({ year: 2012, month: 8 }, disruptions)).toBeNull();
+  expect(disruptionFor({ year: 2012, month: 6 }, null)).toBeNull();
+});
+
+test('the defaults disrupt nothing', () => {
+  expect(hasDisruptions(defaultDisruptions)).toBe(false);
+  expect(hasDisruptions(disruptions)).toBe(true);
+});
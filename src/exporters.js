@@ -0,0 +1,204 @@
+// Turn a calculated loan into plain rows for CSV and Excel export, and
+// hand the result to the browser as a download.
+
+import { defaultFormatters } from './formatters';
+import { PAYMENT_FREQUENCIES, LOAN_STRUCTURES, frequencyOf } from './loanEngine';
+import { moneyRounder } from './currency';
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Amounts are written to the currency's minor unit (fils for KWD, whole yen),
+// or to cents for a loan without a currency
+const amountRounder = (currency) => (currency ? moneyRounder(currency) : roundCents);
+
+// Label/value pairs matching the Loan Summary block, starting with the
+// currency the amounts are in. Dates are written with the given formatters,
+// US English by default.
+export const buildSummaryRows = (
+  inputs,
+  loan,
+  { formatPaymentDate } = defaultFormatters
+) => {
+  const { loanAmount, interestRate, loanTermYears, startYear, currency } = inputs;
+  const { totals, payment, monthlyPayment, monthlyComparison, worstCase } = loan;
+  const frequency = frequencyOf(inputs.paymentFrequency);
+  const roundAmount = amountRounder(currency);
+
+  const rows = [
+    ["Currency", currency],
+    ["Loan Amount", loanAmount],
+    ["Interest Rate (%)", interestRate],
+    ["APR (%)", Math.round(loan.apr * 1000) / 1000],
+    ["Loan Term (Years)", loanTermYears],
+    ["Start Year", startYear],
+    ["Monthly Payment", roundAmount(monthlyPayment)],
+    ["Total Interest", roundAmount(totals.totalInterest)],
+    ["Total Cost", roundAmount(totals.totalCost)],
+    ["Interest to Principal Ratio (%)", roundCents(totals.interestRatio)],
+    ["Effective Rate (%)", Math.round(loan.effectiveRate * 1000) / 1000],
+    ["Upfront Charges", roundAmount(totals.upfrontCharges)],
+    ["True Cost", roundAmount(totals.trueCost)],
+    ["Number of Payments", totals.numberOfPayments],
+    ["Interest Saved", roundAmount(totals.interestSaved)],
+    ["Months Saved", totals.monthsSaved]
+  ];
+
+  if (inputs.structure && inputs.structure.type !== "amortizing") {
+    rows.push(["Loan Type", LOAN_STRUCTURES[inputs.structure.type].label]);
+    rows.push(["Final Payment", roundAmount(loan.finalPayment)]);
+  }
+
+  if (loan.balloon) {
+    rows.push(["Balloon Payment", roundAmount(loan.balloon.amount)]);
+    rows.push(["Balloon Due", formatPaymentDate(loan.balloon)]);
+  }
+
+  if (frequency !== PAYMENT_FREQUENCIES.monthly) {
+    rows.push(["Payment Frequency", frequency.label]);
+    rows.push([`${frequency.label} Payment`, roundAmount(payment)]);
+    rows.push(["Interest Saved vs Monthly", roundAmount(monthlyComparison.interestSaved)]);
+  }
+
+  if (inputs.ownership && inputs.ownership.enabled) {
+    const [first] = loan.schedule;
+    rows.push(["Home Price", inputs.ownership.homePrice]);
+    rows.push(["Down Payment", inputs.ownership.downPayment]);
+    rows.push([
+      `${frequency.label} Payment (PITI)`,
+      roundAmount(first ? first.totalPayment : 0)
+    ]);
+    rows.push(["Total Property Tax", roundAmount(totals.totalPropertyTax)]);
+    rows.push(["Total Insurance", roundAmount(totals.totalInsurance)]);
+    rows.push(["Total HOA", roundAmount(totals.totalHoa)]);
+    rows.push(["Total PMI", roundAmount(totals.totalPmi)]);
+    rows.push(["Total Cost of Ownership", roundAmount(totals.totalOwnershipCost)]);
+  }
+
+  if (loan.disruptionImpact) {
+    rows.push(["Disrupted Payments", loan.disruptionImpact.disruptedPayments]);
+    rows.push(["Capitalized Interest", roundAmount(totals.totalCapitalizedInterest)]);
+    rows.push(["Deferred Interest Paid at Payoff", roundAmount(totals.totalDeferredInterest)]);
+    rows.push(["Late Fees", roundAmount(totals.totalLateFees)]);
+  }
+
+  if (worstCase) {
+    rows.push(["Worst-Case Payment", roundAmount(worstCase.payment)]);
+    rows.push(["Worst-Case Rate (%)", worstCase.rate]);
+  }
+
+  return rows;
+};
+
+export const buildYearlyTable = (yearlyData, { currency } = defaultFormatters) => {
+  const roundAmount = amountRounder(currency);
+  return {
+    headers: [
+      "Year",
+      "Principal Paid",
+      "Interest Paid",
+      "Extra Paid",
+      "Principal %",
+      "Interest %",
+      "Remaining Balance"
+    ],
+    rows: yearlyData.map((data) => [
+      data.year,
+      roundAmount(data.principal),
+      roundAmount(data.interest),
+      roundAmount(data.extraPayment),
+      roundCents(data.principalPercentage),
+      roundCents(data.interestPercentage),
+      roundAmount(data.remainingBalance)
+    ])
+  };
+};
+
+export const buildMonthlyTable = (
+  schedule,
+  { formatPaymentDate, currency } = defaultFormatters
+) => {
+  const roundAmount = amountRounder(currency);
+  return {
+    headers: [
+      "Payment #",
+      "Date",
+      "Payment",
+      "Principal",
+      "Interest",
+      "Extra Payment",
+      "Ending Balance"
+    ],
+    rows: schedule.map((row) => [
+      row.paymentNumber,
+      formatPaymentDate(row),
+      roundAmount(row.payment),
+      roundAmount(row.principal),
+      roundAmount(row.interest),
+      roundAmount(row.extraPayment),
+      roundAmount(row.balance)
+    ])
+  };
+};
+
+const escapeCsvValue = (value) => {
+  const text = value == null ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLines = (rows) => rows.map((row) => row.map(escapeCsvValue).join(","));
+
+// Summary block, a blank line, then the schedule table
+export const buildCsv = (summaryRows, table) =>
+  [
+    "Loan Summary",
+    ...toCsvLines(summaryRows),
+    "",
+    ...toCsvLines([table.headers, ...table.rows])
+  ].join("\r\n");
+
+export const downloadFile = (filename, content, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export const exportCsv = (filename, summaryRows, table) =>
+  downloadFile(filename, buildCsv(summaryRows, table), "text/csv;charset=utf-8");
+
+const addTableSheet = (workbook, name, table) => {
+  const sheet = workbook.addWorksheet(name);
+  sheet.addRow(table.headers).font = { bold: true };
+  table.rows.forEach((row) => sheet.addRow(row));
+  sheet.columns.forEach((column) => {
+    column.width = 18;
+  });
+  return sheet;
+};
+
+// Workbook with a Summary sheet and one sheet per schedule view. exceljs is
+// loaded on demand so it stays out of the main bundle.
+export const exportXlsx = async (filename, summaryRows, tables) => {
+  const { default: ExcelJS } = await import("exceljs");
+  const workbook = new ExcelJS.Workbook();
+
+  const summary = workbook.addWorksheet("Summary");
+  summaryRows.forEach((row) => summary.addRow(row));
+  summary.getColumn(1).width = 32;
+  summary.getColumn(2).width = 18;
+
+  Object.entries(tables).forEach(([name, table]) => addTableSheet(workbook, name, table));
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  downloadFile(
+    filename,
+    new Blob([buffer], {
+      type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    })
+  );
+};
@@ -0,0 +1,65 @@
+import { calculateLoan } from './loanEngine';
+import { createFormatters } from './formatters';
+import {
+  buildSummaryRows,
+  buildYearlyTable,
+  buildMonthlyTable,
+  buildCsv
+} from './exporters';
+
+const inputs = {
+  loanAmount: 250000,
+  interestRate: 4.5,
+  loanTermYears: 30,
+  startYear: 2010
+};
+const loan = calculateLoan(inputs);
+
+test('summary rows mirror the Loan Summary block', () => {
+  const rows = Object.fromEntries(buildSummaryRows(inputs, loan));
+  expect(rows['Loan Amount']).toBe(250000);
+  expect(rows['Monthly Payment']).toBe(1266.71);
+  expect(rows['Number of Payments']).toBe(360);
+  expect(rows['Worst-Case Payment']).toBeUndefined();
+});
+
+test('schedule tables have one row per year or payment', () => {
+  const yearly = buildYearlyTable(loan.yearlyData);
+  const monthly = buildMonthlyTable(loan.schedule);
+  expect(yearly.rows).toHaveLength(31);
+  expect(monthly.rows).toHaveLength(360);
+  expect(monthly.rows[0].slice(0, 3)).toEqual([1, 'Jan 2011', 1266.71]);
+  expect(monthly.headers).toHaveLength(monthly.rows[0].length);
+});
+
+test('amounts keep the minor unit of the loan currency', () => {
+  const dinars = { ...inputs, currency: 'KWD' };
+  const dinarLoan = calculateLoan(dinars);
+  const formatters = createFormatters({ locale: 'en-US', currency: 'KWD' });
+  const rows = Object.fromEntries(buildSummaryRows(dinars, dinarLoan, formatters));
+  const [first] = buildMonthlyTable(dinarLoan.schedule, formatters).rows;
+  const [year] = buildYearlyTable(dinarLoan.yearlyData, formatters).rows;
+
+  expect(rows.Currency).toBe('KWD');
+  expect(rows['Monthly Payment']).toBe(1266.713);
+  expect(first.slice(2, 5)).toEqual([
+    1266.713,
+    dinarLoan.schedule[0].principal,
+    dinarLoan.schedule[0].interest
+  ]);
+  expect(year[2]).toBe(dinarLoan.yearlyData[0].interest);
+});
+
+test('CSV puts the summary above the schedule and escapes values', () => {
+  const csv = buildCsv([['Name', 'Smith, "Jo"']], {
+    headers: ['Year', 'Balance'],
+    rows: [[2011, 100.5]]
+  });
+  expect(csv.split('\r\n')).toEqual([
+    'Loan Summary',
+    'Name,"Smith, ""Jo"""',
+    '',
+    'Year,Balance',
+    '2011,100.5'
+  ]);
+});
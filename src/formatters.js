@@ -0,0 +1,135 @@
+// Display helpers shared by the simulator's panels, tables and charts. Each
+// set is bound to one locale and currency by createFormatters; components
+// get the simulator's set through useFormatters (FormattingContext.js), so
+// nothing here depends on what was rendered last.
+
+import { minorUnitsOf } from './currency';
+
+const formats = new Map();
+
+// Intl formatters are slow to build, so one is kept per locale and options
+const cached = (locale, kind, options) => {
+  const key = `${kind}|${locale}|${JSON.stringify(options)}`;
+  if (!formats.has(key)) {
+    formats.set(
+      key,
+      kind === "date"
+        ? new Intl.DateTimeFormat(locale, { ...options, timeZone: "UTC" })
+        : new Intl.NumberFormat(locale, options)
+    );
+  }
+  return formats.get(key);
+};
+
+const buildFormatters = ({ locale, currency }) => {
+  const number = (options) => cached(locale, "number", options);
+  const date = (options) => cached(locale, "date", options);
+
+  // Format as currency, in whole units unless asked for cents. The digits
+  // never exceed the currency's minor unit, so yen always show whole yen.
+  // `compact` abbreviates large amounts for chart axes, e.g. "$250K".
+  const formatCurrency = (value, fractionDigits = 0, { compact = false } = {}) => {
+    if (compact) {
+      return number({
+        style: "currency",
+        currency,
+        notation: "compact",
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 1
+      }).format(value);
+    }
+    const digits = Math.min(fractionDigits, minorUnitsOf(currency));
+    return number({
+      style: "currency",
+      currency,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }).format(value);
+  };
+
+  // Format a percentage given in percent, e.g. 4.5 -> "4.50%"
+  const formatPercentage = (value, fractionDigits = 2) =>
+    number({
+      style: "percent",
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }).format(value / 100);
+
+  // A rate as entered, with up to three decimals, e.g. 4.5 -> "4.5%"
+  const formatRate = (value) =>
+    number({ style: "percent", maximumFractionDigits: 3 }).format(value / 100);
+
+  // Plain number with a fixed number of decimals, e.g. a ratio
+  const formatNumber = (value, fractionDigits = 2) =>
+    number({
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }).format(value);
+
+  // Symbol of the currency, for labels such as "Loan Amount ($)"
+  const currencySymbol = () =>
+    number({ style: "currency", currency })
+      .formatToParts(0)
+      .find((part) => part.type === "currency").value;
+
+  // Short month names in the locale, January first
+  const monthNames = () =>
+    Array.from({ length: 12 }, (_, i) =>
+      date({ month: "short" }).format(Date.UTC(2000, i, 1))
+    );
+
+  // Format a schedule row's due date, e.g. "Mar 2012"
+  const formatPaymentDate = ({ year, month }) =>
+    date({ month: "short", year: "numeric" }).format(Date.UTC(year, month - 1, 1));
+
+  // A number as it should appear in an input: no grouping, the locale's
+  // decimal separator
+  const formatInputNumber = (value) =>
+    number({ useGrouping: false, maximumFractionDigits: 10 }).format(value);
+
+  // Read a number typed in the locale. Group separators are dropped and the
+  // locale's decimal separator is accepted, but a plain "." still works as
+  // a decimal point where "." groups thousands unless the text is clearly
+  // grouped ("1.500.000"). Returns NaN for anything else.
+  const parseDecimal = (text) => {
+    const parts = number({}).formatToParts(1234567.5);
+    const group = (parts.find((part) => part.type === "group") || {}).value;
+    const decimal = parts.find((part) => part.type === "decimal").value;
+
+    let normalized = String(text).trim().replace(/[\s']/g, "");
+    if (group === ".") {
+      if (/^-?\d{1,3}(\.\d{3})+(,\d*)?$/.test(normalized)) {
+        normalized = normalized.replace(/\./g, "");
+      }
+    } else if (group && group.trim()) {
+      normalized = normalized.split(group).join("");
+    }
+    if (decimal !== ".") normalized = normalized.replace(decimal, ".");
+    return normalized === "" ? NaN : Number(normalized);
+  };
+
+  return {
+    locale,
+    currency,
+    formatCurrency,
+    formatPercentage,
+    formatRate,
+    formatNumber,
+    currencySymbol,
+    monthNames,
+    formatPaymentDate,
+    formatInputNumber,
+    parseDecimal
+  };
+};
+
+// One set per locale and currency, so a set can be compared by identity and
+// a table can format each row in its own currency cheaply
+const sets = new Map();
+export const createFormatters = ({ locale, currency }) => {
+  const key = `${locale}|${currency}`;
+  if (!sets.has(key)) sets.set(key, buildFormatters({ locale, currency }));
+  return sets.get(key);
+};
+
+export const defaultFormatters = createFormatters({ locale: "en-US", currency: "USD" });
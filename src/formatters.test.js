@@ -0,0 +1,47 @@
+import { createFormatters, defaultFormatters } from './formatters';
+
+// Intl separates some currency amounts with a no-break space
+const spaced = (text) => text.replace(/\s/g, ' ');
+
+test('formats in US dollars by default', () => {
+  const { formatCurrency, formatPercentage, formatRate, formatPaymentDate } =
+    defaultFormatters;
+  expect(formatCurrency(1234.5)).toBe('$1,235');
+  expect(formatCurrency(1234.5, 2)).toBe('$1,234.50');
+  expect(formatCurrency(250000, 0, { compact: true })).toBe('$250K');
+  expect(formatPercentage(4.5, 3)).toBe('4.500%');
+  expect(formatRate(4.5)).toBe('4.5%');
+  expect(formatPaymentDate({ year: 2011, month: 1 })).toBe('Jan 2011');
+});
+
+test('follows the given locale and currency', () => {
+  const german = createFormatters({ locale: 'de-DE', currency: 'EUR' });
+  expect(spaced(german.formatCurrency(1234.5, 2))).toBe('1.234,50 €');
+  expect(spaced(german.formatPercentage(4.5))).toBe('4,50 %');
+  expect(german.currencySymbol()).toBe('€');
+  expect(german.formatInputNumber(1234.5)).toBe('1234,5');
+  // Other sets are unaffected
+  expect(defaultFormatters.formatCurrency(1234.5, 2)).toBe('$1,234.50');
+  expect(createFormatters({ locale: 'de-DE', currency: 'EUR' })).toBe(german);
+});
+
+test('never shows fractions of a yen', () => {
+  const { formatCurrency } = createFormatters({ locale: 'ja-JP', currency: 'JPY' });
+  expect(formatCurrency(1234.56, 2)).toBe('￥1,235');
+});
+
+test('reads numbers typed in the locale', () => {
+  const { parseDecimal } = defaultFormatters;
+  expect(parseDecimal('1,234.5')).toBe(1234.5);
+  expect(parseDecimal('')).toBeNaN();
+  expect(parseDecimal('abc')).toBeNaN();
+
+  const german = createFormatters({ locale: 'de-DE', currency: 'EUR' });
+  expect(german.parseDecimal('4,5')).toBe(4.5);
+  expect(german.parseDecimal('4.5')).toBe(4.5);
+  expect(german.parseDecimal('1.500.000')).toBe(1500000);
+  expect(german.parseDecimal('250.000,75')).toBe(250000.75);
+
+  const french = createFormatters({ locale: 'fr-FR', currency: 'EUR' });
+  expect(french.parseDecimal('250 000,5')).toBe(250000.5);
+});
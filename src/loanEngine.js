@@ -0,0 +1,1040 @@
+// Pure amortization math shared by the simulator, the scenario table and
+// any scripts that need a schedule. Nothing in here depends on React.
+
+import { moneyRounder, toMinorUnits } from './currency';
+import { disruptionFor, hasDisruptions } from './disruptions';
+
+// Supported payment schedules. Accelerated biweekly pays half the monthly
+// payment every two weeks, which adds up to one extra monthly payment a year.
+export const PAYMENT_FREQUENCIES = {
+  monthly: { label: "Monthly", periodsPerYear: 12 },
+  semiMonthly: { label: "Semi-monthly", periodsPerYear: 24 },
+  biweekly: { label: "Biweekly", periodsPerYear: 26 },
+  acceleratedBiweekly: {
+    label: "Accelerated Biweekly",
+    periodsPerYear: 26,
+    accelerated: true
+  },
+  weekly: { label: "Weekly", periodsPerYear: 52 },
+  quarterly: { label: "Quarterly", periodsPerYear: 4 }
+};
+
+export const frequencyOf = (paymentFrequency) =>
+  PAYMENT_FREQUENCIES[paymentFrequency] || PAYMENT_FREQUENCIES.monthly;
+
+export const periodsPerYearOf = (paymentFrequency) =>
+  frequencyOf(paymentFrequency).periodsPerYear;
+
+// How often a nominal annual rate compounds. "perPayment" compounds once
+// per payment period, the usual US convention; Canadian fixed-rate
+// mortgages compound semi-annually.
+export const COMPOUNDING_OPTIONS = {
+  perPayment: { label: "Each payment", periodsPerYear: null },
+  monthly: { label: "Monthly", periodsPerYear: 12 },
+  semiAnnual: { label: "Semi-annually (Canada)", periodsPerYear: 2 },
+  annual: { label: "Annually", periodsPerYear: 1 },
+  daily: { label: "Daily", periodsPerYear: 365 }
+};
+
+// How interest accrues between payments. "periodic" charges the same
+// periodic rate every payment; the others accrue simple interest over the
+// days between calendar payment dates, and ignore the compounding setting.
+export const DAY_COUNT_CONVENTIONS = {
+  periodic: { label: "Equal periods" },
+  actual365: { label: "Actual/365", basis: 365 },
+  actual360: { label: "Actual/360", basis: 360 },
+  thirty360: { label: "30/360", basis: 360 }
+};
+
+// Interest rate per payment period for an annual nominal rate (%)
+export const periodicRateFor = (annualRate, periodsPerYear, compounding) => {
+  const compoundsPerYear = COMPOUNDING_OPTIONS[compounding]?.periodsPerYear;
+  if (!compoundsPerYear || compoundsPerYear === periodsPerYear) {
+    return annualRate / 100 / periodsPerYear;
+  }
+  const ratePerCompounding = annualRate / 100 / compoundsPerYear;
+  return Math.pow(1 + ratePerCompounding, compoundsPerYear / periodsPerYear) - 1;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar date (UTC) of a payment. The loan is funded on the 1st of
+// `startMonth` in `startYear` (payment 0) and the first payment falls one
+// month later, or one quarter later for quarterly loans. Weekly and
+// biweekly payments then follow every 7 or 14 days.
+export const paymentCalendarDate = (
+  { startYear, startMonth = 12, paymentFrequency },
+  paymentNumber
+) => {
+  const periodsPerYear = periodsPerYearOf(paymentFrequency);
+  const monthsAfterStart = (months, day = 1) =>
+    new Date(Date.UTC(startYear, startMonth - 1 + months, day));
+  if (paymentNumber === 0) return monthsAfterStart(0);
+
+  switch (periodsPerYear) {
+    case 12:
+      return monthsAfterStart(paymentNumber);
+    case 24:
+      return monthsAfterStart(Math.ceil(paymentNumber / 2), paymentNumber % 2 ? 1 : 16);
+    case 26:
+    case 52: {
+      const days = ((paymentNumber - 1) * 364) / periodsPerYear;
+      return new Date(monthsAfterStart(1).getTime() + days * DAY_MS);
+    }
+    default:
+      return monthsAfterStart(Math.round((paymentNumber * 12) / periodsPerYear));
+  }
+};
+
+// Payment dates depend only on the start and the frequency, and building
+// them dominates the cost of a schedule, so each calendar is built once
+// and shared by every schedule that walks it (baseline, comparisons,
+// solver and simulation runs). Only the most recent few are kept.
+const CALENDAR_CACHE_SIZE = 8;
+const calendars = new Map();
+
+const calendarEntry = (loan, paymentNumber) => {
+  const { startYear, startMonth = 12, paymentFrequency } = loan;
+  const key = `${startYear}-${startMonth}-${periodsPerYearOf(paymentFrequency)}`;
+  let calendar = calendars.get(key);
+  if (!calendar) {
+    calendar = [];
+    calendars.set(key, calendar);
+    if (calendars.size > CALENDAR_CACHE_SIZE) {
+      calendars.delete(calendars.keys().next().value);
+    }
+  }
+
+  if (!calendar[paymentNumber]) {
+    const date = paymentCalendarDate(loan, paymentNumber);
+    calendar[paymentNumber] = {
+      date,
+      when: Object.freeze({
+        loanYear: Math.ceil(paymentNumber / periodsPerYearOf(paymentFrequency)),
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        date: date.toISOString().slice(0, 10)
+      })
+    };
+  }
+  return calendar[paymentNumber];
+};
+
+// Loan year, calendar year/month and ISO date of a payment. Loan year 1 is
+// labelled startYear + 1 in the yearly rollups. The result is shared, so
+// copy it rather than changing it.
+export const paymentDate = (loan, paymentNumber) =>
+  calendarEntry(loan, paymentNumber).when;
+
+// Loan year a calendar month falls in: loan year 1 is the twelve months
+// after the start month, so it lines up with the yearly rollups' labels.
+// Months up to the start are loan year 0.
+export const loanYearOfMonth = ({ startYear, startMonth = 12 }, { year, month }) =>
+  Math.max(Math.ceil((year * 12 + month - (startYear * 12 + startMonth)) / 12), 0);
+
+// Fraction of a year between two payment dates under a day-count convention
+export const dayCountFraction = (from, to, dayCount) => {
+  if (dayCount === "thirty360") {
+    const fromDay = Math.min(from.getUTCDate(), 30);
+    const toDay = to.getUTCDate() === 31 && fromDay === 30 ? 30 : to.getUTCDate();
+    const days =
+      360 * (to.getUTCFullYear() - from.getUTCFullYear()) +
+      30 * (to.getUTCMonth() - from.getUTCMonth()) +
+      (toDay - fromDay);
+    return days / 360;
+  }
+  return Math.round((to - from) / DAY_MS) / DAY_COUNT_CONVENTIONS[dayCount].basis;
+};
+
+// Day count and compounding a loan's interest follows. Day-count
+// conventions accrue on calendar days, so their compounding is per payment.
+const accrualOf = (loan) => {
+  const dayCount = DAY_COUNT_CONVENTIONS[loan.dayCount] ? loan.dayCount : "periodic";
+  const compounding = dayCount === "periodic" ? loan.compounding : "perPayment";
+  return { dayCount, compounding };
+};
+
+// Share of the balance charged as interest by each row of `schedule`, as
+// buildSchedule charges it, so other planners can accrue the same way
+export const periodRates = (loan, schedule) => {
+  const { dayCount, compounding } = accrualOf(loan);
+  const periodsPerYear = periodsPerYearOf(loan.paymentFrequency);
+  let previous = calendarEntry(loan, 0).date;
+  return schedule.map((row) => {
+    const { date } = calendarEntry(loan, row.paymentNumber);
+    const rate =
+      dayCount === "periodic"
+        ? periodicRateFor(row.rate, periodsPerYear, compounding)
+        : (row.rate / 100) * dayCountFraction(previous, date, dayCount);
+    previous = date;
+    return rate;
+  });
+};
+
+// Level payment that fully amortizes `principal` over `totalPayments` periods
+export const calculatePayment = (principal, periodicRate, totalPayments) => {
+  if (totalPayments <= 0) return 0;
+  if (periodicRate === 0) return principal / totalPayments;
+  const growth = Math.pow(1 + periodicRate, totalPayments);
+  return (principal * (periodicRate * growth)) / (growth - 1);
+};
+
+export const calculateMonthlyPayment = ({ loanAmount, interestRate, loanTermYears }) =>
+  calculatePayment(loanAmount, interestRate / 100 / 12, loanTermYears * 12);
+
+// Per-payment amounts that are totalled in the yearly rollups
+const YEARLY_SUM_FIELDS = [
+  "principal",
+  "interest",
+  "extraPayment",
+  "capitalizedInterest",
+  "lateFee",
+  "propertyTax",
+  "insurance",
+  "hoa",
+  "pmi"
+];
+
+const emptyYearTotals = () =>
+  Object.fromEntries(YEARLY_SUM_FIELDS.map((field) => [field, 0]));
+
+// Roll monthly rows up into one row per calendar year of the loan, with a
+// leading row for the opening balance. Years after payoff are dropped.
+export const buildYearlyData = (schedule, { loanAmount, startYear }) => {
+  const yearlyData = [
+    {
+      year: startYear,
+      loanYear: 0,
+      remainingBalance: loanAmount,
+      ...emptyYearTotals(),
+      principalPercentage: 0,
+      interestPercentage: 100,
+      cumulativePrincipal: 0,
+      cumulativeInterest: 0
+    }
+  ];
+
+  const rowsByYear = [];
+  schedule.forEach((row) => {
+    if (!rowsByYear[row.loanYear]) rowsByYear[row.loanYear] = [];
+    rowsByYear[row.loanYear].push(row);
+  });
+
+  let balance = loanAmount;
+  let cumulativePrincipal = 0;
+  let cumulativeInterest = 0;
+
+  const payoffYear = schedule.length ? schedule[schedule.length - 1].loanYear : 0;
+
+  for (let year = 1; year <= payoffYear; year++) {
+    const rows = rowsByYear[year] || [];
+    const totals = emptyYearTotals();
+
+    for (const row of rows) {
+      YEARLY_SUM_FIELDS.forEach((field) => {
+        totals[field] += row[field] || 0;
+      });
+      balance = row.balance;
+    }
+
+    cumulativePrincipal += totals.principal;
+    cumulativeInterest += totals.interest;
+
+    const totalYearlyPayment = totals.principal + totals.interest;
+    yearlyData.push({
+      year: startYear + year,
+      loanYear: year,
+      remainingBalance: balance,
+      ...totals,
+      principalPercentage:
+        totalYearlyPayment > 0 ? (totals.principal / totalYearlyPayment) * 100 : 0,
+      interestPercentage:
+        totalYearlyPayment > 0 ? (totals.interest / totalYearlyPayment) * 100 : 0,
+      cumulativePrincipal,
+      cumulativeInterest
+    });
+  }
+
+  return yearlyData;
+};
+
+// First payment where principal exceeds interest
+export const findCrossover = (schedule, { loanTermYears, paymentFrequency }) => {
+  const periodsPerYear = periodsPerYearOf(paymentFrequency);
+  const totalPayments = loanTermYears * periodsPerYear;
+  const row = schedule.find((r) => r.principal > r.interest);
+  const paymentNumber = row ? row.paymentNumber : null;
+
+  return {
+    paymentNumber,
+    loanYear: paymentNumber ? row.loanYear : null,
+    year: paymentNumber ? row.year + row.month / 12 : null,
+    yearFraction: paymentNumber ? (paymentNumber / periodsPerYear).toFixed(1) : "N/A",
+    percentageOfTerm: paymentNumber
+      ? ((paymentNumber / totalPayments) * 100).toFixed(2)
+      : "N/A"
+  };
+};
+
+// First year in which the balance is at or below half the original amount
+export const findEquityCrossoverYear = (yearlyData, { loanAmount }) => {
+  const row = yearlyData.find((r) => r.remainingBalance <= loanAmount / 2);
+  return row ? row.year : null;
+};
+
+export const summarizeSchedule = (schedule, { loanAmount }) => {
+  const sumOf = (field) => schedule.reduce((sum, row) => sum + (row[field] || 0), 0);
+  const totalInterest = sumOf("interest");
+  const totalPrincipal = sumOf("principal");
+  // Capitalized interest is repaid as principal, so it only counts once
+  const totalCapitalizedInterest = sumOf("capitalizedInterest");
+  const totalCost = totalInterest + totalPrincipal - totalCapitalizedInterest;
+  const totalPropertyTax = sumOf("propertyTax");
+  const totalInsurance = sumOf("insurance");
+  const totalHoa = sumOf("hoa");
+  const totalPmi = sumOf("pmi");
+
+  return {
+    numberOfPayments: schedule.length,
+    totalInterest,
+    totalPrincipal,
+    totalCost,
+    interestRatio: loanAmount > 0 ? (totalInterest / loanAmount) * 100 : 0,
+    totalPropertyTax,
+    totalInsurance,
+    totalHoa,
+    totalPmi,
+    totalOwnershipCost: totalCost + totalPropertyTax + totalInsurance + totalHoa + totalPmi,
+    totalCapitalizedInterest,
+    totalDeferredInterest: sumOf("deferredInterestPaid"),
+    totalLateFees: sumOf("lateFee")
+  };
+};
+
+// First payment without PMI after it had been charged, or null
+export const findPmiDropOff = (schedule) => {
+  const index = schedule.findIndex(
+    (row, i) => i > 0 && row.pmi === 0 && schedule[i - 1].pmi > 0
+  );
+  if (index === -1) return null;
+  const { paymentNumber, year, month } = schedule[index];
+  return { paymentNumber, year, month };
+};
+
+export const defaultExtraPayments = {
+  monthly: 0,
+  annual: 0,
+  annualMonth: 3,
+  annualStartYear: null,
+  oneTime: []
+};
+
+// Calendar months that fall to a payment: those after the previous
+// payment's month, up to and including its own. Without a previous payment
+// only the row's own month counts.
+const coveredMonths = (row, previous) => {
+  const monthIndex = ({ year, month }) => year * 12 + month - 1;
+  const first = previous ? monthIndex(previous) + 1 : monthIndex(row);
+  const months = [];
+  for (let index = first; index <= monthIndex(row); index++) {
+    months.push({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+  }
+  return months;
+};
+
+// Extra principal scheduled for one payment row. The recurring extra is a
+// monthly amount spread evenly over the payments in a year; annual and
+// one-time extras go with the first payment in (or after) their month.
+// `previous` is the year/month of the prior payment, or of the funding date.
+export const extraPaymentFor = (
+  row,
+  extraPayments,
+  { periodsPerYear = 12, previous } = {}
+) => {
+  if (!extraPayments) return 0;
+  const { monthly = 0, annual = 0, annualMonth, annualStartYear, oneTime = [] } =
+    extraPayments;
+  let extra = (monthly * 12) / periodsPerYear;
+
+  coveredMonths(row, previous).forEach(({ year, month }) => {
+    if (
+      annual > 0 &&
+      month === annualMonth &&
+      (annualStartYear == null || year >= annualStartYear)
+    ) {
+      extra += annual;
+    }
+
+    oneTime.forEach((payment) => {
+      if (payment.year === year && payment.month === month) {
+        extra += payment.amount;
+      }
+    });
+  });
+
+  return extra;
+};
+
+export const defaultArm = {
+  initialPeriodYears: 5,
+  resetFrequencyMonths: 12,
+  margin: 2.75,
+  indexPath: [3.5],
+  initialCap: 2,
+  periodicCap: 2,
+  lifetimeCap: 5,
+  floorRate: 2.75
+};
+
+export const ARM_PRESETS = {
+  "5/1": {
+    initialPeriodYears: 5,
+    resetFrequencyMonths: 12,
+    initialCap: 2,
+    periodicCap: 2,
+    lifetimeCap: 5
+  },
+  "7/6": {
+    initialPeriodYears: 7,
+    resetFrequencyMonths: 6,
+    initialCap: 5,
+    periodicCap: 1,
+    lifetimeCap: 5
+  },
+  "10/1": {
+    initialPeriodYears: 10,
+    resetFrequencyMonths: 12,
+    initialCap: 5,
+    periodicCap: 2,
+    lifetimeCap: 5
+  }
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Annual note rate (%) in effect for each month of the term. Fixed loans use
+// `interestRate` throughout; ARMs start there and reset to index + margin,
+// limited by the initial/periodic caps, the lifetime cap and the floor.
+// `simulatedRates` (one annual rate per month, from the Monte Carlo
+// simulation) replaces the fixed rate outright, or supplies the ARM index
+// at each reset so the caps still apply.
+export const buildRatePath = ({
+  interestRate,
+  loanTermYears,
+  rateType,
+  arm,
+  simulatedRates
+}) => {
+  const totalMonths = loanTermYears * 12;
+  if (rateType !== "arm" || !arm) {
+    return simulatedRates
+      ? simulatedRates.slice(0, totalMonths)
+      : new Array(totalMonths).fill(interestRate);
+  }
+
+  const {
+    initialPeriodYears,
+    resetFrequencyMonths,
+    margin,
+    indexPath = [],
+    initialCap,
+    periodicCap,
+    lifetimeCap,
+    floorRate = 0
+  } = arm;
+  const initialMonths = initialPeriodYears * 12;
+  const rates = [];
+  let rate = interestRate;
+  let resetCount = 0;
+
+  for (let monthNumber = 1; monthNumber <= totalMonths; monthNumber++) {
+    const monthsSinceFixed = monthNumber - initialMonths - 1;
+    if (monthsSinceFixed >= 0 && monthsSinceFixed % resetFrequencyMonths === 0) {
+      const index = simulatedRates
+        ? simulatedRates[monthNumber - 1]
+        : indexPath.length
+          ? indexPath[Math.min(resetCount, indexPath.length - 1)]
+          : rate - margin;
+      const cap = resetCount === 0 ? initialCap : periodicCap;
+
+      rate = clamp(index + margin, rate - cap, rate + cap);
+      rate = clamp(rate, floorRate, interestRate + lifetimeCap);
+      resetCount++;
+    }
+    rates.push(rate);
+  }
+
+  return rates;
+};
+
+// Repayment structures. "amortizing" is the level-payment loan; the others
+// are common for commercial and construction lending.
+export const LOAN_STRUCTURES = {
+  amortizing: { label: "Fully amortizing" },
+  interestOnly: { label: "Interest-only period" },
+  balloon: { label: "Balloon" },
+  straightLine: { label: "Fixed principal (straight-line)" }
+};
+
+// `interestOnlyYears` applies to interest-only loans; `balloonYears` is when
+// a balloon loan falls due, with payments amortized over the full term.
+export const defaultStructure = {
+  type: "amortizing",
+  interestOnlyYears: 5,
+  balloonYears: 7
+};
+
+export const defaultOwnership = {
+  enabled: false,
+  homePrice: 277800,
+  downPayment: 27800,
+  propertyTaxAnnual: 3000,
+  insuranceAnnual: 1200,
+  hoaMonthly: 0,
+  pmiRate: 0.5,
+  pmiDropLtv: 78
+};
+
+// Lenders require PMI when the loan starts above this loan-to-value (%)
+const PMI_REQUIRED_LTV = 80;
+
+// Taxes, insurance, HOA dues and PMI for one payment period, given the
+// balance before that payment. PMI is charged on the original loan amount
+// until the balance falls to `pmiDropLtv` percent of the home price.
+export const ownershipCostsFor = (
+  openingBalance,
+  { loanAmount, ownership },
+  periodsPerYear = 12
+) => {
+  if (!ownership || !ownership.enabled) {
+    return { propertyTax: 0, insurance: 0, hoa: 0, pmi: 0 };
+  }
+
+  const {
+    homePrice,
+    propertyTaxAnnual,
+    insuranceAnnual,
+    hoaMonthly,
+    pmiRate,
+    pmiDropLtv
+  } = ownership;
+  const ltv = (balance) => (homePrice > 0 ? (balance / homePrice) * 100 : 0);
+  const pmiApplies =
+    ltv(loanAmount) > PMI_REQUIRED_LTV && ltv(openingBalance) > pmiDropLtv;
+
+  return {
+    propertyTax: propertyTaxAnnual / periodsPerYear,
+    insurance: insuranceAnnual / periodsPerYear,
+    hoa: (hoaMonthly * 12) / periodsPerYear,
+    pmi: pmiApplies ? (loanAmount * pmiRate) / 100 / periodsPerYear : 0
+  };
+};
+
+// Level payment for the rest of the term at the payment frequency. The
+// accelerated schedule pays half of what the monthly payment would be.
+const scheduledPaymentFor = (balance, rate, remainingPayments, frequency, compounding) => {
+  const { periodsPerYear, accelerated } = frequency;
+  if (accelerated) {
+    const remainingMonths = Math.round((remainingPayments * 12) / periodsPerYear);
+    const monthlyRate = periodicRateFor(rate, 12, compounding);
+    return calculatePayment(balance, monthlyRate, remainingMonths) / 2;
+  }
+  return calculatePayment(
+    balance,
+    periodicRateFor(rate, periodsPerYear, compounding),
+    remainingPayments
+  );
+};
+
+// Build the full payment-by-payment schedule. The payment is level until
+// the rate changes, then re-amortized over the remaining term. Rows stop
+// once the balance is paid off, so extra payments shorten it. Under a
+// day-count convention interest follows the calendar, so the last
+// scheduled payment clears whatever balance is left.
+//
+// Interest-only loans pay just the interest at first and then amortize
+// over the rest of the term; balloon loans amortize over the full term but
+// repay the remaining balance when they fall due; straight-line loans repay
+// the same principal every payment, so the payment declines.
+//
+// With a `currency`, every amount is rounded to its minor unit (cents, or
+// whole yen) as it is charged, using the loan's `rounding` mode, so the
+// rows tie out exactly. The payment is rounded too, and the last payment
+// trues up whatever residual that leaves.
+//
+// `disruptions` marks payments that were missed, deferred, reduced or in
+// forbearance (see disruptions.js). Extra payments don't apply to them.
+export const buildSchedule = (loan) => {
+  const { loanAmount, loanTermYears, extraPayments, disruptions } = loan;
+  const money = moneyRounder(loan.currency, loan.rounding);
+  const frequency = frequencyOf(loan.paymentFrequency);
+  const { periodsPerYear } = frequency;
+  const { dayCount, compounding } = accrualOf(loan);
+  const structure = { ...defaultStructure, ...loan.structure };
+  const capitalize = !disruptions || disruptions.unpaidInterest !== "deferToMaturity";
+  const extendTerm = Boolean(disruptions) && disruptions.recovery === "extend";
+  // Both grow when a disruption falls on the final payment, and with an
+  // extended term for as long as the kept payment leaves a balance
+  let totalPayments = loanTermYears * periodsPerYear;
+  const interestOnlyPayments =
+    structure.type === "interestOnly"
+      ? Math.min(structure.interestOnlyYears, loanTermYears) * periodsPerYear
+      : 0;
+  let lastPayment =
+    structure.type === "balloon"
+      ? Math.min(structure.balloonYears, loanTermYears) * periodsPerYear
+      : totalPayments;
+  let fixedPrincipal = null;
+  if (structure.type === "straightLine") {
+    fixedPrincipal = money(
+      frequency.accelerated
+        ? loanAmount / (loanTermYears * 12) / 2
+        : loanAmount / totalPayments
+    );
+  }
+  const ratePath = buildRatePath(loan);
+
+  const schedule = [];
+  let balance = money(loanAmount);
+  let rate = null;
+  let periodicRate = 0;
+  let amortizingPayment = 0;
+  let reamortize = false;
+  let deferredInterest = 0;
+  let disrupted = false;
+  let previousDate = calendarEntry(loan, 0).date;
+  let previous = paymentDate(loan, 0);
+
+  for (
+    let paymentNumber = 1;
+    paymentNumber <= lastPayment && balance > 0;
+    paymentNumber++
+  ) {
+    const { date, when } = calendarEntry(loan, paymentNumber);
+    // An extended term keeps the last rate of the original one
+    const monthNumber = Math.floor(((paymentNumber - 1) * 12) / periodsPerYear);
+    const monthRate = ratePath[Math.min(monthNumber, ratePath.length - 1)];
+    const remainingPayments = totalPayments - paymentNumber + 1;
+
+    if (monthRate !== rate || paymentNumber === interestOnlyPayments + 1 || reamortize) {
+      rate = monthRate;
+      periodicRate = periodicRateFor(rate, periodsPerYear, compounding);
+      amortizingPayment = money(
+        scheduledPaymentFor(balance, rate, remainingPayments, frequency, compounding)
+      );
+    }
+    if (reamortize && fixedPrincipal != null) {
+      fixedPrincipal = money(balance / remainingPayments);
+    }
+    reamortize = false;
+
+    const costs = ownershipCostsFor(balance, loan, periodsPerYear);
+    const interest = money(
+      dayCount === "periodic"
+        ? balance * periodicRate
+        : balance * (rate / 100) * dayCountFraction(previousDate, date, dayCount)
+    );
+
+    // Principal due this period before any balloon or extra payment
+    let scheduledPayment = amortizingPayment;
+    let regularPrincipal = money(amortizingPayment - interest);
+    if (paymentNumber <= interestOnlyPayments || fixedPrincipal != null) {
+      regularPrincipal = paymentNumber <= interestOnlyPayments ? 0 : fixedPrincipal;
+      scheduledPayment = money(Math.min(regularPrincipal, balance) + interest);
+    }
+    regularPrincipal = Math.min(regularPrincipal, balance);
+
+    // A disrupted payment covers what it can of the interest, then
+    // principal; the interest it leaves unpaid is capitalized or deferred.
+    // A disrupted final payment moves one period later. With an extended
+    // term the scheduled payment is kept until the balance is repaid, so a
+    // final payment it can't cover moves later too (unless the payment no
+    // longer covers the interest, when the final payment takes the rest).
+    // A later rate change still re-amortizes over the original term.
+    const disruption = disruptionFor(when, disruptions);
+    if (disruption) disrupted = true;
+    const shortfall =
+      extendTerm &&
+      disrupted &&
+      structure.type !== "balloon" &&
+      regularPrincipal > 0 &&
+      balance - regularPrincipal > 0;
+    if (paymentNumber === lastPayment && (disruption || shortfall)) {
+      totalPayments++;
+      lastPayment++;
+    }
+    if (disruption) reamortize = !extendTerm;
+
+    let principal;
+    let unpaidInterest = 0;
+    let capitalizedInterest = 0;
+    let extraPayment = 0;
+    let balloon = 0;
+    if (disruption) {
+      const paid = money(
+        disruption.paymentShare != null
+          ? scheduledPayment * disruption.paymentShare
+          : Math.min(disruption.payment, scheduledPayment)
+      );
+      unpaidInterest = money(Math.max(interest - paid, 0));
+      principal = money(Math.min(Math.max(paid - interest, 0), balance));
+      if (capitalize) capitalizedInterest = unpaidInterest;
+      else deferredInterest = money(deferredInterest + unpaidInterest);
+    } else {
+      const isLast = paymentNumber === lastPayment;
+      balloon =
+        isLast && structure.type === "balloon" ? money(balance - regularPrincipal) : 0;
+      const scheduledPrincipal = isLast ? balance : regularPrincipal;
+      extraPayment = Math.min(
+        money(
+          Math.max(extraPaymentFor(when, extraPayments, { periodsPerYear, previous }), 0)
+        ),
+        money(balance - scheduledPrincipal)
+      );
+      principal = money(scheduledPrincipal + extraPayment);
+    }
+
+    balance = money(balance - principal + capitalizedInterest);
+    if (balance < 1e-6) balance = 0;
+    // Interest deferred to maturity is paid with the payment that clears
+    // the balance
+    const deferredInterestPaid = balance === 0 ? deferredInterest : 0;
+    if (balance === 0) deferredInterest = 0;
+    previousDate = date;
+    previous = when;
+
+    // Spelled out rather than spread: this loop runs for every simulated
+    // rate path and grid cell, and spreading is several times slower.
+    const propertyTax = money(costs.propertyTax);
+    const insurance = money(costs.insurance);
+    const hoa = money(costs.hoa);
+    const pmi = money(costs.pmi);
+    const lateFee = disruption ? money(disruption.lateFee) : 0;
+    const payment = money(principal + interest - unpaidInterest + deferredInterestPaid);
+    schedule.push({
+      paymentNumber,
+      loanYear: when.loanYear,
+      year: when.year,
+      month: when.month,
+      date: when.date,
+      rate,
+      scheduledPayment,
+      payment,
+      principal,
+      interest,
+      extraPayment,
+      balloon,
+      disruption: disruption ? disruption.type : null,
+      unpaidInterest,
+      capitalizedInterest,
+      deferredInterestPaid,
+      lateFee,
+      propertyTax,
+      insurance,
+      hoa,
+      pmi,
+      totalPayment: money(payment + propertyTax + insurance + hoa + pmi + lateFee),
+      balance
+    });
+  }
+
+  return schedule;
+};
+
+// Whether the principal repaid adds up to the loan amount plus any
+// capitalized interest, compared in whole minor units so float drift can't
+// hide or invent a difference
+export const reconcileSchedule = (schedule, { loanAmount, currency }) => {
+  const unitsOf = (field) =>
+    schedule.reduce((sum, row) => sum + toMinorUnits(row[field] || 0, currency), 0);
+  const repaidUnits = unitsOf("principal");
+  const owedUnits = toMinorUnits(loanAmount, currency) + unitsOf("capitalizedInterest");
+  const scale = toMinorUnits(1, currency);
+  const difference = (repaidUnits - owedUnits) / scale;
+  return { principalRepaid: repaidUnits / scale, difference, balanced: difference === 0 };
+};
+
+// Payments whose unpaid interest was added to the balance, with the total
+// capitalized and the highest balance reached, or null if there were none
+export const findNegativeAmortization = (schedule) => {
+  const rows = schedule.filter((row) => row.capitalizedInterest > 0);
+  if (!rows.length) return null;
+  return {
+    payments: rows.length,
+    amount: rows.reduce((sum, row) => sum + row.capitalizedInterest, 0),
+    peakBalance: Math.max(...rows.map((row) => row.balance)),
+    first: { year: rows[0].year, month: rows[0].month },
+    years: [...new Set(rows.map((row) => row.year))]
+  };
+};
+
+// What the disruptions cost against the same loan paid as scheduled: the
+// extra interest and fees, how many payments the term moved by and the
+// payment once they are over
+const disruptionImpact = (loan, schedule, totals) => {
+  const undisrupted = buildSchedule({ ...loan, disruptions: null });
+  const lastIndex = schedule.reduce((last, row, i) => (row.disruption ? i : last), -1);
+  if (lastIndex < 0) return null;
+  const after = schedule[lastIndex + 1];
+  return {
+    disruptedPayments: schedule.filter((row) => row.disruption).length,
+    extraInterest:
+      totals.totalInterest - summarizeSchedule(undisrupted, loan).totalInterest,
+    lateFees: totals.totalLateFees,
+    deferredInterest: totals.totalDeferredInterest,
+    paymentChange: schedule.length - undisrupted.length,
+    paymentAfter: after ? after.scheduledPayment : null
+  };
+};
+
+// Balloon that falls due at the end of a balloon loan, or null
+export const findBalloon = (schedule) => {
+  const row = schedule.find((r) => r.balloon > 0);
+  if (!row) return null;
+  const { paymentNumber, loanYear, year, month, balloon } = row;
+  return { paymentNumber, loanYear, year, month, amount: balloon };
+};
+
+// First payment that repays principal after an interest-only period
+export const findAmortizationStart = (schedule) => {
+  const row = schedule.find((r) => r.scheduledPayment - r.interest > 1e-9);
+  if (!row) return null;
+  const { paymentNumber, year, month, scheduledPayment } = row;
+  return { paymentNumber, year, month, payment: scheduledPayment };
+};
+
+// Payments where the scheduled payment changes after a rate reset
+export const findPaymentChanges = (schedule) =>
+  schedule
+    .filter((row, i) => i > 0 && row.rate !== schedule[i - 1].rate)
+    .map(({ paymentNumber, loanYear, year, month, rate, scheduledPayment }) => ({
+      paymentNumber,
+      loanYear,
+      year,
+      month,
+      rate,
+      payment: scheduledPayment
+    }));
+
+// Highest scheduled payment if the index rises as fast as the caps allow
+export const calculateWorstCase = (loan) => {
+  const schedule = buildSchedule({
+    ...loan,
+    extraPayments: null,
+    disruptions: null,
+    arm: { ...loan.arm, indexPath: [Infinity] }
+  });
+  const worst = schedule.reduce(
+    (max, row) => (row.scheduledPayment > max.scheduledPayment ? row : max),
+    schedule[0]
+  );
+
+  return {
+    payment: worst.scheduledPayment,
+    rate: worst.rate,
+    paymentNumber: worst.paymentNumber,
+    year: worst.year,
+    month: worst.month
+  };
+};
+
+// Discount points (percent of the loan amount) and other prepaid finance
+// charges paid at closing. Each point lowers the note rate by
+// `pointRateReduction` percentage points.
+export const defaultFees = {
+  discountPoints: 0,
+  pointRateReduction: 0.25,
+  originationFee: 0,
+  otherCharges: 0
+};
+
+// Cost of the points and the total prepaid finance charges in dollars
+export const upfrontCharges = ({ loanAmount, fees }) => {
+  if (!fees) return { points: 0, total: 0 };
+  const points = (loanAmount * fees.discountPoints) / 100;
+  return { points, total: points + fees.originationFee + fees.otherCharges };
+};
+
+// When the lower payments from buying points have repaid their cost,
+// compared with the same loan at the rate before the buy-down. Returns null
+// without points, or months: null if they never pay for themselves.
+export const findPointsBreakEven = (loan, schedule) => {
+  const { points: cost } = upfrontCharges(loan);
+  if (!(cost > 0)) return null;
+
+  const { discountPoints, pointRateReduction } = loan.fees;
+  const withoutPoints = buildSchedule({
+    ...loan,
+    interestRate: loan.interestRate + discountPoints * pointRateReduction,
+    extraPayments: null
+  });
+  const periodsPerYear = periodsPerYearOf(loan.paymentFrequency);
+  let savings = 0;
+  for (let i = 0; i < withoutPoints.length; i++) {
+    savings += withoutPoints[i].payment - (schedule[i] ? schedule[i].payment : 0);
+    if (savings >= cost) {
+      const { year, month } = withoutPoints[i];
+      return { cost, months: Math.ceil(((i + 1) * 12) / periodsPerYear), year, month };
+    }
+  }
+  return { cost, months: null };
+};
+
+// Annual percentage rate (%): the nominal annual rate, at the payment
+// frequency, whose present value of `payments` equals the amount actually
+// received. Solved by bisection on the periodic rate.
+export const solveApr = (amountFinanced, payments, periodsPerYear) => {
+  const presentValue = (periodicRate) => {
+    let total = 0;
+    let discount = 1;
+    for (const payment of payments) {
+      discount /= 1 + periodicRate;
+      total += payment * discount;
+    }
+    return total;
+  };
+  if (amountFinanced <= 0 || presentValue(0) <= amountFinanced) return 0;
+
+  let low = 0;
+  let high = 1;
+  while (high - low > 1e-13) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > amountFinanced) low = mid;
+    else high = mid;
+  }
+  return ((low + high) / 2) * periodsPerYear * 100;
+};
+
+const hasExtraPayments = ({ extraPayments }) =>
+  Boolean(
+    extraPayments &&
+      (extraPayments.monthly > 0 ||
+        extraPayments.annual > 0 ||
+        (extraPayments.oneTime || []).some((payment) => payment.amount > 0))
+  );
+
+// The loan without prepayments that the totals and APR are measured
+// against, with its totals, APR and points break-even. It only changes when
+// something other than the extra payments does, so the last one is kept:
+// dragging an extra payment then builds one schedule instead of two.
+let lastBaseline = { key: null, baseline: null };
+const baselineOf = (loan, schedule, totals) => {
+  const key = JSON.stringify({ ...loan, extraPayments: null });
+  if (lastBaseline.key === key) return lastBaseline.baseline;
+
+  // Without extra payments the loan is its own baseline
+  const extras = hasExtraPayments(loan);
+  const baselineSchedule = extras
+    ? buildSchedule({ ...loan, extraPayments: null })
+    : schedule;
+  const charges = upfrontCharges(loan);
+  const baseline = {
+    schedule: baselineSchedule,
+    totals: extras ? summarizeSchedule(baselineSchedule, loan) : totals,
+    // Reg Z: the yield on the amount financed, i.e. net of prepaid charges
+    apr: solveApr(
+      loan.loanAmount - charges.total,
+      baselineSchedule.map((row) => row.payment),
+      periodsPerYearOf(loan.paymentFrequency)
+    ),
+    pointsBreakEven: findPointsBreakEven(loan, baselineSchedule)
+  };
+  lastBaseline = { key, baseline };
+  return baseline;
+};
+
+// Same loan paid monthly, to show what the chosen frequency saves
+const compareWithMonthly = (loan, totals, periodsPerYear) => {
+  const monthly = summarizeSchedule(
+    buildSchedule({ ...loan, paymentFrequency: "monthly" }),
+    loan
+  );
+  return {
+    totalInterest: monthly.totalInterest,
+    interestSaved: monthly.totalInterest - totals.totalInterest,
+    monthsSaved:
+      monthly.numberOfPayments -
+      Math.round((totals.numberOfPayments * 12) / periodsPerYear)
+  };
+};
+
+// Everything about the loan's own schedule. `payment` is the first
+// scheduled payment at the chosen frequency; `monthlyPayment` is the same
+// amount expressed per month so frequencies can be compared.
+export const analyzeLoan = (loan) => {
+  const periodsPerYear = periodsPerYearOf(loan.paymentFrequency);
+  const schedule = buildSchedule(loan);
+  const yearlyData = buildYearlyData(schedule, loan);
+  const totals = summarizeSchedule(schedule, loan);
+  const payment = schedule.length ? schedule[0].scheduledPayment : 0;
+  const charges = upfrontCharges(loan);
+  const structureType = loan.structure ? loan.structure.type : "amortizing";
+
+  return {
+    payment,
+    monthlyPayment: (payment * periodsPerYear) / 12,
+    schedule,
+    yearlyData,
+    crossoverInfo: findCrossover(schedule, loan),
+    equityCrossoverYear: findEquityCrossoverYear(yearlyData, loan),
+    paymentChanges: findPaymentChanges(schedule),
+    pmiDropOff: findPmiDropOff(schedule),
+    balloon: findBalloon(schedule),
+    amortizationStart:
+      structureType === "interestOnly" ? findAmortizationStart(schedule) : null,
+    finalPayment: schedule.length ? schedule[schedule.length - 1].payment : 0,
+    reconciliation: reconcileSchedule(schedule, loan),
+    negativeAmortization: findNegativeAmortization(schedule),
+    totals: {
+      ...totals,
+      upfrontCharges: charges.total,
+      trueCost: totals.totalCost + charges.total + totals.totalLateFees
+    }
+  };
+};
+
+// The loan measured against other schedules: without prepayments (the APR
+// and what the extra payments save), paid monthly, without disruptions and
+// under the worst-case ARM path. Each is another schedule as long as the
+// loan's own, so the simulator works these out a render after `analysis`.
+export const compareLoan = (loan, analysis) => {
+  const periodsPerYear = periodsPerYearOf(loan.paymentFrequency);
+  const { totals } = analysis;
+  const baseline = baselineOf(loan, analysis.schedule, totals);
+  const { apr } = baseline;
+
+  return {
+    apr,
+    effectiveRate: (Math.pow(1 + apr / 100 / periodsPerYear, periodsPerYear) - 1) * 100,
+    pointsBreakEven: baseline.pointsBreakEven,
+    baselineSchedule: baseline.schedule,
+    worstCase: loan.rateType === "arm" ? calculateWorstCase(loan) : null,
+    disruptionImpact: hasDisruptions(loan.disruptions)
+      ? disruptionImpact(loan, analysis.schedule, totals)
+      : null,
+    monthlyComparison:
+      frequencyOf(loan.paymentFrequency) !== PAYMENT_FREQUENCIES.monthly
+        ? compareWithMonthly(loan, totals, periodsPerYear)
+        : null,
+    totals: {
+      interestSaved: baseline.totals.totalInterest - totals.totalInterest,
+      monthsSaved: Math.round(
+        ((baseline.totals.numberOfPayments - totals.numberOfPayments) * 12) /
+          periodsPerYear
+      )
+    }
+  };
+};
+
+// One result from an analysis and its comparison, which may lag behind it
+export const withComparison = (analysis, comparison) => ({
+  ...analysis,
+  ...comparison,
+  totals: { ...analysis.totals, ...comparison.totals }
+});
+
+// Everything the UI needs for one loan definition
+export const calculateLoan = (loan) => {
+  const analysis = analyzeLoan(loan);
+  return withComparison(analysis, compareLoan(loan, analysis));
+};
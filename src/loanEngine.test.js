@@ -0,0 +1,782 @@
+import {
+  calculatePayment,
+  calculateMonthlyPayment,
+  buildSchedule,
+  calculateLoan,
+  analyzeLoan,
+  compareLoan,
+  withComparison,
+  buildRatePath,
+  calculateWorstCase,
+  defaultExtraPayments,
+  defaultArm,
+  defaultOwnership,
+  ARM_PRESETS,
+  paymentDate,
+  loanYearOfMonth,
+  periodicRateFor,
+  solveApr,
+  defaultStructure,
+  defaultFees
+} from './loanEngine';
+import { defaultDisruptions } from './disruptions';
+
+const baseLoan = {
+  loanAmount: 250000,
+  interestRate: 4.5,
+  loanTermYears: 30,
+  startYear: 2010
+};
+
+describe('calculatePayment', () => {
+  test('matches the standard 30-year mortgage payment', () => {
+    expect(calculateMonthlyPayment(baseLoan)).toBeCloseTo(1266.71, 2);
+  });
+
+  test('splits principal evenly at a 0% rate', () => {
+    expect(calculatePayment(12000, 0, 12)).toBe(1000);
+  });
+
+  test('returns 0 when there are no payments', () => {
+    expect(calculatePayment(12000, 0.01, 0)).toBe(0);
+  });
+});
+
+describe('buildSchedule', () => {
+  test('produces one row per month and pays the loan off', () => {
+    const schedule = buildSchedule(baseLoan);
+    expect(schedule).toHaveLength(360);
+    expect(schedule[0]).toMatchObject({ paymentNumber: 1, loanYear: 1, month: 1 });
+    expect(schedule[359]).toMatchObject({ paymentNumber: 360, loanYear: 30, month: 12 });
+    expect(schedule[359].balance).toBeCloseTo(0, 6);
+  });
+
+  test('first payment interest is one month of interest on the full balance', () => {
+    const [first] = buildSchedule(baseLoan);
+    expect(first.interest).toBeCloseTo(937.5, 6);
+    expect(first.principal + first.interest).toBeCloseTo(first.payment, 6);
+  });
+});
+
+describe('calculateLoan', () => {
+  const result = calculateLoan(baseLoan);
+
+  test('yearly data starts with the opening balance and covers every year', () => {
+    expect(result.yearlyData).toHaveLength(31);
+    expect(result.yearlyData[0]).toMatchObject({
+      year: 2010,
+      remainingBalance: 250000,
+      principal: 0,
+      interest: 0
+    });
+    expect(result.yearlyData[30].year).toBe(2040);
+    expect(result.yearlyData[30].remainingBalance).toBeCloseTo(0, 6);
+  });
+
+  test('yearly rollups agree with the monthly schedule', () => {
+    const firstYear = result.schedule.slice(0, 12);
+    const interest = firstYear.reduce((sum, row) => sum + row.interest, 0);
+    expect(result.yearlyData[1].interest).toBeCloseTo(interest, 6);
+    expect(
+      result.yearlyData[1].principalPercentage + result.yearlyData[1].interestPercentage
+    ).toBeCloseTo(100, 6);
+  });
+
+  test('totals match payment times term', () => {
+    const payment = calculateMonthlyPayment(baseLoan);
+    expect(result.totals.numberOfPayments).toBe(360);
+    expect(result.totals.totalCost).toBeCloseTo(payment * 360, 4);
+    expect(result.totals.totalPrincipal).toBeCloseTo(250000, 4);
+    expect(result.totals.totalInterest).toBeCloseTo(payment * 360 - 250000, 4);
+    expect(result.totals.interestRatio).toBeCloseTo(
+      (result.totals.totalInterest / 250000) * 100,
+      6
+    );
+  });
+
+  test('finds the month principal first exceeds interest', () => {
+    const { crossoverInfo, schedule } = result;
+    const row = schedule[crossoverInfo.paymentNumber - 1];
+    expect(row.principal).toBeGreaterThan(row.interest);
+    expect(schedule[crossoverInfo.paymentNumber - 2].principal).toBeLessThanOrEqual(
+      schedule[crossoverInfo.paymentNumber - 2].interest
+    );
+    expect(Math.floor(crossoverInfo.year)).toBe(2010 + row.loanYear);
+  });
+
+  test('crossover is the first payment on a very short loan', () => {
+    const shortLoan = calculateLoan({ ...baseLoan, interestRate: 1, loanTermYears: 1 });
+    expect(shortLoan.crossoverInfo.paymentNumber).toBe(1);
+  });
+
+  test('finds the year 50% equity is reached', () => {
+    const row = result.yearlyData.find((r) => r.year === result.equityCrossoverYear);
+    const previous = result.yearlyData[result.yearlyData.indexOf(row) - 1];
+    expect(row.remainingBalance).toBeLessThanOrEqual(125000);
+    expect(previous.remainingBalance).toBeGreaterThan(125000);
+  });
+
+  test('is the analysis of the schedule joined with its comparisons', () => {
+    const loan = {
+      ...baseLoan,
+      paymentFrequency: 'biweekly',
+      extraPayments: { ...defaultExtraPayments, monthly: 100 }
+    };
+    const analysis = analyzeLoan(loan);
+    expect(analysis.apr).toBeUndefined();
+    expect(analysis.monthlyComparison).toBeUndefined();
+    expect(withComparison(analysis, compareLoan(loan, analysis))).toEqual(
+      calculateLoan(loan)
+    );
+  });
+
+  test('keeps the baseline while only the extra payments change', () => {
+    const withExtra = (monthly, changes = {}) =>
+      calculateLoan({
+        ...baseLoan,
+        ...changes,
+        extraPayments: { ...defaultExtraPayments, monthly }
+      });
+    const first = withExtra(100);
+    const second = withExtra(200);
+    expect(second.baselineSchedule).toBe(first.baselineSchedule);
+    expect(second.apr).toBe(first.apr);
+    expect(second.totals.interestSaved).toBeGreaterThan(first.totals.interestSaved);
+    const otherRate = withExtra(200, { interestRate: 5 });
+    expect(otherRate.baselineSchedule).not.toBe(first.baselineSchedule);
+  });
+});
+
+describe('extra payments', () => {
+  test('a recurring monthly extra shortens the loan and saves interest', () => {
+    const result = calculateLoan({
+      ...baseLoan,
+      extraPayments: { ...defaultExtraPayments, monthly: 200 }
+    });
+    expect(result.schedule.length).toBeLessThan(360);
+    expect(result.schedule[result.schedule.length - 1].balance).toBe(0);
+    expect(result.totals.totalPrincipal).toBeCloseTo(250000, 4);
+    expect(result.totals.monthsSaved).toBe(360 - result.schedule.length);
+    expect(result.totals.interestSaved).toBeGreaterThan(0);
+    expect(result.yearlyData[result.yearlyData.length - 1].remainingBalance).toBe(0);
+    expect(result.yearlyData.length).toBeLessThan(31);
+  });
+
+  test('annual lump sums land in the chosen month from the start year on', () => {
+    const schedule = buildSchedule({
+      ...baseLoan,
+      extraPayments: {
+        ...defaultExtraPayments,
+        annual: 5000,
+        annualMonth: 3,
+        annualStartYear: 2013
+      }
+    });
+    const withExtra = schedule.filter((row) => row.extraPayment > 0);
+    expect(withExtra[0]).toMatchObject({ year: 2013, month: 3, extraPayment: 5000 });
+    expect(withExtra.every((row) => row.month === 3)).toBe(true);
+  });
+
+  test('one-time payments apply to their month only', () => {
+    const schedule = buildSchedule({
+      ...baseLoan,
+      extraPayments: {
+        ...defaultExtraPayments,
+        oneTime: [{ id: 1, year: 2012, month: 6, amount: 20000 }]
+      }
+    });
+    const withExtra = schedule.filter((row) => row.extraPayment > 0);
+    expect(withExtra).toHaveLength(1);
+    expect(withExtra[0]).toMatchObject({ year: 2012, month: 6, extraPayment: 20000 });
+  });
+
+  test('extra payments never overpay the balance', () => {
+    const result = calculateLoan({
+      ...baseLoan,
+      extraPayments: {
+        ...defaultExtraPayments,
+        oneTime: [{ id: 1, year: 2011, month: 1, amount: 1000000 }]
+      }
+    });
+    expect(result.schedule).toHaveLength(1);
+    expect(result.totals.totalPrincipal).toBeCloseTo(250000, 6);
+    expect(result.totals.monthsSaved).toBe(359);
+  });
+
+  test('without extras there are no savings', () => {
+    const { totals } = calculateLoan(baseLoan);
+    expect(totals.interestSaved).toBe(0);
+    expect(totals.monthsSaved).toBe(0);
+  });
+});
+
+describe('adjustable-rate mortgages', () => {
+  const armLoan = {
+    ...baseLoan,
+    interestRate: 3,
+    rateType: 'arm',
+    arm: { ...defaultArm, ...ARM_PRESETS['5/1'], margin: 2.5, indexPath: [4, 6, 8, 1] }
+  };
+
+  test('fixed loans keep one rate throughout', () => {
+    const rates = buildRatePath(baseLoan);
+    expect(rates).toHaveLength(360);
+    expect(new Set(rates).size).toBe(1);
+  });
+
+  test('resets after the fixed period, limited by the caps', () => {
+    const rates = buildRatePath(armLoan);
+    expect(rates[59]).toBe(3);
+    // index 4 + margin 2.5 = 6.5, capped at 3 + 2 initial
+    expect(rates[60]).toBe(5);
+    expect(rates[71]).toBe(5);
+    // index 6 + 2.5 = 8.5, capped by the periodic cap
+    expect(rates[72]).toBe(7);
+    // index 8 + 2.5 = 10.5, capped by the lifetime cap of 3 + 5
+    expect(rates[84]).toBe(8);
+    // index 1 + 2.5 = 3.5 is a drop limited by the periodic cap, and the
+    // last index value carries forward
+    expect(rates[96]).toBe(6);
+    expect(rates[108]).toBe(4);
+    expect(rates[120]).toBe(3.5);
+  });
+
+  test('the floor limits how far the rate can fall', () => {
+    const rates = buildRatePath({
+      ...armLoan,
+      arm: { ...armLoan.arm, indexPath: [0], floorRate: 2.75 }
+    });
+    expect(Math.min(...rates)).toBe(2.75);
+  });
+
+  test('7/6 products reset every six months after seven years', () => {
+    const rates = buildRatePath({
+      ...armLoan,
+      arm: { ...armLoan.arm, ...ARM_PRESETS['7/6'], indexPath: [10] }
+    });
+    expect(rates[83]).toBe(3);
+    expect(rates[84]).toBe(8);
+    expect(rates[89]).toBe(8);
+  });
+
+  test('the payment is re-amortized at each reset and the loan still pays off', () => {
+    const result = calculateLoan(armLoan);
+    const [firstReset] = result.paymentChanges;
+    expect(firstReset).toMatchObject({ paymentNumber: 61, rate: 5 });
+    // The reset starts the sixth year of the loan, whatever the start month
+    const june = calculateLoan({ ...armLoan, startMonth: 6 }).paymentChanges[0];
+    expect(june).toMatchObject({ year: 2015, month: 7, loanYear: 6 });
+    expect(firstReset.payment).toBeGreaterThan(result.monthlyPayment);
+    expect(result.schedule[result.schedule.length - 1].balance).toBe(0);
+    expect(result.totals.totalPrincipal).toBeCloseTo(250000, 4);
+  });
+
+  test('worst case assumes the index rises as fast as the caps allow', () => {
+    const worstCase = calculateWorstCase(armLoan);
+    expect(worstCase.rate).toBe(8);
+    expect(worstCase.paymentNumber).toBe(85);
+    expect(calculateLoan(armLoan).worstCase).toEqual(worstCase);
+    expect(calculateLoan(baseLoan).worstCase).toBeNull();
+  });
+});
+
+describe('cost of ownership', () => {
+  const pitiLoan = {
+    ...baseLoan,
+    ownership: {
+      ...defaultOwnership,
+      enabled: true,
+      homePrice: 277800,
+      downPayment: 27800,
+      propertyTaxAnnual: 3600,
+      insuranceAnnual: 1200,
+      hoaMonthly: 50,
+      pmiRate: 0.6
+    }
+  };
+
+  test('adds taxes, insurance, HOA and PMI to each payment', () => {
+    const [first] = calculateLoan(pitiLoan).schedule;
+    expect(first).toMatchObject({ propertyTax: 300, insurance: 100, hoa: 50, pmi: 125 });
+    expect(first.totalPayment).toBeCloseTo(first.payment + 575, 6);
+  });
+
+  test('PMI drops off once the balance reaches the chosen loan-to-value', () => {
+    const result = calculateLoan(pitiLoan);
+    const { pmiDropOff, schedule } = result;
+    const before = schedule[pmiDropOff.paymentNumber - 2];
+    const after = schedule[pmiDropOff.paymentNumber - 1];
+
+    expect(before.pmi).toBeGreaterThan(0);
+    expect(after.pmi).toBe(0);
+    expect(before.balance / 277800).toBeLessThanOrEqual(0.78);
+    expect(schedule[pmiDropOff.paymentNumber - 3].balance / 277800).toBeGreaterThan(0.78);
+
+    const at80 = calculateLoan({
+      ...pitiLoan,
+      ownership: { ...pitiLoan.ownership, pmiDropLtv: 80 }
+    });
+    expect(at80.pmiDropOff.paymentNumber).toBeLessThan(pmiDropOff.paymentNumber);
+  });
+
+  test('no PMI when the loan starts at or below 80% loan-to-value', () => {
+    const result = calculateLoan({
+      ...pitiLoan,
+      ownership: { ...pitiLoan.ownership, homePrice: 312500 }
+    });
+    expect(result.totals.totalPmi).toBe(0);
+    expect(result.pmiDropOff).toBeNull();
+  });
+
+  test('yearly rollups and totals include the ownership costs', () => {
+    const result = calculateLoan(pitiLoan);
+    expect(result.yearlyData[1].propertyTax).toBeCloseTo(3600, 6);
+    expect(result.totals.totalPropertyTax).toBeCloseTo(3600 * 30, 4);
+    expect(result.totals.totalOwnershipCost).toBeCloseTo(
+      result.totals.totalCost +
+        result.totals.totalPropertyTax +
+        result.totals.totalInsurance +
+        result.totals.totalHoa +
+        result.totals.totalPmi,
+      4
+    );
+  });
+
+  test('costs are zero when the mode is off', () => {
+    const [first] = calculateLoan(baseLoan).schedule;
+    expect(first.pmi + first.propertyTax + first.insurance + first.hoa).toBe(0);
+    expect(first.totalPayment).toBeCloseTo(first.payment, 6);
+  });
+});
+
+describe('payment frequencies', () => {
+  test('biweekly amortizes 26 payments a year at the biweekly rate', () => {
+    const result = calculateLoan({ ...baseLoan, paymentFrequency: 'biweekly' });
+    expect(result.schedule).toHaveLength(780);
+    expect(result.payment).toBeCloseTo(calculatePayment(250000, 0.045 / 26, 780), 6);
+    expect(result.monthlyPayment).toBeCloseTo((result.payment * 26) / 12, 6);
+    expect(result.schedule[779].balance).toBe(0);
+
+    expect(result.yearlyData).toHaveLength(31);
+    const firstYear = result.yearlyData[1];
+    expect(firstYear.principal + firstYear.interest).toBeCloseTo(result.payment * 26, 4);
+  });
+
+  test('accelerated biweekly pays half the monthly payment and finishes early', () => {
+    const result = calculateLoan({ ...baseLoan, paymentFrequency: 'acceleratedBiweekly' });
+    expect(result.payment).toBeCloseTo(calculateMonthlyPayment(baseLoan) / 2, 6);
+    expect(result.schedule.length).toBeLessThan(26 * 27);
+    expect(result.monthlyComparison.interestSaved).toBeGreaterThan(20000);
+    expect(result.monthlyComparison.monthsSaved).toBeGreaterThan(40);
+  });
+
+  test('crossover is measured in payments of the chosen frequency', () => {
+    const { crossoverInfo, schedule } = calculateLoan({
+      ...baseLoan,
+      paymentFrequency: 'weekly'
+    });
+    const row = schedule[crossoverInfo.paymentNumber - 1];
+    expect(row.principal).toBeGreaterThan(row.interest);
+    expect(crossoverInfo.yearFraction).toBe((crossoverInfo.paymentNumber / 52).toFixed(1));
+    expect(crossoverInfo.percentageOfTerm).toBe(
+      ((crossoverInfo.paymentNumber / (52 * 30)) * 100).toFixed(2)
+    );
+  });
+
+  test('dates payments on the calendar from the start month', () => {
+    const biweekly = { startYear: 2010, paymentFrequency: 'biweekly' };
+    expect(paymentDate(biweekly, 1)).toMatchObject({ loanYear: 1, year: 2011, month: 1 });
+    expect(paymentDate(biweekly, 2).date).toBe('2011-01-15');
+    expect(paymentDate(biweekly, 27)).toMatchObject({ loanYear: 2, year: 2011, month: 12 });
+    const quarterly = { startYear: 2010, paymentFrequency: 'quarterly' };
+    expect(paymentDate(quarterly, 2)).toMatchObject({ year: 2011, month: 6 });
+    expect(paymentDate({ startYear: 2010, startMonth: 6 }, 1)).toMatchObject({
+      loanYear: 1,
+      year: 2010,
+      month: 7,
+      date: '2010-07-01'
+    });
+  });
+
+  test('a calendar month falls in the loan year of its payment', () => {
+    const june = { startYear: 2010, startMonth: 6 };
+    buildSchedule({ ...baseLoan, ...june }).forEach((row) => {
+      expect(loanYearOfMonth(june, row)).toBe(row.loanYear);
+    });
+    expect(loanYearOfMonth(june, { year: 2016, month: 1 })).toBe(6);
+    expect(loanYearOfMonth(june, { year: 2009, month: 12 })).toBe(0);
+  });
+
+  test('extras land on the payment covering their month', () => {
+    const { schedule } = calculateLoan({
+      ...baseLoan,
+      paymentFrequency: 'quarterly',
+      extraPayments: {
+        ...defaultExtraPayments,
+        monthly: 100,
+        annual: 1000,
+        annualMonth: 4,
+        oneTime: [{ id: 1, year: 2011, month: 8, amount: 5000 }]
+      }
+    });
+    expect(schedule.slice(0, 4).map((row) => row.extraPayment)).toEqual([
+      300, 1300, 5300, 300
+    ]);
+    expect(schedule[5].extraPayment).toBe(1300);
+  });
+
+  test('monthly loans have no frequency comparison', () => {
+    expect(calculateLoan(baseLoan).monthlyComparison).toBeNull();
+  });
+});
+
+describe('compounding and day count', () => {
+  test('Canadian semi-annual compounding lowers the effective monthly rate', () => {
+    const rate = periodicRateFor(4.5, 12, 'semiAnnual');
+    expect(rate).toBeCloseTo(Math.pow(1.0225, 1 / 6) - 1, 12);
+
+    const result = calculateLoan({ ...baseLoan, compounding: 'semiAnnual' });
+    expect(result.payment).toBeCloseTo(calculatePayment(250000, rate, 360), 6);
+    expect(result.payment).toBeLessThan(calculateMonthlyPayment(baseLoan));
+    expect(result.schedule[359].balance).toBe(0);
+  });
+
+  test('30/360 on monthly payments matches the periodic schedule', () => {
+    const periodic = calculateLoan(baseLoan);
+    const thirty360 = calculateLoan({ ...baseLoan, dayCount: 'thirty360' });
+    expect(thirty360.totals.totalInterest).toBeCloseTo(periodic.totals.totalInterest, 4);
+  });
+
+  test('actual/360 accrues on calendar days and trues up the last payment', () => {
+    const { schedule, totals } = calculateLoan({ ...baseLoan, dayCount: 'actual360' });
+    // January 2011 has 31 days after the December funding date
+    expect(schedule[0].interest).toBeCloseTo((250000 * 0.045 * 31) / 360, 6);
+    expect(schedule[1].interest).toBeLessThan(schedule[0].interest);
+    expect(schedule).toHaveLength(360);
+    expect(schedule[359].balance).toBe(0);
+    expect(schedule[359].payment).toBeGreaterThan(schedule[358].payment);
+    const periodic = calculateLoan(baseLoan);
+    expect(totals.totalInterest).toBeGreaterThan(periodic.totals.totalInterest);
+  });
+
+  test('APR matches the note rate without fees and rises with actual/360', () => {
+    expect(calculateLoan(baseLoan).apr).toBeCloseTo(4.5, 6);
+    expect(calculateLoan({ ...baseLoan, compounding: 'semiAnnual' }).apr).toBeCloseTo(
+      1200 * periodicRateFor(4.5, 12, 'semiAnnual'),
+      6
+    );
+    expect(calculateLoan({ ...baseLoan, dayCount: 'actual360' }).apr).toBeGreaterThan(4.55);
+  });
+
+  test('APR is zero when payments only return the principal', () => {
+    expect(solveApr(1200, new Array(12).fill(100), 12)).toBe(0);
+  });
+});
+
+describe('loan structures', () => {
+  const structured = (changes) =>
+    calculateLoan({ ...baseLoan, structure: { ...defaultStructure, ...changes } });
+
+  test('interest-only period then amortizes over the remaining term', () => {
+    const result = structured({ type: 'interestOnly', interestOnlyYears: 5 });
+    const { schedule } = result;
+    expect(result.payment).toBeCloseTo(250000 * 0.00375, 6);
+    expect(schedule[59].balance).toBe(250000);
+    expect(schedule[59].principal).toBe(0);
+    expect(result.amortizationStart).toMatchObject({
+      paymentNumber: 61,
+      year: 2016,
+      month: 1
+    });
+    expect(result.amortizationStart.payment).toBeCloseTo(
+      calculatePayment(250000, 0.00375, 300),
+      6
+    );
+    expect(schedule).toHaveLength(360);
+    expect(schedule[359].balance).toBe(0);
+  });
+
+  test('balloon loan amortizes over the term and repays the rest when due', () => {
+    const result = structured({ type: 'balloon', balloonYears: 7 });
+    const amortizing = calculateLoan(baseLoan).schedule;
+    const last = result.schedule[result.schedule.length - 1];
+
+    expect(result.schedule).toHaveLength(84);
+    expect(result.payment).toBeCloseTo(calculateMonthlyPayment(baseLoan), 6);
+    expect(last.balance).toBe(0);
+    expect(result.balloon).toMatchObject({ paymentNumber: 84, loanYear: 7, year: 2017 });
+    expect(result.balloon.amount).toBeCloseTo(amortizing[83].balance, 4);
+    expect(last.payment).toBeCloseTo(result.payment + result.balloon.amount, 4);
+  });
+
+  test('straight-line repays equal principal with declining payments', () => {
+    const result = structured({ type: 'straightLine' });
+    const { schedule } = result;
+    expect(schedule[0].principal).toBeCloseTo(250000 / 360, 8);
+    expect(schedule[200].principal).toBeCloseTo(250000 / 360, 8);
+    expect(result.payment).toBeCloseTo(250000 / 360 + 250000 * 0.00375, 6);
+    expect(result.finalPayment).toBeLessThan(result.payment);
+    expect(schedule[359].balance).toBe(0);
+    expect(result.totals.totalInterest).toBeLessThan(
+      calculateLoan(baseLoan).totals.totalInterest
+    );
+  });
+
+  test('fully amortizing loans have no balloon', () => {
+    const result = calculateLoan(baseLoan);
+    expect(result.balloon).toBeNull();
+    expect(result.amortizationStart).toBeNull();
+  });
+});
+
+describe('points and fees', () => {
+  const withFees = {
+    ...baseLoan,
+    fees: { ...defaultFees, discountPoints: 1, originationFee: 1000, otherCharges: 500 }
+  };
+
+  test('APR is the yield on the amount financed after prepaid charges', () => {
+    const result = calculateLoan(withFees);
+    const monthlyRate = result.apr / 1200;
+    const presentValue = result.schedule.reduce(
+      (sum, row, i) => sum + row.payment / Math.pow(1 + monthlyRate, i + 1),
+      0
+    );
+    expect(presentValue).toBeCloseTo(250000 - 2500 - 1500, 4);
+    expect(result.apr).toBeGreaterThan(4.5);
+    expect(result.effectiveRate).toBeCloseTo(
+      (Math.pow(1 + monthlyRate, 12) - 1) * 100,
+      8
+    );
+  });
+
+  test('true cost adds the upfront charges to the payments', () => {
+    const { totals } = calculateLoan(withFees);
+    expect(totals.upfrontCharges).toBe(4000);
+    expect(totals.trueCost).toBeCloseTo(totals.totalCost + 4000, 6);
+  });
+
+  test('points break even once the payment savings repay their cost', () => {
+    const { pointsBreakEven } = calculateLoan(withFees);
+    const savings =
+      calculatePayment(250000, 0.0475 / 12, 360) - calculatePayment(250000, 0.045 / 12, 360);
+    expect(pointsBreakEven.cost).toBe(2500);
+    expect(pointsBreakEven.months).toBe(Math.ceil(2500 / savings));
+  });
+
+  test('points that buy no rate reduction never break even', () => {
+    const result = calculateLoan({
+      ...withFees,
+      fees: { ...withFees.fees, pointRateReduction: 0 }
+    });
+    expect(result.pointsBreakEven.months).toBeNull();
+    expect(calculateLoan(baseLoan).pointsBreakEven).toBeNull();
+  });
+});
+
+describe('currency rounding', () => {
+  const isWhole = (value) => Number.isInteger(value);
+
+  test('JPY schedules move whole yen and still pay off', () => {
+    const schedule = buildSchedule({ ...baseLoan, loanAmount: 30000000, currency: 'JPY' });
+    expect(schedule.every((row) => isWhole(row.interest) && isWhole(row.principal))).toBe(
+      true
+    );
+    expect(schedule.every((row) => isWhole(row.balance))).toBe(true);
+    expect(schedule[schedule.length - 1].balance).toBe(0);
+  });
+
+  test('USD schedules round to cents', () => {
+    const schedule = buildSchedule({ ...baseLoan, currency: 'USD' });
+    expect(schedule[0].interest).toBe(937.5);
+    expect(schedule[0].payment).toBe(1266.71);
+    expect(schedule.every((row) => Math.round(row.balance * 100) / 100 === row.balance)).toBe(
+      true
+    );
+  });
+
+  test('without a currency amounts are left unrounded', () => {
+    expect(buildSchedule(baseLoan)[0].payment).toBeCloseTo(1266.7133, 4);
+  });
+});
+
+describe('cent-accurate schedules', () => {
+  const inDollars = { ...baseLoan, currency: 'USD' };
+
+  test.each(['halfUp', 'halfEven', 'truncate'])(
+    'principal ties out to the loan amount with %s rounding',
+    (rounding) => {
+      const result = calculateLoan({ ...inDollars, rounding });
+      expect(result.reconciliation).toEqual({
+        principalRepaid: 250000,
+        difference: 0,
+        balanced: true
+      });
+      const last = result.schedule[result.schedule.length - 1];
+      expect(last.balance).toBe(0);
+      expect(result.schedule).toHaveLength(360);
+    }
+  );
+
+  test('the last payment absorbs the rounding residual', () => {
+    const { schedule, finalPayment } = calculateLoan(inDollars);
+    expect(schedule[0].payment).toBe(1266.71);
+    expect(finalPayment).not.toBe(1266.71);
+    expect(Math.abs(finalPayment - 1266.71)).toBeLessThan(5);
+  });
+
+  test('truncated interest never exceeds half-up interest', () => {
+    const halfUp = calculateLoan({ ...inDollars, rounding: 'halfUp' }).totals;
+    const truncated = calculateLoan({ ...inDollars, rounding: 'truncate' }).totals;
+    expect(truncated.totalInterest).toBeLessThanOrEqual(halfUp.totalInterest);
+  });
+
+  test('every structure and extra payments still reconcile', () => {
+    ['interestOnly', 'balloon', 'straightLine'].forEach((type) => {
+      const result = calculateLoan({
+        ...inDollars,
+        structure: { ...defaultStructure, type },
+        extraPayments: { ...defaultExtraPayments, monthly: 123.45 }
+      });
+      expect(result.reconciliation.balanced).toBe(true);
+    });
+  });
+
+  test('a 0% loan repays equal principal with no interest', () => {
+    const result = calculateLoan({ ...inDollars, interestRate: 0, loanAmount: 100000 });
+    expect(result.payment).toBe(277.78);
+    expect(result.totals.totalInterest).toBe(0);
+    expect(result.apr).toBe(0);
+    expect(result.reconciliation.balanced).toBe(true);
+    expect(result.finalPayment).toBeCloseTo(100000 - 277.78 * 359, 6);
+  });
+
+  test('rounding a 50-year weekly schedule stays in plain arithmetic', () => {
+    // String-based rounding (toPrecision, toFixed) tripled the time of this
+    // schedule, so a check on the calls stands in for a timing
+    const toPrecision = jest.spyOn(Number.prototype, 'toPrecision');
+    const toFixed = jest.spyOn(Number.prototype, 'toFixed');
+    const schedule = buildSchedule({
+      ...inDollars,
+      loanTermYears: 50,
+      paymentFrequency: 'weekly'
+    });
+    expect(schedule).toHaveLength(50 * 52);
+    expect(toPrecision).not.toHaveBeenCalled();
+    expect(toFixed).not.toHaveBeenCalled();
+    toPrecision.mockRestore();
+    toFixed.mockRestore();
+  });
+});
+
+describe('missed payments and forbearance', () => {
+  const inDollars = { ...baseLoan, currency: 'USD' };
+  const withDisruptions = (changes) => ({
+    ...inDollars,
+    disruptions: { ...defaultDisruptions, ...changes }
+  });
+  const skipMarch2011 = [{ id: 1, year: 2011, month: 3, type: 'skipped' }];
+  const rowIn = (schedule, year, month) =>
+    schedule.find((row) => row.year === year && row.month === month);
+
+  test('a missed payment capitalizes its interest and re-amortizes', () => {
+    const result = calculateLoan(withDisruptions({ events: skipMarch2011, lateFee: 40 }));
+    const missed = rowIn(result.schedule, 2011, 3);
+    const before = rowIn(result.schedule, 2011, 2);
+
+    expect(missed.disruption).toBe('skipped');
+    expect(missed.payment).toBe(0);
+    expect(missed.principal).toBe(0);
+    expect(missed.capitalizedInterest).toBe(missed.interest);
+    expect(missed.balance).toBeCloseTo(before.balance + missed.interest, 6);
+    expect(missed.lateFee).toBe(40);
+
+    expect(result.schedule).toHaveLength(360);
+    expect(rowIn(result.schedule, 2011, 4).scheduledPayment).toBeGreaterThan(1266.71);
+    expect(result.reconciliation.balanced).toBe(true);
+    expect(result.totals.totalLateFees).toBe(40);
+    expect(result.negativeAmortization.payments).toBe(1);
+    expect(result.disruptionImpact.extraInterest).toBeGreaterThan(0);
+  });
+
+  test('extending the term keeps the payment until the balance is repaid', () => {
+    const result = calculateLoan(
+      withDisruptions({ events: skipMarch2011, recovery: 'extend' })
+    );
+    const last = result.schedule[result.schedule.length - 1];
+    expect(rowIn(result.schedule, 2011, 4).scheduledPayment).toBe(1266.71);
+    // The capitalized interest, and the interest on it, take more than one
+    // extra payment to repay
+    expect(result.schedule).toHaveLength(364);
+    expect(result.disruptionImpact.paymentChange).toBe(4);
+    expect(last.balance).toBe(0);
+    expect(last.payment).toBeLessThanOrEqual(1266.71);
+    expect(result.reconciliation.balanced).toBe(true);
+  });
+
+  test('a year of forbearance with an extended term leaves no balloon', () => {
+    const result = calculateLoan(
+      withDisruptions({
+        forbearance: {
+          enabled: true,
+          startYear: 2011,
+          startMonth: 1,
+          months: 12,
+          paymentPercent: 0
+        },
+        recovery: 'extend'
+      })
+    );
+    const payments = result.schedule.map((row) => row.payment);
+    expect(Math.max(...payments)).toBe(1266.71);
+    expect(result.schedule[result.schedule.length - 1].balance).toBe(0);
+    expect(result.reconciliation.balanced).toBe(true);
+  });
+
+  test('interest deferred to maturity is paid with the last payment', () => {
+    const result = calculateLoan(
+      withDisruptions({ events: skipMarch2011, unpaidInterest: 'deferToMaturity' })
+    );
+    const missed = rowIn(result.schedule, 2011, 3);
+    const last = result.schedule[result.schedule.length - 1];
+
+    expect(missed.capitalizedInterest).toBe(0);
+    expect(missed.balance).toBe(rowIn(result.schedule, 2011, 2).balance);
+    expect(last.deferredInterestPaid).toBe(missed.unpaidInterest);
+    expect(last.payment).toBeCloseTo(
+      last.principal + last.interest + missed.unpaidInterest,
+      6
+    );
+    expect(result.negativeAmortization).toBeNull();
+    expect(result.reconciliation.balanced).toBe(true);
+  });
+
+  test('a reduced payment covers interest before principal', () => {
+    const events = [{ id: 1, year: 2011, month: 3, type: 'reduced', amount: 1000 }];
+    const row = rowIn(calculateLoan(withDisruptions({ events })).schedule, 2011, 3);
+    expect(row.payment).toBe(1000);
+    expect(row.principal).toBeCloseTo(1000 - row.interest, 6);
+    expect(row.unpaidInterest).toBe(0);
+  });
+
+  test('forbearance pays a share of the payment for its window', () => {
+    const result = calculateLoan(
+      withDisruptions({
+        forbearance: {
+          enabled: true,
+          startYear: 2011,
+          startMonth: 1,
+          months: 6,
+          paymentPercent: 50
+        },
+        lateFee: 40
+      })
+    );
+    const rows = result.schedule.filter((row) => row.disruption === 'forbearance');
+    expect(rows).toHaveLength(6);
+    expect(rows[0].payment).toBeCloseTo(633.36, 2);
+    expect(rows.every((row) => row.lateFee === 0)).toBe(true);
+    expect(result.negativeAmortization.payments).toBe(6);
+    expect(result.reconciliation.balanced).toBe(true);
+  });
+});
@@ -0,0 +1,77 @@
+// Default values and allowed ranges for every simulator input. The input
+// onChange handlers and the shareable-link decoder both clamp through here
+// so a value means the same thing however it was entered.
+
+import {
+  defaultExtraPayments,
+  defaultArm,
+  defaultOwnership,
+  defaultStructure,
+  defaultFees
+} from './loanEngine';
+import { defaultRefinance } from './refinance';
+import { defaultEconomics } from './realValues';
+import { defaultMonteCarlo } from './monteCarlo';
+import { defaultDisruptions } from './disruptions';
+
+export const DEFAULT_INPUTS = {
+  loanAmount: 250000,
+  interestRate: 4.5,
+  loanTermYears: 30,
+  startYear: 2010,
+  startMonth: 12,
+  paymentFrequency: "monthly",
+  compounding: "perPayment",
+  dayCount: "periodic",
+  structure: defaultStructure,
+  extraPayments: defaultExtraPayments,
+  rateType: "fixed",
+  arm: defaultArm,
+  ownership: defaultOwnership,
+  refinance: defaultRefinance,
+  fees: defaultFees,
+  economics: defaultEconomics,
+  monteCarlo: defaultMonteCarlo,
+  locale: "en-US",
+  currency: "USD",
+  rounding: "halfUp",
+  disruptions: defaultDisruptions
+};
+
+export const INPUT_LIMITS = {
+  loanAmount: { min: 1000 },
+  interestRate: { min: 0, max: 20 },
+  loanTermYears: { min: 1, max: 50 },
+  startYear: { min: 1900, max: 2200 },
+  extraAmount: { min: 0 },
+  month: { min: 1, max: 12 },
+  structureYears: { min: 1, max: 50 },
+  armYears: { min: 1, max: 30 },
+  armResetMonths: { min: 1, max: 60 },
+  armRate: { min: 0, max: 20 },
+  homePrice: { min: 1000 },
+  costAmount: { min: 0 },
+  pmiRate: { min: 0, max: 5 },
+  refinanceYears: { min: 0, max: 49 },
+  discountRate: { min: 0, max: 30 },
+  points: { min: 0, max: 10 },
+  pointRateReduction: { min: 0, max: 1 },
+  dti: { min: 0, max: 100 },
+  economicRate: { min: -5, max: 30 },
+  rateVolatility: { min: 0, max: 10 },
+  rateDrift: { min: -10, max: 10 },
+  reversionSpeed: { min: 0, max: 5 },
+  simulationPaths: { min: 100, max: 5000 },
+  seed: { min: 0, max: 4294967295 },
+  rateStep: { min: 0.05, max: 5 },
+  termStep: { min: 1, max: 10 },
+  sensitivityPercent: { min: 1, max: 50 },
+  forbearanceMonths: { min: 1, max: 60 },
+  paymentPercent: { min: 0, max: 100 }
+};
+
+export const clampValue = (value, { min = -Infinity, max = Infinity } = {}) =>
+  Math.max(min, Math.min(max, value));
+
+// Clamp a raw value (number or input string) against a named rule
+export const clampInput = (rule, value) => clampValue(Number(value), INPUT_LIMITS[rule]);
@@ -0,0 +1,141 @@
+import { buildSchedule } from './loanEngine';
+
+// Stochastic rate models. Rates move monthly; volatility and drift are in
+// percentage points per year.
+export const RATE_MODELS = {
+  randomWalk: { label: "Random walk" },
+  meanReverting: { label: "Mean-reverting" }
+};
+
+export const defaultMonteCarlo = {
+  enabled: false,
+  model: "meanReverting",
+  volatility: 1,
+  drift: 0,
+  longRunRate: 5,
+  reversionSpeed: 0.25,
+  paths: 1000,
+  seed: 42
+};
+
+// Small seeded generator (mulberry32) so a simulation can be reproduced
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draw (Box-Muller)
+const normal = (rng) => {
+  const u = 1 - rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+};
+
+// One monthly path of annual rates (%) starting at `startRate`. Rates are
+// floored at zero.
+export const simulateRatePath = (settings, rng, startRate, months) => {
+  const { model, volatility, drift, longRunRate, reversionSpeed } = settings;
+  const dt = 1 / 12;
+  const shock = volatility * Math.sqrt(dt);
+  const rates = [startRate];
+  let rate = startRate;
+
+  for (let month = 1; month < months; month++) {
+    const trend =
+      model === "meanReverting" ? reversionSpeed * (longRunRate - rate) : drift;
+    rate = Math.max(0, rate + trend * dt + shock * normal(rng));
+    rates.push(rate);
+  }
+
+  return rates;
+};
+
+// Linear-interpolated percentile of a sorted array, p in [0, 1]
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const bands = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    p10: percentile(sorted, 0.1),
+    p50: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9)
+  };
+};
+
+// Run every simulated path through the schedule and summarize each loan
+// year's principal-and-interest paid and closing balance as p10/p50/p90
+// bands. Fixed loans float monthly at the simulated rate; ARMs take it as
+// the index at each reset, starting from the first index value.
+export const runMonteCarlo = (loan, settings) => {
+  const options = { ...defaultMonteCarlo, ...settings };
+  const rng = createRng(options.seed);
+  const months = loan.loanTermYears * 12;
+  const isArm = loan.rateType === "arm" && loan.arm;
+  const startRate =
+    isArm && loan.arm.indexPath && loan.arm.indexPath.length
+      ? loan.arm.indexPath[0]
+      : loan.interestRate;
+
+  // Buckets by loan year. An extended term runs past loanTermYears, so they
+  // grow to the longest schedule; years a path doesn't reach are paid off.
+  const payments = [];
+  const balances = [];
+  const totalInterest = [];
+
+  for (let path = 0; path < options.paths; path++) {
+    const simulatedRates = simulateRatePath(options, rng, startRate, months);
+    const schedule = buildSchedule({ ...loan, simulatedRates });
+    const lastYear = schedule.length ? schedule[schedule.length - 1].loanYear : 0;
+    const years = Math.max(loan.loanTermYears, lastYear) + 1;
+    const paid = new Array(years).fill(0);
+    const closing = new Array(years).fill(0);
+    closing[0] = loan.loanAmount;
+    let interest = 0;
+
+    schedule.forEach((row) => {
+      paid[row.loanYear] += row.payment;
+      closing[row.loanYear] = row.balance;
+      interest += row.interest;
+    });
+
+    for (let year = 0; year < Math.max(years, payments.length); year++) {
+      if (!payments[year]) {
+        payments[year] = new Array(path).fill(0);
+        balances[year] = new Array(path).fill(0);
+      }
+      payments[year].push(year < years ? paid[year] : 0);
+      balances[year].push(year < years ? closing[year] : 0);
+    }
+    totalInterest.push(interest);
+  }
+
+  return {
+    paths: options.paths,
+    years: payments.map((values, loanYear) => {
+      const payment = bands(values);
+      const balance = bands(balances[loanYear]);
+      return {
+        loanYear,
+        year: loan.startYear + loanYear,
+        paymentP10: payment.p10,
+        paymentP50: payment.p50,
+        paymentP90: payment.p90,
+        balanceP10: balance.p10,
+        balanceP50: balance.p50,
+        balanceP90: balance.p90
+      };
+    }),
+    totalInterest: bands(totalInterest)
+  };
+};
@@ -0,0 +1,97 @@
+import { buildRatePath, calculateLoan, defaultArm } from './loanEngine';
+import {
+  createRng,
+  simulateRatePath,
+  percentile,
+  runMonteCarlo,
+  defaultMonteCarlo
+} from './monteCarlo';
+import { defaultDisruptions } from './disruptions';
+
+const loan = {
+  loanAmount: 250000,
+  interestRate: 4.5,
+  loanTermYears: 30,
+  startYear: 2010
+};
+
+const settings = { ...defaultMonteCarlo, enabled: true, paths: 60, seed: 7 };
+
+test('the same seed reproduces the same rate path', () => {
+  const first = simulateRatePath(settings, createRng(7), 4.5, 360);
+  const second = simulateRatePath(settings, createRng(7), 4.5, 360);
+  const other = simulateRatePath(settings, createRng(8), 4.5, 360);
+
+  expect(first).toHaveLength(360);
+  expect(first[0]).toBe(4.5);
+  expect(second).toEqual(first);
+  expect(other).not.toEqual(first);
+  expect(Math.min(...first)).toBeGreaterThanOrEqual(0);
+});
+
+test('a path without volatility follows the drift or reverts to the mean', () => {
+  const calm = { ...settings, volatility: 0 };
+  const walkSettings = { ...calm, model: "randomWalk", drift: 1.2 };
+  const walk = simulateRatePath(walkSettings, createRng(1), 4, 13);
+  expect(walk[12]).toBeCloseTo(5.2, 10);
+
+  const reverting = simulateRatePath(
+    { ...calm, longRunRate: 6, reversionSpeed: 2 },
+    createRng(1),
+    3,
+    360
+  );
+  expect(reverting[359]).toBeCloseTo(6, 4);
+});
+
+test('percentile interpolates between sorted values', () => {
+  expect(percentile([1, 2, 3, 4, 5], 0.5)).toBe(3);
+  expect(percentile([0, 10], 0.1)).toBeCloseTo(1, 10);
+  expect(percentile([], 0.5)).toBe(0);
+});
+
+test('simulated rates replace the fixed rate or feed the ARM index', () => {
+  const simulatedRates = new Array(360).fill(9);
+  expect(buildRatePath({ ...loan, simulatedRates })[100]).toBe(9);
+
+  const arm = { ...defaultArm, initialPeriodYears: 5, margin: 2, lifetimeCap: 10 };
+  const path = buildRatePath({ ...loan, rateType: "arm", arm, simulatedRates });
+  expect(path[0]).toBe(4.5);
+  expect(path[60]).toBe(4.5 + arm.initialCap);
+});
+
+test('bands are ordered and collapse without volatility', () => {
+  const result = runMonteCarlo(loan, settings);
+  expect(result.paths).toBe(60);
+  expect(result.years).toHaveLength(31);
+  expect(result.years[0]).toMatchObject({ year: 2010, balanceP50: 250000 });
+  result.years.forEach((year) => {
+    expect(year.balanceP10).toBeLessThanOrEqual(year.balanceP50);
+    expect(year.balanceP50).toBeLessThanOrEqual(year.balanceP90);
+    expect(year.paymentP10).toBeLessThanOrEqual(year.paymentP90);
+  });
+  expect(result.totalInterest.p10).toBeLessThan(result.totalInterest.p90);
+  expect(runMonteCarlo(loan, settings)).toEqual(result);
+
+  const flat = runMonteCarlo(loan, { ...settings, volatility: 0, model: "randomWalk" });
+  const { totals } = calculateLoan(loan);
+  expect(flat.totalInterest.p10).toBeCloseTo(totals.totalInterest, 4);
+  expect(flat.totalInterest.p90).toBeCloseTo(totals.totalInterest, 4);
+});
+
+test('years past the term are covered when a missed final payment extends it', () => {
+  const extended = {
+    ...loan,
+    loanTermYears: 5,
+    startMonth: 12,
+    disruptions: {
+      ...defaultDisruptions,
+      events: [{ id: 1, year: 2015, month: 12, type: 'skipped' }],
+      recovery: 'extend'
+    }
+  };
+  const result = runMonteCarlo(extended, settings);
+  expect(result.years).toHaveLength(7);
+  expect(result.years[6].paymentP50).toBeGreaterThan(0);
+  expect(result.years[6].balanceP90).toBe(0);
+});
@@ -0,0 +1,8 @@
+import { runMonteCarlo } from './monteCarlo';
+
+// Runs Monte Carlo simulations off the main thread; see monteCarloRunner.js
+// eslint-disable-next-line no-restricted-globals
+self.onmessage = ({ data }) => {
+  // eslint-disable-next-line no-restricted-globals
+  self.postMessage(runMonteCarlo(data.loan, data.settings));
+};
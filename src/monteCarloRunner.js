@@ -0,0 +1,20 @@
+// Start a simulation in a Web Worker so the inputs stay responsive. Each run
+// gets its own worker; `cancel` terminates it so a superseded run stops
+// using the CPU. Loaded with import() only where Worker exists, since jest
+// cannot parse `import.meta`.
+export const startMonteCarlo = (loan, settings) => {
+  const worker = new Worker(new URL("./monteCarlo.worker.js", import.meta.url));
+  const promise = new Promise((resolve, reject) => {
+    worker.onmessage = ({ data }) => {
+      worker.terminate();
+      resolve(data);
+    };
+    worker.onerror = (error) => {
+      worker.terminate();
+      reject(error);
+    };
+  });
+  worker.postMessage({ loan, settings });
+
+  return { promise, cancel: () => worker.terminate() };
+};
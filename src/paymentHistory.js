@@ -0,0 +1,415 @@
+// Actual payments from a lender statement, read from a CSV export and lined
+// up against the projected schedule month by month. The real balance is
+// walked forward with the payments made, differences from the projection
+// are flagged, and the rest of the loan is re-projected from where the real
+// balance ended up.
+
+import { paymentDate, periodsPerYearOf } from './loanEngine';
+import { moneyRounder } from './currency';
+
+// Columns a statement can provide. Without a principal/interest split the
+// expected interest is taken to have been charged.
+export const HISTORY_FIELDS = {
+  date: { label: "Date", required: true },
+  amount: { label: "Amount", required: true },
+  principal: { label: "Principal", required: false },
+  interest: { label: "Interest", required: false }
+};
+
+export const DATE_FORMATS = {
+  ymd: { label: "Year-Month-Day (2012-03-31)" },
+  mdy: { label: "Month/Day/Year (03/31/2012)" },
+  dmy: { label: "Day/Month/Year (31/03/2012)" }
+};
+
+// What separates the decimals in the file's amounts; the other mark, spaces
+// and apostrophes group thousands. Independent of the display locale.
+export const DECIMAL_SEPARATORS = {
+  point: { label: "Point (1,234.56)", mark: "." },
+  comma: { label: "Comma (1.234,56)", mark: "," }
+};
+
+export const VARIANCE_TYPES = {
+  interest: { label: "Interest differs from expected" },
+  short: { label: "Short payment" },
+  missing: { label: "No payment" },
+  unscheduled: { label: "Outside the schedule" }
+};
+
+// Lenders accrue by the day, so interest within this share of the expected
+// amount counts as matching
+export const INTEREST_TOLERANCE = 0.01;
+
+// How long a re-projection may run past the projected payoff
+const MAX_EXTRA_YEARS = 50;
+
+const QUOTE = '"';
+
+// Rows of trimmed cells from CSV text. Quoted cells may hold delimiters,
+// doubled quotes and line breaks; blank lines are dropped. Files separated
+// by semicolons, as many European banks export, are detected from the
+// first line.
+export const parseCsv = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const count = (char) => firstLine.split(char).length - 1;
+  const delimiter = count(";") > count(",") ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === QUOTE && text[i + 1] === QUOTE) {
+        cell += QUOTE;
+        i++;
+      } else if (char === QUOTE) {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === QUOTE) {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .map((cells) => cells.map((value) => value.trim()))
+    .filter((cells) => cells.some((value) => value !== ""));
+};
+
+const DATE_PATTERN = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})/;
+
+const parseDate = (text, format) => {
+  const parts = String(text).match(DATE_PATTERN);
+  if (!parts) return null;
+  const [a, b, c] = parts.slice(1).map(Number);
+  let [year, month, day] = [c, a, b];
+  if (format === "ymd") [year, month, day] = [a, b, c];
+  else if (format === "dmy") [year, month, day] = [c, b, a];
+  if (year < 100) year += 2000;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return { year, month, day };
+};
+
+// Statement amounts may carry a currency sign, a minus sign or parentheses
+// for money going out; only the size of a payment matters here
+const parseAmount = (text, separator) => {
+  const { mark } = DECIMAL_SEPARATORS[separator] || DECIMAL_SEPARATORS.point;
+  const group = mark === "." ? "," : ".";
+  const parts = String(text)
+    .replace(/[^\d.,]/g, "")
+    .split(group)
+    .join("")
+    .split(mark);
+  if (parts.length > 2 || !/^\d+$/.test(parts.join(""))) return NaN;
+  return Number(parts.join("."));
+};
+
+// Decimal separator of the amounts in `cells`: the later mark when a cell
+// has both, or a lone mark not followed by exactly three digits, which
+// would be a thousands group. Point when nothing decides it.
+const guessDecimalSeparator = (cells) => {
+  for (const cell of cells) {
+    const digits = String(cell).replace(/[^\d.,]/g, "");
+    const last = Math.max(digits.lastIndexOf("."), digits.lastIndexOf(","));
+    if (last < 0) continue;
+    const mark = digits[last];
+    const both = digits.includes(".") && digits.includes(",");
+    const lone = digits.indexOf(mark) === last && digits.length - last - 1 !== 3;
+    if (both || lone) return mark === "," ? "comma" : "point";
+  }
+  return "point";
+};
+
+// Header names that usually hold each field. Principal and interest are
+// matched first so "Interest Paid" isn't taken for the amount.
+const FIELD_PATTERNS = [
+  ["principal", /principal/i],
+  ["interest", /interest/i],
+  ["date", /date|posted/i],
+  ["amount", /amount|payment|paid|total/i]
+];
+
+// Best guess at the column mapping of a parsed file: columns found by their
+// header names, or date then amount when the file has no header row, and
+// the date order read from the dates themselves
+export const guessMapping = (rows) => {
+  const first = rows[0] || [];
+  const hasHeader = !first.some((cell) => DATE_PATTERN.test(cell));
+  const mapping = { date: 0, amount: 1, principal: null, interest: null, hasHeader };
+
+  if (hasHeader) {
+    const used = new Set();
+    FIELD_PATTERNS.forEach(([field, pattern]) => {
+      const index = first.findIndex((cell, i) => !used.has(i) && pattern.test(cell));
+      if (index >= 0) {
+        mapping[field] = index;
+        used.add(index);
+      }
+    });
+  }
+
+  const body = hasHeader ? rows.slice(1) : rows;
+  const dates = body
+    .map((row) => String(row[mapping.date] || "").match(DATE_PATTERN))
+    .filter(Boolean);
+  let dateFormat = "mdy";
+  if (dates.some((parts) => parts[1].length === 4)) dateFormat = "ymd";
+  else if (dates.some((parts) => Number(parts[1]) > 12)) dateFormat = "dmy";
+  const amounts = body.flatMap((row) =>
+    ["amount", "principal", "interest"]
+      .filter((field) => mapping[field] != null)
+      .map((field) => row[mapping[field]] || "")
+  );
+  return { ...mapping, dateFormat, decimalSeparator: guessDecimalSeparator(amounts) };
+};
+
+// Payments read from parsed rows with a column mapping, oldest first, and a
+// description of each row that couldn't be read
+export const readPaymentHistory = (rows, mapping) => {
+  const payments = [];
+  const errors = [];
+  const body = mapping.hasHeader ? rows.slice(1) : rows;
+
+  body.forEach((row, index) => {
+    const line = index + (mapping.hasHeader ? 2 : 1);
+    const cell = (field) => (mapping[field] == null ? "" : row[mapping[field]] || "");
+    const date = parseDate(cell("date"), mapping.dateFormat);
+    if (!date) {
+      errors.push(`Row ${line}: unrecognized date "${cell("date")}"`);
+      return;
+    }
+    const payment = { ...date, amount: 0, principal: null, interest: null };
+    const unreadable = Object.keys(HISTORY_FIELDS).find((field) => {
+      if (field === "date" || (!HISTORY_FIELDS[field].required && !cell(field))) {
+        return false;
+      }
+      payment[field] = parseAmount(cell(field), mapping.decimalSeparator);
+      return !Number.isFinite(payment[field]);
+    });
+    if (unreadable) {
+      errors.push(`Row ${line}: unreadable ${unreadable} "${cell(unreadable)}"`);
+      return;
+    }
+    payments.push(payment);
+  });
+
+  payments.sort((a, b) => a.year - b.year || a.month - b.month || a.day - b.day);
+  return { payments, errors };
+};
+
+const monthIndex = (year, month) => year * 12 + month - 1;
+const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+
+// What a scheduled payment asks for; the final one only what is left
+const amountDue = (row) =>
+  row.balance === 0 ? Math.min(row.payment, row.scheduledPayment) : row.scheduledPayment;
+
+// Interest per unit of balance the projection charged for a payment, so
+// the real balance can be charged at the same rate and day count
+const periodRate = (loan, schedule, index) => {
+  const opening = index > 0 ? schedule[index - 1].balance : loan.loanAmount;
+  return opening > 0 ? schedule[index].interest / opening : 0;
+};
+
+// The rest of the loan from the real balance after schedule row
+// `lastIndex`. The projected payments (and planned extra payments) are
+// kept, so a balance that is ahead or behind moves the payoff date rather
+// than the payment.
+const reproject = (loan, schedule, lastIndex, startBalance, money) => {
+  const rows = [];
+  const limit =
+    schedule.length + MAX_EXTRA_YEARS * periodsPerYearOf(loan.paymentFrequency);
+  let balance = startBalance;
+  let rate = 0;
+  let payment = 0;
+
+  for (let index = lastIndex + 1; balance > 0 && index < limit; index++) {
+    const row = schedule[index];
+    if (row) {
+      rate = periodRate(loan, schedule, index);
+      payment = row.scheduledPayment + row.extraPayment;
+    }
+    const interest = money(balance * rate);
+    // Past the projection a payment that doesn't cover the interest never
+    // pays the loan off
+    if (!row && payment <= interest) break;
+    const principal =
+      row && row.balloon > 0 ? balance : Math.min(money(payment - interest), balance);
+    balance = money(balance - principal);
+    const { loanYear, year, month } = paymentDate(loan, index + 1);
+    rows.push({
+      paymentNumber: index + 1,
+      loanYear,
+      year,
+      month,
+      payment: money(principal + interest),
+      principal,
+      interest,
+      balance
+    });
+  }
+  return rows;
+};
+
+// Line `payments` (from readPaymentHistory) up with the projected
+// `schedule` of `loan` for every scheduled month up to the last payment.
+// Months with no payment, payments short of what was due, lender interest
+// that doesn't match the interest expected on the real balance and
+// payments dated outside the schedule are reported as variances. Returns
+// null without payments.
+export const reconcileHistory = (loan, schedule, payments) => {
+  if (!payments || !payments.length || !schedule.length) return null;
+  const money = moneyRounder(loan.currency, loan.rounding);
+
+  const rowsByMonth = new Map();
+  schedule.forEach((row, index) => {
+    const key = monthIndex(row.year, row.month);
+    if (!rowsByMonth.has(key)) rowsByMonth.set(key, []);
+    rowsByMonth.get(key).push(index);
+  });
+  const paidByMonth = new Map();
+  payments.forEach((payment) => {
+    const key = monthIndex(payment.year, payment.month);
+    if (!paidByMonth.has(key)) paidByMonth.set(key, []);
+    paidByMonth.get(key).push(payment);
+  });
+
+  const lastRow = schedule[schedule.length - 1];
+  const firstKey = monthIndex(schedule[0].year, schedule[0].month);
+  const lastKey = monthIndex(lastRow.year, lastRow.month);
+  const variances = payments
+    .filter((payment) => {
+      const key = monthIndex(payment.year, payment.month);
+      return key < firstKey || key > lastKey;
+    })
+    .map(({ year, month, amount }) => ({
+      year,
+      month,
+      type: "unscheduled",
+      expected: 0,
+      actual: amount
+    }));
+
+  const months = [];
+  let balance = loan.loanAmount;
+  let lastIndex = -1;
+  const lastPaidKey = Math.max(...paidByMonth.keys());
+  for (let key = firstKey; key <= Math.min(lastPaidKey, lastKey); key++) {
+    const indexes = rowsByMonth.get(key);
+    // Quarterly loans have months without a payment due
+    if (!indexes) continue;
+    const rows = indexes.map((index) => schedule[index]);
+    const { year, month, loanYear } = rows[rows.length - 1];
+    const opening = indexes[0] > 0 ? schedule[indexes[0] - 1].balance : loan.loanAmount;
+    const expectedInterest = money(
+      opening > 0 ? (balance * sum(rows, "interest")) / opening : 0
+    );
+    const expectedPayment = money(rows.reduce((total, row) => total + amountDue(row), 0));
+
+    const paid = paidByMonth.get(key) || [];
+    const amount = sum(paid, "amount");
+    const given = (field) =>
+      paid.length > 0 && paid.every((payment) => payment[field] != null);
+    const split = given("interest");
+    const interest = split ? sum(paid, "interest") : expectedInterest;
+    const principal = given("principal")
+      ? sum(paid, "principal")
+      : money(amount - interest);
+    balance = Math.max(money(balance - principal), 0);
+    lastIndex = indexes[indexes.length - 1];
+
+    const variance = (type, expected, actual) =>
+      variances.push({ year, month, type, expected, actual });
+    if (!paid.length) variance("missing", expectedPayment, 0);
+    else if (amount < expectedPayment - 0.005) variance("short", expectedPayment, amount);
+    if (
+      split &&
+      Math.abs(interest - expectedInterest) >
+        Math.max(expectedInterest * INTEREST_TOLERANCE, 0.01)
+    ) {
+      variance("interest", expectedInterest, interest);
+    }
+
+    months.push({
+      year,
+      month,
+      loanYear,
+      expectedPayment,
+      expectedInterest,
+      projectedBalance: rows[rows.length - 1].balance,
+      paid: amount,
+      principal,
+      interest,
+      balance
+    });
+    if (balance === 0) break;
+  }
+
+  const reprojection = reproject(loan, schedule, lastIndex, balance, money);
+  const end = reprojection[reprojection.length - 1];
+  const asOf = months.length ? months[months.length - 1] : null;
+  let payoff = null;
+  if (balance === 0 && asOf) payoff = { year: asOf.year, month: asOf.month };
+  else if (end && end.balance === 0) payoff = { year: end.year, month: end.month };
+
+  return {
+    months,
+    variances: variances.sort((a, b) => a.year - b.year || a.month - b.month),
+    asOf: asOf && { year: asOf.year, month: asOf.month },
+    balance,
+    projectedBalance: lastIndex >= 0 ? schedule[lastIndex].balance : loan.loanAmount,
+    reprojection,
+    payoff,
+    projectedPayoff: { year: lastRow.year, month: lastRow.month },
+    remainingInterest: sum(reprojection, "interest"),
+    projectedRemainingInterest: sum(schedule.slice(lastIndex + 1), "interest")
+  };
+};
+
+// Principal and interest paid each year and the balance at its end, from
+// the statement for the months it covers and the re-projection after, keyed
+// by the year labels of the yearly rollups. `reprojected` marks years that
+// are at least partly re-projected.
+export const actualYearlyData = (loan, history) => {
+  const years = new Map();
+  const add = (row, reprojected) => {
+    const year = loan.startYear + row.loanYear;
+    if (!years.has(year)) {
+      years.set(year, { year, actualPrincipal: 0, actualInterest: 0, reprojected });
+    }
+    const entry = years.get(year);
+    entry.actualPrincipal += row.principal;
+    entry.actualInterest += row.interest;
+    entry.actualBalance = row.balance;
+    entry.reprojected = entry.reprojected || reprojected;
+  };
+  history.months.forEach((row) => add(row, false));
+  history.reprojection.forEach((row) => add(row, true));
+
+  return [
+    {
+      year: loan.startYear,
+      actualPrincipal: 0,
+      actualInterest: 0,
+      actualBalance: loan.loanAmount,
+      reprojected: false
+    },
+    ...[...years.values()].sort((a, b) => a.year - b.year)
+  ];
+};
@@ -0,0 +1,161 @@
+import { buildSchedule } from './loanEngine';
+import {
+  parseCsv,
+  guessMapping,
+  readPaymentHistory,
+  reconcileHistory,
+  actualYearlyData
+} from './paymentHistory';
+
+const loan = {
+  loanAmount: 100000,
+  interestRate: 6,
+  loanTermYears: 10,
+  startYear: 2020,
+  startMonth: 1,
+  currency: 'USD'
+};
+const schedule = buildSchedule(loan);
+
+// Statement rows for the first `count` payments, exactly as projected
+const statement = (count) =>
+  schedule.slice(0, count).map((row) => ({
+    year: row.year,
+    month: row.month,
+    day: 1,
+    amount: row.payment,
+    principal: row.principal,
+    interest: row.interest
+  }));
+
+test('parses quoted cells, semicolons and blank lines', () => {
+  expect(parseCsv('Date,Memo,Amount\r\n2020-02-01,"Payment, thanks",\r\n\r\n')).toEqual([
+    ['Date', 'Memo', 'Amount'],
+    ['2020-02-01', 'Payment, thanks', '']
+  ]);
+  expect(parseCsv('Datum;Betrag\n01.02.2020;"1.110,21"')).toEqual([
+    ['Datum', 'Betrag'],
+    ['01.02.2020', '1.110,21']
+  ]);
+  expect(parseCsv('a,"say ""hi"""')).toEqual([['a', 'say "hi"']]);
+});
+
+test('guesses the columns from the header and the date order from the dates', () => {
+  const rows = parseCsv(
+    'Posted,Description,Interest Paid,Principal Paid,Total Paid\n' +
+      '31/01/2020,Payment,500,610.21,1110.21'
+  );
+  expect(guessMapping(rows)).toEqual({
+    date: 0,
+    amount: 4,
+    principal: 3,
+    interest: 2,
+    hasHeader: true,
+    dateFormat: 'dmy',
+    decimalSeparator: 'point'
+  });
+  expect(guessMapping([['2020-02-01', '1110.21']])).toMatchObject({
+    date: 0,
+    amount: 1,
+    hasHeader: false,
+    dateFormat: 'ymd'
+  });
+});
+
+test('reads payments with the mapping and reports rows it cannot read', () => {
+  const rows = parseCsv(
+    'Date,Amount,Interest\n03/01/2020,"($1,110.21)",499.50\n' +
+      '02/01/2020,-1110.21,\nsoon,1,\n04/01/2020,n/a,'
+  );
+  const { payments, errors } = readPaymentHistory(rows, guessMapping(rows));
+  expect(payments).toEqual([
+    { year: 2020, month: 2, day: 1, amount: 1110.21, principal: null, interest: null },
+    { year: 2020, month: 3, day: 1, amount: 1110.21, principal: null, interest: 499.5 }
+  ]);
+  expect(errors).toEqual([
+    'Row 4: unrecognized date "soon"',
+    'Row 5: unreadable amount "n/a"'
+  ]);
+});
+
+test('reads amounts with the file\'s decimal separator, not the display locale', () => {
+  const rows = parseCsv('Datum;Betrag\n01.02.2020;"1.110,21"\n01.03.2020;"1.110,21"');
+  const mapping = guessMapping(rows);
+  expect(mapping).toMatchObject({ amount: 1, decimalSeparator: 'comma' });
+  expect(readPaymentHistory(rows, mapping).payments[0].amount).toBe(1110.21);
+
+  const point = readPaymentHistory(rows, { ...mapping, decimalSeparator: 'point' });
+  expect(point.payments[0].amount).toBeCloseTo(1.11021, 6);
+  expect(guessMapping(parseCsv('Date,Amount\n2020-02-01,"1,110"\n2020-03-01,1110.5')))
+    .toMatchObject({ decimalSeparator: 'point' });
+});
+
+test('payments made as projected reconcile with no variances', () => {
+  const history = reconcileHistory(loan, schedule, statement(24));
+  expect(history.variances).toEqual([]);
+  expect(history.months).toHaveLength(24);
+  expect(history.asOf).toEqual({ year: schedule[23].year, month: schedule[23].month });
+  expect(history.balance).toBeCloseTo(schedule[23].balance, 2);
+  expect(history.payoff).toEqual(history.projectedPayoff);
+  expect(history.remainingInterest).toBeCloseTo(history.projectedRemainingInterest, 0);
+});
+
+test('flags missing and short payments and interest that does not match', () => {
+  const payments = statement(5);
+  payments.splice(2, 1);
+  payments[2] = { ...payments[2], amount: 900, principal: null, interest: null };
+  payments[3] = { ...payments[3], interest: payments[3].interest + 25 };
+  const history = reconcileHistory(loan, schedule, payments);
+
+  expect(history.variances.map((variance) => variance.type)).toEqual([
+    'missing',
+    'short',
+    'interest'
+  ]);
+  expect(history.variances[1]).toMatchObject({
+    year: schedule[3].year,
+    month: schedule[3].month,
+    expected: schedule[3].scheduledPayment,
+    actual: 900
+  });
+  // Behind on principal, so the re-projected loan runs longer
+  expect(history.balance).toBeGreaterThan(history.projectedBalance);
+  const end = history.reprojection[history.reprojection.length - 1];
+  expect(end.paymentNumber).toBeGreaterThan(schedule.length);
+  expect(history.remainingInterest).toBeGreaterThan(history.projectedRemainingInterest);
+});
+
+test('a lump sum re-projects an earlier payoff', () => {
+  const payments = statement(12);
+  payments[11] = { ...payments[11], amount: payments[11].amount + 20000, principal: null };
+  const history = reconcileHistory(loan, schedule, payments);
+  expect(history.variances).toEqual([]);
+  expect(history.balance).toBeCloseTo(schedule[11].balance - 20000, 2);
+  expect(history.payoff.year).toBeLessThan(history.projectedPayoff.year);
+});
+
+test('payments dated outside the schedule are flagged and not applied', () => {
+  const history = reconcileHistory(loan, schedule, [
+    { year: 2019, month: 6, day: 1, amount: 500, principal: null, interest: null },
+    ...statement(1)
+  ]);
+  expect(history.variances).toEqual([
+    { year: 2019, month: 6, type: 'unscheduled', expected: 0, actual: 500 }
+  ]);
+  expect(history.balance).toBeCloseTo(schedule[0].balance, 2);
+});
+
+test('yearly actuals switch from the statement to the re-projection', () => {
+  const history = reconcileHistory(loan, schedule, statement(18));
+  const yearly = actualYearlyData(loan, history);
+  expect(yearly[0]).toMatchObject({ year: 2020, actualBalance: 100000, reprojected: false });
+  expect(yearly[1]).toMatchObject({ year: 2021, reprojected: false });
+  expect(yearly[2].reprojected).toBe(true);
+  expect(yearly[yearly.length - 1].actualBalance).toBe(0);
+  const principal = yearly.reduce((total, row) => total + row.actualPrincipal, 0);
+  expect(principal).toBeCloseTo(100000, 2);
+});
+
+test('returns null without payments', () => {
+  expect(reconcileHistory(loan, schedule, [])).toBeNull();
+});
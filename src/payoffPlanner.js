@@ -0,0 +1,209 @@
+// Pay off several loans from one monthly budget. Every debt keeps its
+// scheduled payment as a minimum; whatever the budget has left over goes
+// to one debt at a time in the order the strategy picks, and a paid-off
+// debt's payment rolls into the next. Debts are walked month by month on a
+// shared calendar, each paying on its own dates and accruing interest as
+// its schedule does.
+
+import { buildSchedule, periodRates } from './loanEngine';
+import { moneyRounder } from './currency';
+
+export const PAYOFF_STRATEGIES = {
+  avalanche: { label: "Avalanche (highest rate first)" },
+  snowball: { label: "Snowball (smallest balance first)" },
+  custom: { label: "Custom order" }
+};
+
+// Give up on plans that would run longer than this
+export const MAX_PLAN_MONTHS = 100 * 12;
+
+const monthKey = (year, month) => year * 12 + month - 1;
+const fromKey = (key) => ({ year: Math.floor(key / 12), month: (key % 12) + 1 });
+
+// Payments of a debt grouped by calendar month, each with its scheduled
+// amount, its annual rate and the share of the balance it charges as
+// interest. The debt's own extra payments and disruptions are left out:
+// the budget decides what is paid beyond the schedule.
+const prepareDebt = (debt) => {
+  const rows = buildSchedule({ ...debt, extraPayments: null, disruptions: null });
+  const rates = periodRates(debt, rows);
+  const payments = new Map();
+  rows.forEach((row, index) => {
+    const key = monthKey(row.year, row.month);
+    if (!payments.has(key)) payments.set(key, []);
+    payments.get(key).push({
+      scheduled: row.scheduledPayment,
+      rate: row.rate,
+      periodRate: rates[index],
+      // The last payment (or a balloon) is due in full
+      final: index === rows.length - 1
+    });
+  });
+  const money = moneyRounder(debt.currency, debt.rounding);
+  return {
+    id: debt.id,
+    name: debt.name,
+    money,
+    balance: rows.length ? money(debt.loanAmount) : 0,
+    first: rows.length ? monthKey(rows[0].year, rows[0].month) : Infinity,
+    payments,
+    totalInterest: 0,
+    totalPaid: 0,
+    payoff: null
+  };
+};
+
+// Debts in the order extra money goes to them
+const rankDebts = (due, strategy, order) => {
+  const byRate = (a, b) => b.rate - a.rate;
+  const byBalance = (a, b) => a.balance - b.balance;
+  if (strategy === "snowball") {
+    return [...due].sort((a, b) => byBalance(a, b) || byRate(a, b));
+  }
+  if (strategy === "custom") {
+    const position = (debt) => {
+      const index = order.indexOf(debt.id);
+      return index < 0 ? Infinity : index;
+    };
+    return [...due].sort((a, b) => position(a) - position(b));
+  }
+  return [...due].sort((a, b) => byRate(a, b) || byBalance(a, b));
+};
+
+// The currency shared by all of `debts`, or null if there are none or they
+// are in different currencies. One budget pays every debt, so a plan is
+// only made for debts in one currency.
+export const planCurrency = (debts) => {
+  const currencies = new Set(debts.map((debt) => debt.currency));
+  return currencies.size === 1 ? debts[0].currency : null;
+};
+
+// Month-by-month payoff of `debts` (loans with the simulator's inputs plus
+// an id and a name, all in one currency). A `budget` of null pays only the minimums, without
+// rolling freed-up payments over. `order` lists debt ids for the custom
+// strategy. `shortfall` is the first month the budget can't cover the
+// minimums; those months still pay the minimums.
+export const planPayoff = (debts, { budget, strategy = "avalanche", order = [] }) => {
+  const states = debts.map(prepareDebt);
+  const months = [];
+  let shortfall = null;
+  const start = Math.min(...states.map((state) => state.first));
+  if (!Number.isFinite(start)) {
+    return {
+      months,
+      debts: [],
+      totalInterest: 0,
+      debtFree: null,
+      shortfall,
+      paidOff: true
+    };
+  }
+
+  const owing = () => states.some((state) => state.balance > 0);
+  for (let key = start; owing() && key < start + MAX_PLAN_MONTHS; key++) {
+    // Debts with a payment this month pay their minimums in date order;
+    // extra money goes with the month's last payment
+    const due = states.filter((state) => state.balance > 0 && state.payments.has(key));
+    due.forEach((state) => {
+      const { money } = state;
+      state.minimum = 0;
+      state.interest = 0;
+      state.payments.get(key).forEach((payment) => {
+        const interest = money(state.balance * payment.periodRate);
+        const owed = state.balance + interest;
+        const minimum = payment.final ? owed : Math.min(payment.scheduled, owed);
+        state.balance = money(owed - minimum);
+        state.minimum += minimum;
+        state.interest += interest;
+        state.rate = payment.rate;
+      });
+    });
+
+    const minimums = due.reduce((sum, state) => sum + state.minimum, 0);
+    let extra = budget == null ? 0 : budget - minimums;
+    if (extra < -1e-9 && !shortfall) shortfall = { ...fromKey(key), amount: -extra };
+    extra = Math.max(extra, 0);
+
+    rankDebts(due, strategy, order).forEach((state) => {
+      const toward = state.money(Math.min(extra, state.balance));
+      state.balance = state.money(state.balance - toward);
+      state.payment = state.minimum + toward;
+      extra -= toward;
+    });
+
+    due.forEach((state) => {
+      state.totalInterest += state.interest;
+      state.totalPaid += state.payment;
+      if (state.balance < 0.005) {
+        state.balance = 0;
+        state.payoff = fromKey(key);
+      }
+    });
+
+    months.push({
+      ...fromKey(key),
+      // Loans that haven't started yet owe nothing
+      balances: Object.fromEntries(
+        states.map((state) => [state.id, key >= state.first ? state.balance : 0])
+      )
+    });
+  }
+
+  const paidOff = states.every((state) => state.balance === 0);
+  return {
+    months,
+    debts: states.map(({ id, name, first, totalInterest, totalPaid, payoff }) => ({
+      id,
+      name,
+      start: fromKey(first),
+      totalInterest,
+      totalPaid,
+      payoff
+    })),
+    totalInterest: states.reduce((sum, state) => sum + state.totalInterest, 0),
+    debtFree: paidOff ? fromKey(start + months.length - 1) : null,
+    shortfall,
+    paidOff
+  };
+};
+
+// Every strategy with the same budget, and paying only the minimums, for
+// the comparison table
+export const compareStrategies = (debts, budget, order) => {
+  const minimumsOnly = planPayoff(debts, { budget: null });
+  return [
+    { key: "minimum", label: "Minimum payments only", plan: minimumsOnly },
+    ...Object.entries(PAYOFF_STRATEGIES).map(([key, { label }]) => ({
+      key,
+      label,
+      plan: planPayoff(debts, { budget, strategy: key, order })
+    }))
+  ].map((entry) => ({
+    ...entry,
+    interestSaved: minimumsOnly.totalInterest - entry.plan.totalInterest
+  }));
+};
+
+export const debtKey = (id) => `debt_${id}`;
+
+// Year-end balance of each debt, for the stacked balance chart
+export const yearlyBalances = (plan) => {
+  const byYear = new Map();
+  plan.months.forEach(({ year, balances }) =>
+    byYear.set(year, {
+      year,
+      ...Object.fromEntries(
+        Object.entries(balances).map(([id, balance]) => [debtKey(id), balance])
+      )
+    })
+  );
+  return [...byYear.values()];
+};
+
+// Sum of the scheduled payments due in a debt's first month, the minimum
+// the budget has to cover for it
+export const firstMinimum = (debt) => {
+  const state = prepareDebt(debt);
+  const payments = state.payments.get(state.first) || [];
+  return payments.reduce((sum, payment) => sum + payment.scheduled, 0);
+};
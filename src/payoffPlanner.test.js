@@ -0,0 +1,130 @@
+import { buildSchedule } from './loanEngine';
+import {
+  planPayoff,
+  compareStrategies,
+  yearlyBalances,
+  firstMinimum,
+  debtKey,
+  planCurrency
+} from './payoffPlanner';
+
+const car = {
+  id: 1,
+  name: 'Car',
+  loanAmount: 20000,
+  interestRate: 7,
+  loanTermYears: 5,
+  startYear: 2020,
+  startMonth: 1
+};
+const card = {
+  id: 2,
+  name: 'Card',
+  loanAmount: 5000,
+  interestRate: 19,
+  loanTermYears: 5,
+  startYear: 2020,
+  startMonth: 1
+};
+const student = {
+  id: 3,
+  name: 'Student',
+  loanAmount: 3000,
+  interestRate: 4,
+  loanTermYears: 10,
+  startYear: 2020,
+  startMonth: 1
+};
+const debts = [car, card, student];
+const minimums = debts.reduce((sum, debt) => sum + firstMinimum(debt), 0);
+
+const payoffOf = (plan, id) => {
+  const { payoff } = plan.debts.find((debt) => debt.id === id);
+  return payoff.year * 12 + payoff.month;
+};
+
+test('paying only the minimums follows each loan schedule', () => {
+  const plan = planPayoff([car], { budget: null });
+  const schedule = buildSchedule(car);
+  const last = schedule[schedule.length - 1];
+  expect(plan.paidOff).toBe(true);
+  expect(plan.debtFree).toEqual({ year: last.year, month: last.month });
+  expect(plan.totalInterest).toBeCloseTo(
+    schedule.reduce((sum, row) => sum + row.interest, 0),
+    0
+  );
+});
+
+test.each([
+  ['semi-annual compounding', { compounding: 'semiAnnual' }],
+  ['quarterly payments', { paymentFrequency: 'quarterly' }],
+  ['biweekly payments', { paymentFrequency: 'biweekly' }],
+  ['actual/360 in dollars', { dayCount: 'actual360', currency: 'USD' }]
+])('minimum payments accrue like the schedule with %s', (_, options) => {
+  const loan = { ...car, loanAmount: 300000, loanTermYears: 25, ...options };
+  const plan = planPayoff([loan], { budget: null });
+  const schedule = buildSchedule(loan);
+  const last = schedule[schedule.length - 1];
+  expect(plan.debtFree).toEqual({ year: last.year, month: last.month });
+  expect(plan.totalInterest).toBeCloseTo(
+    schedule.reduce((sum, row) => sum + row.interest, 0),
+    2
+  );
+});
+
+test('avalanche pays the highest rate first and snowball the smallest balance', () => {
+  const budget = minimums + 300;
+  const avalanche = planPayoff(debts, { budget, strategy: 'avalanche' });
+  const snowball = planPayoff(debts, { budget, strategy: 'snowball' });
+
+  expect(payoffOf(avalanche, card.id)).toBeLessThan(payoffOf(avalanche, student.id));
+  expect(payoffOf(snowball, student.id)).toBeLessThan(payoffOf(snowball, card.id));
+  expect(avalanche.totalInterest).toBeLessThan(snowball.totalInterest);
+});
+
+test('freed-up payments roll over and beat paying the minimums', () => {
+  const [minimum, avalanche] = compareStrategies(debts, minimums, []);
+  expect(minimum.key).toBe('minimum');
+  expect(minimum.interestSaved).toBe(0);
+  // The same budget as the minimums, so only the rollover saves interest
+  expect(avalanche.interestSaved).toBeGreaterThan(0);
+  expect(avalanche.plan.shortfall).toBeNull();
+  // The car and card payments move to the student loan once they're paid off
+  expect(payoffOf(avalanche.plan, student.id)).toBeLessThan(
+    payoffOf(minimum.plan, student.id)
+  );
+});
+
+test('the custom strategy follows the given order', () => {
+  const plan = planPayoff(debts, {
+    budget: minimums + 300,
+    strategy: 'custom',
+    order: [car.id, student.id, card.id]
+  });
+  const snowball = planPayoff(debts, { budget: minimums + 300, strategy: 'snowball' });
+  expect(payoffOf(plan, car.id)).toBeLessThan(payoffOf(snowball, car.id));
+});
+
+test('flags a budget that does not cover the minimums', () => {
+  const plan = planPayoff(debts, { budget: minimums - 100 });
+  expect(plan.shortfall).toEqual({ year: 2020, month: 2, amount: expect.any(Number) });
+  expect(plan.shortfall.amount).toBeCloseTo(100, 6);
+  // The minimums are still paid, so the loans are still paid off
+  expect(plan.paidOff).toBe(true);
+});
+
+test('loans starting later join the plan when their payments start', () => {
+  const later = { ...student, id: 4, startYear: 2022 };
+  const plan = planPayoff([car, later], { budget: null });
+  const balances = yearlyBalances(plan);
+  expect(balances[0][debtKey(later.id)]).toBe(0);
+  expect(balances.find((row) => row.year === 2022)[debtKey(later.id)]).toBeGreaterThan(0);
+  expect(plan.debts[1].start).toEqual({ year: 2022, month: 2 });
+});
+
+test('a plan has a currency only when every debt shares it', () => {
+  const inDollars = debts.map((debt) => ({ ...debt, currency: 'USD' }));
+  expect(planCurrency(inDollars)).toBe('USD');
+  expect(planCurrency([...inDollars, { ...car, id: 4, currency: 'JPY' }])).toBeNull();
+  expect(planCurrency([])).toBeNull();
+});
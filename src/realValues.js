@@ -0,0 +1,94 @@
+// Inflation and opportunity cost: restate the schedule in today's dollars,
+// discount the payments, and compare prepaying the loan with investing the
+// same money instead.
+
+import { extraPaymentFor, paymentDate, periodsPerYearOf } from './loanEngine';
+
+export const defaultEconomics = {
+  inflationRate: 2.5,
+  investmentReturn: 6
+};
+
+// Yearly rollups with `real*` copies of the dollar columns, deflated to the
+// loan's start year at the inflation rate
+export const addRealValues = (yearlyData, { inflationRate }) => {
+  let realCumulativePrincipal = 0;
+  let realCumulativeInterest = 0;
+
+  return yearlyData.map((row) => {
+    const deflator = Math.pow(1 + inflationRate / 100, row.loanYear);
+    const realPrincipal = row.principal / deflator;
+    const realInterest = row.interest / deflator;
+    realCumulativePrincipal += realPrincipal;
+    realCumulativeInterest += realInterest;
+
+    return {
+      ...row,
+      realPrincipal,
+      realInterest,
+      realRemainingBalance: row.remainingBalance / deflator,
+      realCumulativePrincipal,
+      realCumulativeInterest
+    };
+  });
+};
+
+// Present value of a stream of per-period payments at an annual rate (%)
+export const presentValue = (payments, annualRate, periodsPerYear) => {
+  const growth = 1 + annualRate / 100 / periodsPerYear;
+  let discount = 1;
+  return payments.reduce((sum, payment) => {
+    discount /= growth;
+    return sum + payment * discount;
+  }, 0);
+};
+
+// Wealth at the end of the original term from two uses of the same budget:
+// prepaying with the planned extra payments (then investing the whole
+// payment once the loan is gone), or paying as scheduled and investing the
+// extras. Returns null when there are no extra payments to compare.
+export const comparePayDownVsInvest = (loan, schedule, baselineSchedule, economics) => {
+  const periodsPerYear = periodsPerYearOf(loan.paymentFrequency);
+  const growth = 1 + economics.investmentReturn / 100 / periodsPerYear;
+  let previous = paymentDate(loan, 0);
+  let payDownWealth = 0;
+  let investWealth = 0;
+  let totalExtra = 0;
+
+  baselineSchedule.forEach((row, i) => {
+    const extra = extraPaymentFor(row, loan.extraPayments, { periodsPerYear, previous });
+    const budget = row.payment + extra;
+    const paid = schedule[i] ? schedule[i].payment : 0;
+    previous = row;
+    totalExtra += extra;
+
+    payDownWealth = payDownWealth * growth + Math.max(budget - paid, 0);
+    investWealth = investWealth * growth + extra;
+  });
+
+  if (totalExtra <= 0) return null;
+  return {
+    payDownWealth,
+    investWealth,
+    better: payDownWealth >= investWealth ? "payDown" : "invest",
+    difference: Math.abs(payDownWealth - investWealth)
+  };
+};
+
+// Summary figures for the panel
+export const analyzeRealValues = (loan, result, economics) => {
+  const periodsPerYear = periodsPerYearOf(loan.paymentFrequency);
+  const payments = result.schedule.map((row) => row.payment);
+  const baselineSchedule = result.baselineSchedule || result.schedule;
+
+  return {
+    npvAtReturn: presentValue(payments, economics.investmentReturn, periodsPerYear),
+    realTotalPaid: presentValue(payments, economics.inflationRate, periodsPerYear),
+    payDownVsInvest: comparePayDownVsInvest(
+      loan,
+      result.schedule,
+      baselineSchedule,
+      economics
+    )
+  };
+};
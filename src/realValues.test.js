@@ -0,0 +1,57 @@
+import { calculateLoan, defaultExtraPayments } from './loanEngine';
+import {
+  addRealValues,
+  presentValue,
+  comparePayDownVsInvest,
+  analyzeRealValues
+} from './realValues';
+
+const loan = {
+  loanAmount: 250000,
+  interestRate: 4.5,
+  loanTermYears: 30,
+  startYear: 2010
+};
+
+test('deflates each year to start-year dollars', () => {
+  const yearly = addRealValues(calculateLoan(loan).yearlyData, { inflationRate: 3 });
+  expect(yearly[0].realRemainingBalance).toBe(250000);
+  expect(yearly[10].realInterest).toBeCloseTo(yearly[10].interest / Math.pow(1.03, 10), 6);
+  expect(yearly[30].realCumulativePrincipal).toBeLessThan(yearly[30].cumulativePrincipal);
+
+  const flat = addRealValues(calculateLoan(loan).yearlyData, { inflationRate: 0 });
+  expect(flat[30].realCumulativeInterest).toBeCloseTo(flat[30].cumulativeInterest, 6);
+});
+
+test('present value of the payments at the note rate is the loan amount', () => {
+  const { schedule } = calculateLoan(loan);
+  const payments = schedule.map((row) => row.payment);
+  expect(presentValue(payments, 4.5, 12)).toBeCloseTo(250000, 4);
+  expect(presentValue(payments, 0, 12)).toBeCloseTo(payments.reduce((a, b) => a + b), 4);
+});
+
+test('investing beats paying down when returns exceed the loan rate', () => {
+  const withExtras = {
+    ...loan,
+    extraPayments: { ...defaultExtraPayments, monthly: 300 }
+  };
+  const result = calculateLoan(withExtras);
+  const compare = (investmentReturn) =>
+    comparePayDownVsInvest(withExtras, result.schedule, result.baselineSchedule, {
+      investmentReturn
+    });
+
+  expect(compare(8).better).toBe('invest');
+  expect(compare(2).better).toBe('payDown');
+  // At the loan rate both uses of the money end up equal
+  expect(compare(4.5).difference).toBeLessThan(1);
+});
+
+test('no comparison without extra payments', () => {
+  const analysis = analyzeRealValues(loan, calculateLoan(loan), {
+    inflationRate: 2.5,
+    investmentReturn: 6
+  });
+  expect(analysis.payDownVsInvest).toBeNull();
+  expect(analysis.realTotalPaid).toBeLessThan(calculateLoan(loan).totals.totalCost);
+});
@@ -0,0 +1,142 @@
+// Compare keeping the current loan with refinancing its remaining balance
+// at some point in the schedule.
+
+import {
+  buildSchedule,
+  paymentDate,
+  periodsPerYearOf,
+  defaultStructure
+} from './loanEngine';
+
+export const defaultRefinance = {
+  enabled: false,
+  afterYears: 5,
+  newRate: 3.5,
+  newTermYears: 30,
+  closingCosts: 4000,
+  rollCosts: false,
+  discountRate: 3
+};
+
+const presentValue = (payments, annualRate, periodsPerYear) => {
+  const periodicRate = annualRate / 100 / periodsPerYear;
+  return payments.reduce(
+    (sum, payment, i) => sum + payment / Math.pow(1 + periodicRate, i + 1),
+    0
+  );
+};
+
+// Balance at the end of each loan year of a set of schedule rows, keyed by
+// the year label used in the yearly rollups
+const yearEndBalances = (rows, startYear) => {
+  const balances = new Map();
+  rows.forEach((row) => balances.set(startYear + row.loanYear, row.balance));
+  return balances;
+};
+
+// `schedule` is the current loan's schedule; the refinance happens after
+// `afterYears` full years of payments. Closing costs are either added to the
+// new loan or paid in cash up front. The new loan is a fixed-rate, fully
+// amortizing loan that keeps the payment frequency and interest conventions
+// of the current one, whatever the current loan's structure.
+export const analyzeRefinance = (loan, schedule, refinance) => {
+  const { startYear, loanAmount, paymentFrequency } = loan;
+  const periodsPerYear = periodsPerYearOf(paymentFrequency);
+  const {
+    afterYears,
+    newRate,
+    newTermYears,
+    closingCosts,
+    rollCosts,
+    discountRate
+  } = refinance;
+
+  const refinanceAt = Math.min(afterYears * periodsPerYear, schedule.length);
+  const balance = refinanceAt > 0 ? schedule[refinanceAt - 1].balance : loanAmount;
+  const currentRows = schedule.slice(refinanceAt);
+  const cashCosts = rollCosts ? 0 : closingCosts;
+  const newLoanAmount = balance + (rollCosts ? closingCosts : 0);
+
+  // Re-date the new loan's rows onto the original timeline
+  const refinanceRows = buildSchedule({
+    ...loan,
+    loanAmount: newLoanAmount,
+    interestRate: newRate,
+    loanTermYears: newTermYears,
+    rateType: "fixed",
+    structure: defaultStructure,
+    extraPayments: null,
+    disruptions: null,
+    ownership: null
+  }).map((row) => ({
+    ...row,
+    ...paymentDate(loan, refinanceAt + row.paymentNumber)
+  }));
+
+  // Net position of refinancing after p payments: payments saved, less cash
+  // costs, plus how much lower the new balance is than the old one
+  let breakEvenPayments = null;
+  let cumulativeSavings = -cashCosts;
+  const payments = Math.max(currentRows.length, refinanceRows.length);
+  for (let p = 0; p < payments; p++) {
+    const current = currentRows[p];
+    const refi = refinanceRows[p];
+    cumulativeSavings += (current ? current.payment : 0) - (refi ? refi.payment : 0);
+    const balanceGap = (current ? current.balance : 0) - (refi ? refi.balance : 0);
+    if (cumulativeSavings + balanceGap >= 0) {
+      breakEvenPayments = p + 1;
+      break;
+    }
+  }
+  const breakEvenMonths =
+    breakEvenPayments != null ? Math.ceil((breakEvenPayments * 12) / periodsPerYear) : null;
+
+  const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+  const currentInterest = sum(currentRows, "interest");
+  const refinanceInterest = sum(refinanceRows, "interest");
+
+  const currentBalances = yearEndBalances(currentRows, startYear);
+  const refinanceBalances = yearEndBalances(refinanceRows, startYear);
+  const refinanceYear =
+    startYear + (refinanceAt > 0 ? schedule[refinanceAt - 1].loanYear : 0);
+  const years = [...new Set([...currentBalances.keys(), ...refinanceBalances.keys()])];
+
+  return {
+    refinanceAt,
+    refinanceYear,
+    balance,
+    newLoanAmount,
+    currentPayment: currentRows.length ? currentRows[0].payment : 0,
+    newPayment: refinanceRows.length ? refinanceRows[0].payment : 0,
+    breakEvenMonths,
+    breakEvenDate:
+      breakEvenPayments != null
+        ? paymentDate(loan, refinanceAt + breakEvenPayments)
+        : null,
+    currentInterest,
+    refinanceInterest,
+    interestDifference: currentInterest - refinanceInterest,
+    currentTotalCost: sum(currentRows, "payment"),
+    refinanceTotalCost: sum(refinanceRows, "payment") + cashCosts,
+    currentNpv: presentValue(
+      currentRows.map((row) => row.payment),
+      discountRate,
+      periodsPerYear
+    ),
+    refinanceNpv:
+      cashCosts +
+      presentValue(
+        refinanceRows.map((row) => row.payment),
+        discountRate,
+        periodsPerYear
+      ),
+    balancePath: [
+      { year: refinanceYear, currentBalance: balance, refinanceBalance: newLoanAmount },
+      ...years.sort((a, b) => a - b).map((year) => ({
+        year,
+        currentBalance: currentBalances.get(year) ?? 0,
+        refinanceBalance: refinanceBalances.get(year) ?? 0
+      }))
+    ]
+  };
+};
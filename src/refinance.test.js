@@ -0,0 +1,81 @@
+import { buildSchedule, calculatePayment, defaultStructure } from './loanEngine';
+import { analyzeRefinance, defaultRefinance } from './refinance';
+
+const loan = {
+  loanAmount: 250000,
+  interestRate: 6,
+  loanTermYears: 30,
+  startYear: 2010
+};
+const schedule = buildSchedule(loan);
+
+const analyze = (changes) =>
+  analyzeRefinance(loan, schedule, { ...defaultRefinance, enabled: true, ...changes });
+
+test('refinances the balance left after the chosen year', () => {
+  const result = analyze({ afterYears: 5, newRate: 4, newTermYears: 25 });
+  expect(result.refinanceAt).toBe(60);
+  expect(result.refinanceYear).toBe(2015);
+  expect(result.balance).toBeCloseTo(schedule[59].balance, 6);
+  expect(result.newLoanAmount).toBeCloseTo(result.balance, 6);
+  expect(result.newPayment).toBeLessThan(result.currentPayment);
+  expect(result.interestDifference).toBeGreaterThan(0);
+});
+
+test('cash closing costs are recovered by the payment savings', () => {
+  const result = analyze({ newRate: 4, newTermYears: 25, closingCosts: 5000 });
+  const monthlySavings = result.currentPayment - result.newPayment;
+  // The lower balance on the new loan speeds break-even up a little
+  expect(result.breakEvenMonths).toBeLessThanOrEqual(Math.ceil(5000 / monthlySavings));
+  expect(result.breakEvenMonths).toBeGreaterThan(0);
+  expect(result.breakEvenDate.year).toBeGreaterThanOrEqual(2015);
+});
+
+test('rolled-in closing costs increase the new loan instead', () => {
+  const result = analyze({
+    newRate: 4,
+    newTermYears: 25,
+    closingCosts: 5000,
+    rollCosts: true
+  });
+  expect(result.newLoanAmount).toBeCloseTo(result.balance + 5000, 6);
+  expect(result.refinanceTotalCost).toBeCloseTo(result.newPayment * 25 * 12, 0);
+});
+
+test('an interest-only or balloon loan refinances into an amortizing one', () => {
+  ['interestOnly', 'balloon'].forEach((type) => {
+    const current = {
+      ...loan,
+      loanTermYears: 10,
+      structure: { ...defaultStructure, type, interestOnlyYears: 10, balloonYears: 7 }
+    };
+    const result = analyzeRefinance(current, buildSchedule(current), {
+      ...defaultRefinance,
+      enabled: true,
+      afterYears: 5
+    });
+    expect(result.newPayment).toBeCloseTo(
+      calculatePayment(result.newLoanAmount, 0.035 / 12, 360),
+      2
+    );
+  });
+});
+
+test('a higher rate never breaks even and costs more', () => {
+  const result = analyze({ newRate: 8, newTermYears: 25 });
+  expect(result.breakEvenMonths).toBeNull();
+  expect(result.interestDifference).toBeLessThan(0);
+  expect(result.refinanceNpv).toBeGreaterThan(result.currentNpv);
+});
+
+test('balance path covers both loans year by year', () => {
+  const result = analyze({ newRate: 4, newTermYears: 30 });
+  const { balancePath } = result;
+  expect(balancePath[0]).toMatchObject({ year: 2015 });
+  expect(balancePath[balancePath.length - 1]).toMatchObject({
+    year: 2045,
+    currentBalance: 0
+  });
+  expect(balancePath.find((p) => p.year === 2040).currentBalance).toBeCloseTo(0, 6);
+  expect(balancePath.find((p) => p.year === 2040).refinanceBalance).toBeGreaterThan(0);
+});
@@ -0,0 +1,180 @@
+// Saved scenarios in browser storage and in shareable JSON files. Both use
+// the same versioned envelope so old data can be migrated when the scenario
+// shape changes.
+
+import { calculateLoan } from './loanEngine';
+import { DEFAULT_INPUTS } from './loanInputs';
+import { findInputProblem } from './urlState';
+
+export const STORAGE_KEY = "amortization-simulator.scenarios";
+export const PORTFOLIO_KEY = "amortization-simulator.portfolio";
+export const SCHEMA_VERSION = 1;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Upgrade a parsed file or storage entry to the current envelope. Version 0
+// is the bare array of scenarios the app kept in memory before persistence.
+export const migrateScenarioData = (data) => {
+  if (Array.isArray(data)) {
+    return { version: SCHEMA_VERSION, scenarios: data };
+  }
+  if (!data || typeof data !== "object" || !Array.isArray(data.scenarios)) {
+    throw new Error("File does not contain a scenario list");
+  }
+  if (!isNumber(data.version) || data.version > SCHEMA_VERSION) {
+    throw new Error(`Unsupported scenario file version: ${data.version}`);
+  }
+  return { ...data, version: SCHEMA_VERSION };
+};
+
+// Reason an entry can't be used, or null if it is valid
+export const validateScenario = (entry) => {
+  if (!entry || typeof entry !== "object") return "not an object";
+  if (typeof entry.name !== "string" || !entry.name.trim()) return "missing name";
+  if (!isNumber(entry.loanAmount) || entry.loanAmount <= 0) {
+    return "loanAmount must be a positive number";
+  }
+  const { interestRate, loanTermYears } = entry;
+  if (!isNumber(interestRate) || interestRate < 0 || interestRate > 100) {
+    return "interestRate must be between 0 and 100";
+  }
+  if (!isNumber(loanTermYears) || loanTermYears < 1 || loanTermYears > 50) {
+    return "loanTermYears must be between 1 and 50";
+  }
+  // The other inputs are checked the way a shared link's are
+  return findInputProblem(entry, ["loanAmount", "interestRate", "loanTermYears"]);
+};
+
+// Option groups (extra payments, ARM settings, ...) are merged over their
+// defaults, nested groups too, so scenarios saved before an option existed
+// still load
+const withDefaults = (entry, defaults = DEFAULT_INPUTS) =>
+  Object.fromEntries(
+    Object.entries(defaults).map(([key, defaultValue]) => {
+      const value = entry[key];
+      if (value == null) return [key, defaultValue];
+      const isGroup =
+        defaultValue && typeof defaultValue === "object" && !Array.isArray(defaultValue);
+      if (isGroup) return [key, { ...value, ...withDefaults(value, defaultValue) }];
+      return [key, value];
+    })
+  );
+
+// Fill in optional inputs and recompute the summary columns from them, so a
+// hand-edited file can't put stale or missing numbers in the comparison table
+export const normalizeScenario = (entry) => {
+  const scenario = {
+    id: entry.id,
+    name: entry.name.trim(),
+    ...withDefaults(entry),
+    loanTermYears: Math.round(entry.loanTermYears)
+  };
+  const loan = calculateLoan(scenario);
+
+  return {
+    ...scenario,
+    monthlyPayment: loan.monthlyPayment,
+    totalInterest: loan.totals.totalInterest,
+    interestRatio: loan.totals.interestRatio,
+    apr: loan.apr,
+    trueCost: loan.totals.trueCost
+  };
+};
+
+// Validate every entry, keeping the good ones and describing the bad ones
+export const parseScenarios = (data) => {
+  const { scenarios: entries } = migrateScenarioData(data);
+  const scenarios = [];
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    const label = entry && typeof entry.name === "string" ? ` "${entry.name}"` : "";
+    const problem = validateScenario(entry);
+    if (problem) {
+      errors.push(`Entry ${index + 1}${label}: ${problem}`);
+      return;
+    }
+    // A combination of valid inputs can still fail to calculate; that
+    // drops this entry, not the whole file
+    try {
+      scenarios.push(normalizeScenario(entry));
+    } catch (error) {
+      errors.push(`Entry ${index + 1}${label}: could not be calculated`);
+    }
+  });
+
+  return { scenarios, errors };
+};
+
+export const parseScenarioFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { scenarios: [], errors: ["File is not valid JSON"] };
+  }
+
+  try {
+    return parseScenarios(data);
+  } catch (error) {
+    return { scenarios: [], errors: [error.message] };
+  }
+};
+
+export const serializeScenarios = (scenarios) =>
+  JSON.stringify({ version: SCHEMA_VERSION, scenarios }, null, 2);
+
+// Give imported scenarios ids that don't collide with the current list
+export const mergeScenarios = (existing, imported) => {
+  const usedIds = new Set(existing.map((s) => s.id));
+  let nextId = Date.now();
+
+  return [
+    ...existing,
+    ...imported.map((scenario) => {
+      if (scenario.id != null && !usedIds.has(scenario.id)) {
+        usedIds.add(scenario.id);
+        return scenario;
+      }
+      while (usedIds.has(nextId)) nextId++;
+      usedIds.add(nextId);
+      return { ...scenario, id: nextId };
+    })
+  ];
+};
+
+// Scenarios and the payoff planner's loans are kept under separate keys in
+// the same format. `errors` lists what was stored but could not be read;
+// callers must not save over such a list, or those entries are lost.
+const loadList = (key, storage) => {
+  let text;
+  try {
+    text = storage.getItem(key);
+  } catch (error) {
+    // Storage can be disabled; the app still works without it
+    return { scenarios: [], errors: [] };
+  }
+  if (!text) return { scenarios: [], errors: [] };
+  const { scenarios, errors } = parseScenarioFile(text);
+  return { scenarios: mergeScenarios([], scenarios), errors };
+};
+
+const saveList = (key, scenarios, storage) => {
+  try {
+    storage.setItem(key, serializeScenarios(scenarios));
+  } catch (error) {
+    // Ignore quota and privacy-mode errors
+  }
+};
+
+export const loadScenarios = (storage = window.localStorage) =>
+  loadList(STORAGE_KEY, storage);
+
+export const saveScenarios = (scenarios, storage = window.localStorage) =>
+  saveList(STORAGE_KEY, scenarios, storage);
+
+export const loadPortfolio = (storage = window.localStorage) =>
+  loadList(PORTFOLIO_KEY, storage);
+
+export const savePortfolio = (debts, storage = window.localStorage) =>
+  saveList(PORTFOLIO_KEY, debts, storage);
@@ -0,0 +1,146 @@
+import {
+  STORAGE_KEY,
+  SCHEMA_VERSION,
+  parseScenarioFile,
+  serializeScenarios,
+  mergeScenarios,
+  loadScenarios,
+  saveScenarios,
+  PORTFOLIO_KEY,
+  loadPortfolio,
+  savePortfolio
+} from './scenarioStorage';
+
+const scenario = {
+  id: 1,
+  name: 'Base',
+  loanAmount: 250000,
+  interestRate: 4.5,
+  loanTermYears: 30
+};
+
+const memoryStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+    }
+  };
+};
+
+test('round-trips scenarios through the versioned envelope', () => {
+  const text = serializeScenarios([scenario]);
+  expect(JSON.parse(text).version).toBe(SCHEMA_VERSION);
+
+  const { scenarios, errors } = parseScenarioFile(text);
+  expect(errors).toEqual([]);
+  expect(scenarios[0]).toMatchObject({ ...scenario, rateType: 'fixed' });
+  expect(scenarios[0].monthlyPayment).toBeCloseTo(1266.71, 2);
+});
+
+test('migrates a bare scenario array from before versioning', () => {
+  const { scenarios } = parseScenarioFile(JSON.stringify([scenario]));
+  expect(scenarios).toHaveLength(1);
+});
+
+test('recomputes summary columns instead of trusting the file', () => {
+  const { scenarios } = parseScenarioFile(
+    JSON.stringify([{ ...scenario, monthlyPayment: 'lots', interestRatio: null }])
+  );
+  expect(scenarios[0].interestRatio).toBeGreaterThan(0);
+  expect(typeof scenarios[0].monthlyPayment).toBe('number');
+  expect(scenarios[0].apr).toBeGreaterThan(0);
+  expect(scenarios[0].trueCost).toBeGreaterThan(scenarios[0].loanAmount);
+});
+
+test('reports bad entries and keeps the good ones', () => {
+  const { scenarios, errors } = parseScenarioFile(
+    JSON.stringify({
+      version: 1,
+      scenarios: [scenario, { ...scenario, name: 'Broken', loanTermYears: 80 }, 42]
+    })
+  );
+  expect(scenarios).toHaveLength(1);
+  expect(errors).toEqual([
+    'Entry 2 "Broken": loanTermYears must be between 1 and 50',
+    'Entry 3: not an object'
+  ]);
+});
+
+test('checks the option groups of each entry', () => {
+  const { scenarios, errors } = parseScenarioFile(
+    JSON.stringify([
+      { ...scenario, name: 'Extras', extraPayments: { oneTime: 5 } },
+      { ...scenario, name: 'Far', startYear: 1e9 },
+      {
+        ...scenario,
+        name: 'Event',
+        disruptions: { events: [{ year: 2012, month: 3, type: 'lost' }] }
+      },
+      { ...scenario, name: 'Group', arm: 'yes' },
+      { ...scenario, name: 'Partial', disruptions: { forbearance: { enabled: true } } }
+    ])
+  );
+  expect(errors).toEqual([
+    'Entry 1 "Extras": extraPayments.oneTime must be a list of payments with a year, ' +
+      'month and amount',
+    'Entry 2 "Far": startYear must be between 1900 and 2200',
+    'Entry 3 "Event": disruptions.events must be a list of events with a year, month ' +
+      'and known type',
+    'Entry 4 "Group": arm must be an object'
+  ]);
+  // Nested groups are filled in from their defaults
+  expect(scenarios).toHaveLength(1);
+  expect(scenarios[0].disruptions.forbearance).toMatchObject({ enabled: true, months: 6 });
+});
+
+test('rejects files that are not scenario lists', () => {
+  expect(parseScenarioFile('not json').errors).toEqual(['File is not valid JSON']);
+  expect(parseScenarioFile('{"foo": 1}').errors).toEqual([
+    'File does not contain a scenario list'
+  ]);
+  expect(parseScenarioFile('{"version": 99, "scenarios": []}').errors[0]).toMatch(
+    /unsupported/i
+  );
+});
+
+test('imported scenarios get fresh ids when they collide', () => {
+  const merged = mergeScenarios([scenario], [scenario, { ...scenario, id: 2 }]);
+  expect(new Set(merged.map((s) => s.id)).size).toBe(3);
+  expect(merged[2].id).toBe(2);
+});
+
+test('saves to and loads from storage', () => {
+  const storage = memoryStorage();
+  expect(loadScenarios(storage)).toEqual({ scenarios: [], errors: [] });
+
+  saveScenarios([scenario], storage);
+  expect(JSON.parse(storage.getItem(STORAGE_KEY)).scenarios).toHaveLength(1);
+  expect(loadScenarios(storage).scenarios[0].name).toBe('Base');
+});
+
+test('ignores unreadable storage', () => {
+  const storage = {
+    getItem: () => {
+      throw new Error('denied');
+    }
+  };
+  expect(loadScenarios(storage)).toEqual({ scenarios: [], errors: [] });
+});
+
+test('reports stored entries that cannot be read', () => {
+  const storage = memoryStorage();
+  saveScenarios([scenario, { ...scenario, name: 'Broken', rounding: 'up' }], storage);
+  const { scenarios, errors } = loadScenarios(storage);
+  expect(scenarios).toHaveLength(1);
+  expect(errors).toEqual(['Entry 2 "Broken": unknown rounding "up"']);
+});
+
+test('keeps the payoff planner loans apart from the scenarios', () => {
+  const storage = memoryStorage();
+  savePortfolio([scenario], storage);
+  expect(loadScenarios(storage)).toEqual({ scenarios: [], errors: [] });
+  expect(loadPortfolio(storage).scenarios[0].monthlyPayment).toBeGreaterThan(0);
+  expect(JSON.parse(storage.getItem(PORTFOLIO_KEY)).scenarios).toHaveLength(1);
+});
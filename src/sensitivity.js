@@ -0,0 +1,136 @@
+// How total interest, the payment and the total cost respond to the inputs:
+// a rate × term grid for the heatmap and one-at-a-time changes for the
+// tornado chart. Every point runs the real schedule, so the loan's
+// frequency, structure, extra payments and fees all carry through.
+
+import {
+  buildSchedule,
+  summarizeSchedule,
+  upfrontCharges,
+  periodsPerYearOf
+} from './loanEngine';
+
+export const SENSITIVITY_METRICS = {
+  totalInterest: { label: "Total Interest" },
+  monthlyPayment: { label: "Monthly Payment" }
+};
+
+// Keeps the grid small enough to recalculate as the inputs change
+export const MAX_GRID_STEPS = 15;
+
+// Ranges around the current rate and term
+export const defaultRangesFor = ({ interestRate, loanTermYears }) => ({
+  rateFrom: Math.max(0, Math.round((interestRate - 2) * 4) / 4),
+  rateTo: Math.round((interestRate + 2) * 4) / 4,
+  rateStep: 0.5,
+  termFrom: Math.max(5, loanTermYears - 15),
+  termTo: loanTermYears + 10,
+  termStep: 5
+});
+
+// Values from `from` to `to` inclusive, at most MAX_GRID_STEPS of them
+export const stepsBetween = (from, to, step) => {
+  if (!(step > 0) || to < from) return [from];
+  const count = Math.min(Math.floor((to - from) / step + 1e-9) + 1, MAX_GRID_STEPS);
+  return Array.from(
+    { length: count },
+    (_, i) => Math.round((from + i * step) * 1000) / 1000
+  );
+};
+
+// Total interest, monthly-equivalent first payment and total cost of a loan
+export const evaluateLoan = (loan) => {
+  const schedule = buildSchedule(loan);
+  const totals = summarizeSchedule(schedule, loan);
+  const payment = schedule.length ? schedule[0].scheduledPayment : 0;
+  return {
+    totalInterest: totals.totalInterest,
+    monthlyPayment: (payment * periodsPerYearOf(loan.paymentFrequency)) / 12,
+    totalCost: totals.totalCost + upfrontCharges(loan).total
+  };
+};
+
+// One row per rate, one cell per term, plus the range of each metric for
+// scaling the heatmap colors
+export const buildSensitivityGrid = (loan, ranges) => {
+  const rates = stepsBetween(ranges.rateFrom, ranges.rateTo, ranges.rateStep);
+  const terms = stepsBetween(ranges.termFrom, ranges.termTo, ranges.termStep);
+  const rows = rates.map((interestRate) =>
+    terms.map((loanTermYears) => ({
+      interestRate,
+      loanTermYears,
+      ...evaluateLoan({ ...loan, interestRate, loanTermYears })
+    }))
+  );
+
+  const cells = rows.flat();
+  const extent = (metric) => {
+    const values = cells.map((cell) => cell[metric]);
+    return { min: Math.min(...values), max: Math.max(...values) };
+  };
+
+  return {
+    rates,
+    terms,
+    rows,
+    extent: {
+      totalInterest: extent("totalInterest"),
+      monthlyPayment: extent("monthlyPayment")
+    }
+  };
+};
+
+// Green (lowest) through amber to red (highest)
+export const heatColor = (value, { min, max }) => {
+  const t = max > min ? (value - min) / (max - min) : 0;
+  const hue = 120 * (1 - t);
+  return `hsl(${Math.round(hue)}, 70%, 80%)`;
+};
+
+// Inputs the tornado varies, with how to read and change each one. Inputs
+// that are zero for this loan are skipped, since a percentage of zero is zero.
+const TORNADO_INPUTS = [
+  {
+    key: "loanAmount",
+    label: "Loan Amount",
+    valueOf: (loan) => loan.loanAmount,
+    apply: (loan, value) => ({ ...loan, loanAmount: value })
+  },
+  {
+    key: "interestRate",
+    label: "Interest Rate",
+    valueOf: (loan) => loan.interestRate,
+    apply: (loan, value) => ({ ...loan, interestRate: value })
+  },
+  {
+    key: "loanTermYears",
+    label: "Loan Term",
+    valueOf: (loan) => loan.loanTermYears,
+    apply: (loan, value) => ({ ...loan, loanTermYears: Math.max(1, Math.round(value)) })
+  },
+  {
+    key: "extraMonthly",
+    label: "Extra Monthly Payment",
+    valueOf: (loan) => (loan.extraPayments ? loan.extraPayments.monthly : 0),
+    apply: (loan, value) => ({
+      ...loan,
+      extraPayments: { ...loan.extraPayments, monthly: value }
+    })
+  }
+];
+
+// Change in total cost when each input moves down and up by `percent`,
+// sorted with the most influential input first
+export const buildTornado = (loan, percent) => {
+  const base = evaluateLoan(loan).totalCost;
+
+  return TORNADO_INPUTS.filter((input) => input.valueOf(loan) > 0)
+    .map(({ key, label, valueOf, apply }) => {
+      const value = valueOf(loan);
+      const costAt = (factor) => evaluateLoan(apply(loan, value * factor)).totalCost;
+      const low = costAt(1 - percent / 100) - base;
+      const high = costAt(1 + percent / 100) - base;
+      return { key, label, low, high, swing: Math.abs(high - low) };
+    })
+    .sort((a, b) => b.swing - a.swing);
+};
@@ -0,0 +1,68 @@
+import { calculateLoan, defaultExtraPayments } from './loanEngine';
+import {
+  stepsBetween,
+  defaultRangesFor,
+  buildSensitivityGrid,
+  buildTornado,
+  heatColor,
+  MAX_GRID_STEPS
+} from './sensitivity';
+
+const loan = {
+  loanAmount: 250000,
+  interestRate: 4.5,
+  loanTermYears: 30,
+  startYear: 2010
+};
+
+test('steps cover the range inclusively and are capped', () => {
+  expect(stepsBetween(3, 5, 0.5)).toEqual([3, 3.5, 4, 4.5, 5]);
+  expect(stepsBetween(0.1, 0.4, 0.1)).toEqual([0.1, 0.2, 0.3, 0.4]);
+  expect(stepsBetween(5, 3, 1)).toEqual([5]);
+  expect(stepsBetween(1, 1000, 1)).toHaveLength(MAX_GRID_STEPS);
+});
+
+test('grid cells match the full calculation for that rate and term', () => {
+  const grid = buildSensitivityGrid(loan, defaultRangesFor(loan));
+  expect(grid.rates).toEqual([2.5, 3, 3.5, 4, 4.5, 5, 5.5, 6, 6.5]);
+  expect(grid.terms).toEqual([15, 20, 25, 30, 35, 40]);
+
+  const cell = grid.rows[4][3];
+  const full = calculateLoan(loan);
+  expect(cell).toMatchObject({ interestRate: 4.5, loanTermYears: 30 });
+  expect(cell.totalInterest).toBeCloseTo(full.totals.totalInterest, 6);
+  expect(cell.monthlyPayment).toBeCloseTo(full.monthlyPayment, 6);
+
+  // Interest rises with rate and term; the payment falls with term
+  expect(grid.rows[0][0].totalInterest).toBe(grid.extent.totalInterest.min);
+  expect(grid.rows[8][5].totalInterest).toBe(grid.extent.totalInterest.max);
+  expect(grid.rows[4][0].monthlyPayment).toBeGreaterThan(grid.rows[4][5].monthlyPayment);
+});
+
+test('heat colors run from green to red', () => {
+  const extent = { min: 0, max: 100 };
+  expect(heatColor(0, extent)).toBe('hsl(120, 70%, 80%)');
+  expect(heatColor(100, extent)).toBe('hsl(0, 70%, 80%)');
+  expect(heatColor(5, { min: 5, max: 5 })).toBe('hsl(120, 70%, 80%)');
+});
+
+test('tornado ranks inputs by their effect on total cost', () => {
+  const tornado = buildTornado(loan, 10);
+  expect(tornado.map((bar) => bar.key)).toEqual([
+    'loanAmount',
+    'interestRate',
+    'loanTermYears'
+  ]);
+  expect(tornado[0].low).toBeLessThan(0);
+  expect(tornado[0].high).toBeGreaterThan(0);
+  tornado.slice(1).forEach((bar, i) => {
+    expect(bar.swing).toBeLessThanOrEqual(tornado[i].swing);
+  });
+
+  const withExtra = buildTornado(
+    { ...loan, extraPayments: { ...defaultExtraPayments, monthly: 200 } },
+    10
+  );
+  const extra = withExtra.find((bar) => bar.key === 'extraMonthly');
+  expect(extra.high).toBeLessThan(0);
+});
@@ -0,0 +1,234 @@
+// Work backwards from a payment budget: find the loan amount, rate or term
+// that produces a target monthly payment, or the largest loan that fits
+// within debt-to-income limits. Goals work backwards too, finding the extra
+// payment that clears the loan by a date or within an interest budget.
+// Every solve runs the real schedule, so payment frequency, loan structure
+// and interest conventions all apply.
+
+import {
+  buildSchedule,
+  periodsPerYearOf,
+  summarizeSchedule,
+  defaultExtraPayments
+} from './loanEngine';
+import { INPUT_LIMITS } from './loanInputs';
+import { minorUnitsOf } from './currency';
+
+export const defaultAffordability = {
+  monthlyIncome: 8000,
+  monthlyDebts: 500,
+  frontEndDti: 28,
+  backEndDti: 36
+};
+
+// First scheduled payment expressed per month. With `includeCosts` it is
+// the full housing payment, including taxes, insurance, HOA and PMI.
+export const monthlyPaymentOf = (loan, includeCosts = false) => {
+  const [first] = buildSchedule({ ...loan, extraPayments: null });
+  if (!first) return 0;
+  const payment = includeCosts ? first.totalPayment : first.scheduledPayment;
+  return (payment * periodsPerYearOf(loan.paymentFrequency)) / 12;
+};
+
+// Value in [low, high] at which an increasing function reaches `target`
+const bisect = (fn, target, low, high) => {
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (fn(mid) > target) high = mid;
+    else low = mid;
+  }
+  return low;
+};
+
+// Largest loan amount whose payment is within the target. With ownership
+// costs on, the home price moves with the loan so the down payment stays put.
+export const solveLoanAmount = (loan, targetPayment, includeCosts = false) => {
+  const withAmount = (amount) => {
+    const next = { ...loan, loanAmount: amount };
+    if (includeCosts && loan.ownership && loan.ownership.enabled) {
+      const homePrice = amount + loan.ownership.downPayment;
+      next.ownership = { ...loan.ownership, homePrice };
+    }
+    return next;
+  };
+  const paymentFor = (amount) => monthlyPaymentOf(withAmount(amount), includeCosts);
+
+  const { min } = INPUT_LIMITS.loanAmount;
+  if (paymentFor(min) > targetPayment) {
+    return { problem: "The target payment is too low for the smallest loan" };
+  }
+  let high = min * 2;
+  while (paymentFor(high) <= targetPayment) {
+    if (high > 1e12) {
+      return { problem: "The target payment does not limit the loan amount" };
+    }
+    high *= 2;
+  }
+
+  const value = Math.floor(bisect(paymentFor, targetPayment, min, high));
+  return { value, payment: paymentFor(value), loan: withAmount(value) };
+};
+
+// Highest note rate (%) whose payment is within the target, to 0.001%
+export const solveInterestRate = (loan, targetPayment) => {
+  const { min, max } = INPUT_LIMITS.interestRate;
+  const paymentFor = (rate) => monthlyPaymentOf({ ...loan, interestRate: rate });
+
+  if (paymentFor(min) > targetPayment) {
+    return { problem: `Even at ${min}% the payment is above the target` };
+  }
+  if (paymentFor(max) <= targetPayment) {
+    return { problem: `The target payment is reached even at ${max}%` };
+  }
+
+  const value = Math.floor(bisect(paymentFor, targetPayment, min, max) * 1000) / 1000;
+  return { value, payment: paymentFor(value) };
+};
+
+// Shortest whole-year term whose payment is within the target
+export const solveLoanTerm = (loan, targetPayment) => {
+  const { min, max } = INPUT_LIMITS.loanTermYears;
+  const paymentFor = (years) => monthlyPaymentOf({ ...loan, loanTermYears: years });
+
+  for (let years = min; years <= max; years++) {
+    const payment = paymentFor(years);
+    if (payment <= targetPayment) return { value: years, payment };
+  }
+  return { problem: `The payment is above the target even over ${max} years` };
+};
+
+// Maximum loan from gross monthly income and debts. The housing payment may
+// use `frontEndDti` percent of income, and housing plus other debts
+// `backEndDti` percent; the tighter limit wins.
+export const solveAffordability = (loan, affordability) => {
+  const { monthlyIncome, monthlyDebts, frontEndDti, backEndDti } = affordability;
+  const frontEndLimit = (monthlyIncome * frontEndDti) / 100;
+  const backEndLimit = (monthlyIncome * backEndDti) / 100 - monthlyDebts;
+  const maxHousingPayment = Math.min(frontEndLimit, backEndLimit);
+  const limitedBy = frontEndLimit <= backEndLimit ? "front-end" : "back-end";
+
+  if (maxHousingPayment <= 0) {
+    return {
+      maxHousingPayment,
+      limitedBy,
+      problem: "Existing debts use the whole back-end limit"
+    };
+  }
+
+  const result = solveLoanAmount(loan, maxHousingPayment, true);
+  return { ...result, maxHousingPayment, limitedBy };
+};
+
+export const GOAL_TYPES = {
+  payoffDate: { label: "Debt-free by a date" },
+  interestBudget: { label: "Total interest at most" }
+};
+
+export const GOAL_PAYMENTS = {
+  monthly: { label: "Extra every month" },
+  lumpSum: { label: "One lump sum" }
+};
+
+// Lump sums default to the month the goal is set in (see GoalSeekPanel)
+export const defaultGoal = {
+  type: "payoffDate",
+  payment: "monthly",
+  targetYear: 2030,
+  targetMonth: 12,
+  maxInterest: 100000,
+  lumpSumYear: 2012,
+  lumpSumMonth: 1
+};
+
+const monthIndex = ({ year, month }) => year * 12 + month - 1;
+
+// The loan with `amount` paid on top of its own extra payments, every
+// month from the first payment or once in the goal's lump-sum month
+const withGoalPayment = (loan, goal, amount) => {
+  const extraPayments = { ...defaultExtraPayments, ...loan.extraPayments };
+  if (goal.payment === "lumpSum") {
+    extraPayments.oneTime = [
+      ...extraPayments.oneTime,
+      { id: "goal", year: goal.lumpSumYear, month: goal.lumpSumMonth, amount }
+    ];
+  } else {
+    extraPayments.monthly += amount;
+  }
+  return { ...loan, extraPayments };
+};
+
+// Smallest extra payment, to the currency's minor unit, that pays the loan
+// off by the goal's target month or keeps its total interest within the
+// budget. Returns it with the resulting schedule, payoff month and total
+// interest, and the same for the loan as it is (`baseline`); or a
+// `problem` when no amount can reach the goal.
+export const solveExtraPayment = (loan, goal) => {
+  const outcome = (amount) => {
+    const schedule = buildSchedule(withGoalPayment(loan, goal, amount));
+    const last = schedule[schedule.length - 1];
+    return {
+      schedule,
+      payoff: { year: last.year, month: last.month },
+      totalInterest: summarizeSchedule(schedule, loan).totalInterest
+    };
+  };
+  const target = monthIndex({ year: goal.targetYear, month: goal.targetMonth });
+  const meets = ({ payoff, totalInterest }) =>
+    goal.type === "interestBudget"
+      ? totalInterest <= goal.maxInterest + 1e-9
+      : monthIndex(payoff) <= target;
+
+  const baseline = outcome(0);
+  const first = baseline.schedule[0];
+  if (goal.payment === "lumpSum") {
+    const lumpSum = monthIndex({ year: goal.lumpSumYear, month: goal.lumpSumMonth });
+    if (lumpSum < monthIndex(first) || lumpSum > monthIndex(baseline.payoff)) {
+      return { problem: "The lump sum must fall between the first and last payments" };
+    }
+  }
+  if (meets(baseline)) {
+    return { value: 0, ...baseline, baseline, interestSaved: 0, alreadyMet: true };
+  }
+
+  // Enough to clear the balance at the first chance: if that misses the
+  // goal, nothing will reach it
+  const high = Math.max(loan.loanAmount, ...baseline.schedule.map((row) => row.balance));
+  if (!meets(outcome(high))) {
+    if (goal.type === "interestBudget") {
+      return {
+        problem:
+          "The interest budget is less than the interest charged before the loan " +
+          "can be paid off"
+      };
+    }
+    return {
+      problem:
+        goal.payment === "lumpSum"
+          ? "Even a lump sum that clears the balance pays off after the target date"
+          : "The target date is before the loan can be paid off"
+    };
+  }
+
+  let low = 0;
+  let top = high;
+  for (let i = 0; i < 50; i++) {
+    const mid = (low + top) / 2;
+    if (meets(outcome(mid))) top = mid;
+    else low = mid;
+  }
+  // Rounded up so the amount still reaches the goal
+  const scale = Math.pow(10, loan.currency ? minorUnitsOf(loan.currency) : 2);
+  let value = Math.ceil(top * scale - 1e-6) / scale;
+  let result = outcome(value);
+  if (!meets(result)) {
+    value = top;
+    result = outcome(top);
+  }
+
+  return {
+    value,
+    ...result,
+    baseline,
+    interestSaved: baseline.totalInterest - result.totalInterest
+  };
+};
@@ -0,0 +1,141 @@
+import {
+  buildSchedule,
+  calculateMonthlyPayment,
+  defaultExtraPayments,
+  defaultOwnership
+} from './loanEngine';
+import {
+  defaultGoal,
+  solveExtraPayment,
+  monthlyPaymentOf,
+  solveLoanAmount,
+  solveInterestRate,
+  solveLoanTerm,
+  solveAffordability
+} from './solver';
+
+const loan = {
+  loanAmount: 250000,
+  interestRate: 4.5,
+  loanTermYears: 30,
+  startYear: 2010
+};
+const payment = calculateMonthlyPayment(loan);
+
+test('solves the loan amount for a target payment', () => {
+  const result = solveLoanAmount(loan, payment);
+  expect(result.value).toBeGreaterThanOrEqual(249999);
+  expect(result.value).toBeLessThanOrEqual(250000);
+  expect(result.payment).toBeLessThanOrEqual(payment + 1e-9);
+});
+
+test('solves the interest rate for a target payment', () => {
+  const result = solveInterestRate({ ...loan, interestRate: 7 }, payment);
+  expect(result.value).toBeCloseTo(4.5, 2);
+  expect(result.payment).toBeLessThanOrEqual(payment);
+});
+
+test('solves the shortest term whose payment fits', () => {
+  const result = solveLoanTerm({ ...loan, loanTermYears: 10 }, 1400);
+  expect(result.value).toBe(25);
+  expect(result.payment).toBeLessThanOrEqual(1400);
+  expect(monthlyPaymentOf({ ...loan, loanTermYears: 24 })).toBeGreaterThan(1400);
+});
+
+test('reports targets that cannot be reached', () => {
+  expect(solveInterestRate(loan, 100).problem).toMatch(/above the target/);
+  expect(solveLoanTerm(loan, 500).problem).toMatch(/50 years/);
+  expect(solveLoanAmount(loan, 1).problem).toMatch(/too low/);
+});
+
+test('affordability uses the tighter DTI limit', () => {
+  const income = { monthlyIncome: 8000, frontEndDti: 28, backEndDti: 36 };
+  const frontEnd = solveAffordability(loan, { ...income, monthlyDebts: 500 });
+  expect(frontEnd.limitedBy).toBe('front-end');
+  expect(frontEnd.maxHousingPayment).toBe(2240);
+
+  const backEnd = solveAffordability(loan, { ...income, monthlyDebts: 1200 });
+  expect(backEnd.limitedBy).toBe('back-end');
+  expect(backEnd.maxHousingPayment).toBe(1680);
+  expect(backEnd.value).toBeLessThan(frontEnd.value);
+  expect(monthlyPaymentOf({ ...loan, loanAmount: backEnd.value })).toBeLessThanOrEqual(1680);
+});
+
+test('affordability counts ownership costs in the housing payment', () => {
+  const owned = { ...loan, ownership: { ...defaultOwnership, enabled: true } };
+  const limits = { monthlyIncome: 8000, monthlyDebts: 0, frontEndDti: 28, backEndDti: 36 };
+  const withCosts = solveAffordability(owned, limits);
+  const withoutCosts = solveAffordability(loan, limits);
+
+  expect(withCosts.value).toBeLessThan(withoutCosts.value);
+  expect(withCosts.loan.ownership.homePrice).toBe(withCosts.value + 27800);
+  expect(monthlyPaymentOf(withCosts.loan, true)).toBeLessThanOrEqual(2240);
+});
+
+describe('goal seek', () => {
+  const goal = (changes) => ({ ...defaultGoal, ...changes });
+  const loanWithCurrency = { ...loan, currency: 'USD' };
+
+  test('finds the monthly extra that pays off by the target month', () => {
+    const result = solveExtraPayment(
+      loanWithCurrency,
+      goal({ targetYear: 2030, targetMonth: 12 })
+    );
+    const { payoff } = result;
+    expect(payoff.year * 12 + payoff.month).toBeLessThanOrEqual(2030 * 12 + 12);
+    expect(Math.round(result.value * 100)).toBe(result.value * 100);
+    expect(result.baseline.payoff).toEqual({ year: 2040, month: 12 });
+    expect(result.interestSaved).toBeGreaterThan(0);
+
+    // A cent less misses the target
+    const less = buildSchedule({
+      ...loanWithCurrency,
+      extraPayments: { ...defaultExtraPayments, monthly: result.value - 0.01 }
+    });
+    const last = less[less.length - 1];
+    expect(last.year * 12 + last.month).toBeGreaterThan(2030 * 12 + 12);
+  });
+
+  test('finds the lump sum that keeps interest within a budget', () => {
+    const result = solveExtraPayment(
+      loanWithCurrency,
+      goal({
+        type: 'interestBudget',
+        payment: 'lumpSum',
+        maxInterest: 150000,
+        lumpSumYear: 2015,
+        lumpSumMonth: 6
+      })
+    );
+    expect(result.totalInterest).toBeLessThanOrEqual(150000);
+    expect(result.totalInterest).toBeGreaterThan(149000);
+    expect(result.schedule.find((row) => row.extraPayment > 0)).toMatchObject({
+      year: 2015,
+      month: 6,
+      extraPayment: result.value
+    });
+  });
+
+  test('a goal already met needs nothing extra', () => {
+    const result = solveExtraPayment(loan, goal({ targetYear: 2045 }));
+    expect(result).toMatchObject({ value: 0, alreadyMet: true, interestSaved: 0 });
+  });
+
+  test('reports goals that cannot be reached instead of a number', () => {
+    expect(solveExtraPayment(loan, goal({ targetYear: 2010 })).problem).toMatch(
+      /before the loan can be paid off/
+    );
+    expect(
+      solveExtraPayment(loan, goal({ type: 'interestBudget', maxInterest: 10 })).problem
+    ).toMatch(/interest budget/);
+    expect(
+      solveExtraPayment(
+        loan,
+        goal({ payment: 'lumpSum', lumpSumYear: 2020, lumpSumMonth: 1, targetYear: 2015 })
+      ).problem
+    ).toMatch(/after the target date/);
+    expect(
+      solveExtraPayment(loan, goal({ payment: 'lumpSum', lumpSumYear: 2060 })).problem
+    ).toMatch(/between the first and last payments/);
+  });
+});
@@ -0,0 +1,65 @@
+// Inline style objects shared by the simulator's form controls
+
+export const labelStyle = {
+  display: "block",
+  fontSize: "0.875rem",
+  fontWeight: "500",
+  marginBottom: "4px"
+};
+
+export const inputStyle = {
+  width: "100%",
+  padding: "8px",
+  border: "1px solid #d1d5db",
+  borderRadius: "4px"
+};
+
+export const fieldStyle = { marginBottom: "16px" };
+
+export const panelStyle = {
+  background: "#f9fafb",
+  padding: "16px",
+  borderRadius: "4px",
+  marginBottom: "24px"
+};
+
+export const sectionHeadingStyle = {
+  fontSize: "1.125rem",
+  fontWeight: "600",
+  marginBottom: "8px"
+};
+
+export const primaryButtonStyle = {
+  padding: "8px 16px",
+  background: "#4f46e5",
+  color: "white",
+  border: "none",
+  borderRadius: "4px",
+  cursor: "pointer"
+};
+
+export const secondaryButtonStyle = {
+  padding: "8px 16px",
+  background: "#e5e7eb",
+  border: "none",
+  borderRadius: "4px",
+  cursor: "pointer"
+};
+
+export const smallButtonStyle = {
+  padding: "4px 8px",
+  background: "#4f46e5",
+  color: "white",
+  border: "none",
+  borderRadius: "4px",
+  cursor: "pointer"
+};
+
+export const dangerButtonStyle = {
+  ...smallButtonStyle,
+  background: "#ef4444"
+};
+
+export const summaryLabelStyle = { fontSize: "0.875rem", color: "#4b5563" };
+
+export const summaryValueStyle = { fontWeight: "bold", fontSize: "1.25rem" };
@@ -0,0 +1,490 @@
+// Encode the simulator inputs as URL query parameters and read them back.
+// Each field lists its parameter name, where it lives in the inputs object,
+// how it is written and which clamping rule applies, so new options only
+// need a new entry here.
+
+import { DEFAULT_INPUTS, INPUT_LIMITS, clampValue } from './loanInputs';
+import {
+  PAYMENT_FREQUENCIES,
+  COMPOUNDING_OPTIONS,
+  DAY_COUNT_CONVENTIONS,
+  LOAN_STRUCTURES
+} from './loanEngine';
+import { RATE_MODELS } from './monteCarlo';
+import { LOCALES, CURRENCIES, ROUNDING_MODES } from './currency';
+import {
+  DISRUPTION_TYPES,
+  UNPAID_INTEREST_OPTIONS,
+  RECOVERY_OPTIONS
+} from './disruptions';
+
+const URL_FIELDS = [
+  { param: "amount", path: ["loanAmount"], type: "number", rule: "loanAmount" },
+  { param: "rate", path: ["interestRate"], type: "number", rule: "interestRate" },
+  { param: "term", path: ["loanTermYears"], type: "integer", rule: "loanTermYears" },
+  { param: "start", path: ["startYear"], type: "integer", rule: "startYear" },
+  { param: "startMonth", path: ["startMonth"], type: "integer", rule: "month" },
+  {
+    param: "freq",
+    path: ["paymentFrequency"],
+    type: "enum",
+    values: Object.keys(PAYMENT_FREQUENCIES)
+  },
+  {
+    param: "comp",
+    path: ["compounding"],
+    type: "enum",
+    values: Object.keys(COMPOUNDING_OPTIONS)
+  },
+  {
+    param: "dayCount",
+    path: ["dayCount"],
+    type: "enum",
+    values: Object.keys(DAY_COUNT_CONVENTIONS)
+  },
+  {
+    param: "loanType",
+    path: ["structure", "type"],
+    type: "enum",
+    values: Object.keys(LOAN_STRUCTURES)
+  },
+  {
+    param: "ioYears",
+    path: ["structure", "interestOnlyYears"],
+    type: "integer",
+    rule: "structureYears"
+  },
+  {
+    param: "balloonYears",
+    path: ["structure", "balloonYears"],
+    type: "integer",
+    rule: "structureYears"
+  },
+  {
+    param: "extra",
+    path: ["extraPayments", "monthly"],
+    type: "number",
+    rule: "extraAmount"
+  },
+  {
+    param: "lump",
+    path: ["extraPayments", "annual"],
+    type: "number",
+    rule: "extraAmount"
+  },
+  {
+    param: "lumpMonth",
+    path: ["extraPayments", "annualMonth"],
+    type: "integer",
+    rule: "month"
+  },
+  {
+    param: "lumpStart",
+    path: ["extraPayments", "annualStartYear"],
+    type: "integer",
+    rule: "startYear"
+  },
+  { param: "once", path: ["extraPayments", "oneTime"], type: "oneTime" },
+  { param: "rateType", path: ["rateType"], type: "enum", values: ["fixed", "arm"] },
+  {
+    param: "armFixed",
+    path: ["arm", "initialPeriodYears"],
+    type: "integer",
+    rule: "armYears"
+  },
+  {
+    param: "armReset",
+    path: ["arm", "resetFrequencyMonths"],
+    type: "integer",
+    rule: "armResetMonths"
+  },
+  { param: "armMargin", path: ["arm", "margin"], type: "number", rule: "armRate" },
+  { param: "armIndex", path: ["arm", "indexPath"], type: "numberList", rule: "armRate" },
+  { param: "armInitCap", path: ["arm", "initialCap"], type: "number", rule: "armRate" },
+  { param: "armCap", path: ["arm", "periodicCap"], type: "number", rule: "armRate" },
+  { param: "armLifeCap", path: ["arm", "lifetimeCap"], type: "number", rule: "armRate" },
+  { param: "armFloor", path: ["arm", "floorRate"], type: "number", rule: "armRate" },
+  { param: "piti", path: ["ownership", "enabled"], type: "boolean" },
+  { param: "price", path: ["ownership", "homePrice"], type: "number", rule: "homePrice" },
+  { param: "down", path: ["ownership", "downPayment"], type: "number", rule: "costAmount" },
+  {
+    param: "tax",
+    path: ["ownership", "propertyTaxAnnual"],
+    type: "number",
+    rule: "costAmount"
+  },
+  {
+    param: "insurance",
+    path: ["ownership", "insuranceAnnual"],
+    type: "number",
+    rule: "costAmount"
+  },
+  { param: "hoa", path: ["ownership", "hoaMonthly"], type: "number", rule: "costAmount" },
+  { param: "pmi", path: ["ownership", "pmiRate"], type: "number", rule: "pmiRate" },
+  { param: "pmiLtv", path: ["ownership", "pmiDropLtv"], type: "enum", values: [78, 80] },
+  { param: "refi", path: ["refinance", "enabled"], type: "boolean" },
+  {
+    param: "refiAfter",
+    path: ["refinance", "afterYears"],
+    type: "integer",
+    rule: "refinanceYears"
+  },
+  { param: "refiRate", path: ["refinance", "newRate"], type: "number", rule: "interestRate" },
+  {
+    param: "refiTerm",
+    path: ["refinance", "newTermYears"],
+    type: "integer",
+    rule: "loanTermYears"
+  },
+  {
+    param: "refiCosts",
+    path: ["refinance", "closingCosts"],
+    type: "number",
+    rule: "costAmount"
+  },
+  { param: "refiRoll", path: ["refinance", "rollCosts"], type: "boolean" },
+  {
+    param: "refiDiscount",
+    path: ["refinance", "discountRate"],
+    type: "number",
+    rule: "discountRate"
+  },
+  { param: "points", path: ["fees", "discountPoints"], type: "number", rule: "points" },
+  {
+    param: "pointValue",
+    path: ["fees", "pointRateReduction"],
+    type: "number",
+    rule: "pointRateReduction"
+  },
+  {
+    param: "origination",
+    path: ["fees", "originationFee"],
+    type: "number",
+    rule: "costAmount"
+  },
+  { param: "otherFees", path: ["fees", "otherCharges"], type: "number", rule: "costAmount" },
+  {
+    param: "inflation",
+    path: ["economics", "inflationRate"],
+    type: "number",
+    rule: "economicRate"
+  },
+  {
+    param: "return",
+    path: ["economics", "investmentReturn"],
+    type: "number",
+    rule: "economicRate"
+  },
+  { param: "mc", path: ["monteCarlo", "enabled"], type: "boolean" },
+  {
+    param: "mcModel",
+    path: ["monteCarlo", "model"],
+    type: "enum",
+    values: Object.keys(RATE_MODELS)
+  },
+  {
+    param: "mcVol",
+    path: ["monteCarlo", "volatility"],
+    type: "number",
+    rule: "rateVolatility"
+  },
+  { param: "mcDrift", path: ["monteCarlo", "drift"], type: "number", rule: "rateDrift" },
+  { param: "mcMean", path: ["monteCarlo", "longRunRate"], type: "number", rule: "armRate" },
+  {
+    param: "mcSpeed",
+    path: ["monteCarlo", "reversionSpeed"],
+    type: "number",
+    rule: "reversionSpeed"
+  },
+  {
+    param: "mcPaths",
+    path: ["monteCarlo", "paths"],
+    type: "integer",
+    rule: "simulationPaths"
+  },
+  { param: "mcSeed", path: ["monteCarlo", "seed"], type: "integer", rule: "seed" },
+  { param: "locale", path: ["locale"], type: "enum", values: Object.keys(LOCALES) },
+  { param: "currency", path: ["currency"], type: "enum", values: Object.keys(CURRENCIES) },
+  {
+    param: "rounding",
+    path: ["rounding"],
+    type: "enum",
+    values: Object.keys(ROUNDING_MODES)
+  },
+  { param: "missed", path: ["disruptions", "events"], type: "disruptionEvents" },
+  { param: "forb", path: ["disruptions", "forbearance", "enabled"], type: "boolean" },
+  {
+    param: "forbStart",
+    path: ["disruptions", "forbearance", "startYear"],
+    type: "integer",
+    rule: "startYear"
+  },
+  {
+    param: "forbMonth",
+    path: ["disruptions", "forbearance", "startMonth"],
+    type: "integer",
+    rule: "month"
+  },
+  {
+    param: "forbMonths",
+    path: ["disruptions", "forbearance", "months"],
+    type: "integer",
+    rule: "forbearanceMonths"
+  },
+  {
+    param: "forbPay",
+    path: ["disruptions", "forbearance", "paymentPercent"],
+    type: "number",
+    rule: "paymentPercent"
+  },
+  {
+    param: "unpaid",
+    path: ["disruptions", "unpaidInterest"],
+    type: "enum",
+    values: Object.keys(UNPAID_INTEREST_OPTIONS)
+  },
+  {
+    param: "recovery",
+    path: ["disruptions", "recovery"],
+    type: "enum",
+    values: Object.keys(RECOVERY_OPTIONS)
+  },
+  { param: "lateFee", path: ["disruptions", "lateFee"], type: "number", rule: "costAmount" }
+];
+
+const getIn = (object, path) => path.reduce((value, key) => value?.[key], object);
+
+const setIn = (object, [key, ...rest], value) => ({
+  ...object,
+  [key]: rest.length ? setIn(object[key], rest, value) : value
+});
+
+const encodeValue = (field, value) => {
+  switch (field.type) {
+    case "numberList":
+      return value.join(",");
+    case "oneTime":
+      return value
+        .map((payment) => `${payment.year}-${payment.month}:${payment.amount}`)
+        .join(",");
+    case "disruptionEvents":
+      return value
+        .map(({ year, month, type, amount }) => {
+          const entry = `${year}-${month}:${type}`;
+          return type === "reduced" ? `${entry}:${amount}` : entry;
+        })
+        .join(",");
+    case "boolean":
+      return value ? "1" : "0";
+    default:
+      return String(value);
+  }
+};
+
+// Parse and clamp one parameter. Returns { value, problem } where problem
+// describes anything that had to be changed or dropped.
+const decodeValue = (field, text) => {
+  const limits = INPUT_LIMITS[field.rule];
+
+  const clampNumber = (raw) => {
+    const number = Number(raw);
+    if (raw.trim() === "" || !Number.isFinite(number)) return { invalid: true };
+    const rounded = field.type === "integer" ? Math.round(number) : number;
+    const clamped = clampValue(rounded, limits);
+    return { value: clamped, adjusted: clamped !== number };
+  };
+
+  switch (field.type) {
+    case "enum": {
+      const value = field.values.find((option) => String(option) === text);
+      return value !== undefined ? { value } : { problem: `unknown value "${text}"` };
+    }
+    case "boolean":
+      if (text === "1" || text === "0") return { value: text === "1" };
+      return { problem: `expected 1 or 0, got "${text}"` };
+    case "numberList": {
+      const parts = text.split(",").map(clampNumber);
+      if (parts.some((part) => part.invalid)) return { problem: "not a list of numbers" };
+      return {
+        value: parts.map((part) => part.value),
+        problem: parts.some((part) => part.adjusted) ? "adjusted to allowed range" : null
+      };
+    }
+    case "oneTime": {
+      const payments = [];
+      let dropped = false;
+      text.split(",").forEach((entry) => {
+        const match = /^(\d{4})-(\d{1,2}):(\d+(?:\.\d+)?)$/.exec(entry.trim());
+        const month = match ? Number(match[2]) : 0;
+        if (!match || month < 1 || month > 12) {
+          dropped = true;
+          return;
+        }
+        payments.push({
+          id: payments.length + 1,
+          year: Number(match[1]),
+          month,
+          amount: Number(match[3])
+        });
+      });
+      return { value: payments, problem: dropped ? "invalid entries dropped" : null };
+    }
+    case "disruptionEvents": {
+      const events = [];
+      let dropped = false;
+      text.split(",").forEach((entry) => {
+        const match = /^(\d{4})-(\d{1,2}):([a-z]+)(?::(\d+(?:\.\d+)?))?$/.exec(
+          entry.trim()
+        );
+        const month = match ? Number(match[2]) : 0;
+        const type = match ? match[3] : null;
+        if (
+          !match ||
+          month < 1 ||
+          month > 12 ||
+          !Object.hasOwn(DISRUPTION_TYPES, type) ||
+          (type === "reduced") !== (match[4] !== undefined)
+        ) {
+          dropped = true;
+          return;
+        }
+        events.push({
+          id: events.length + 1,
+          year: Number(match[1]),
+          month,
+          type,
+          ...(type === "reduced" && { amount: Number(match[4]) })
+        });
+      });
+      return { value: events, problem: dropped ? "invalid entries dropped" : null };
+    }
+    default: {
+      const result = clampNumber(text);
+      if (result.invalid) return { problem: `"${text}" is not a number` };
+      return {
+        value: result.value,
+        problem: result.adjusted ? `adjusted to ${result.value}` : null
+      };
+    }
+  }
+};
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+const isMonthEntry = (entry) =>
+  Boolean(entry) &&
+  Number.isInteger(entry.year) &&
+  Number.isInteger(entry.month) &&
+  entry.month >= 1 &&
+  entry.month <= 12;
+
+const isAmount = (value) => isNumber(value) && value >= 0;
+
+// Problem with a value held as data rather than text, e.g. in a saved
+// scenario, or null. Accepts what decodeValue would produce, but reports
+// out-of-range values instead of clamping them.
+const checkValue = (field, value, name) => {
+  const { min, max } = INPUT_LIMITS[field.rule] || {};
+  const range = max == null ? `at least ${min}` : `between ${min} and ${max}`;
+  const inRange = (number) =>
+    isNumber(number) && clampValue(number, { min, max }) === number;
+
+  switch (field.type) {
+    case "enum":
+      return field.values.includes(value) ? null : `unknown ${name} "${value}"`;
+    case "boolean":
+      return typeof value === "boolean" ? null : `${name} must be true or false`;
+    case "numberList":
+      return Array.isArray(value) && value.length > 0 && value.every(inRange)
+        ? null
+        : `${name} must be a list of numbers ${range}`;
+    case "oneTime":
+      return Array.isArray(value) &&
+        value.every((payment) => isMonthEntry(payment) && isAmount(payment.amount))
+        ? null
+        : `${name} must be a list of payments with a year, month and amount`;
+    case "disruptionEvents":
+      return Array.isArray(value) &&
+        value.every(
+          (event) =>
+            isMonthEntry(event) &&
+            Object.hasOwn(DISRUPTION_TYPES, event.type) &&
+            (event.type !== "reduced" || isAmount(event.amount))
+        )
+        ? null
+        : `${name} must be a list of events with a year, month and known type`;
+    default:
+      if (!inRange(value)) {
+        return min == null ? `${name} must be a number` : `${name} must be ${range}`;
+      }
+      if (field.type === "integer" && !Number.isInteger(value)) {
+        return `${name} must be a whole number`;
+      }
+      return null;
+  }
+};
+
+const isGroup = (value) => typeof value === "object" && !Array.isArray(value);
+
+// First problem with inputs held as data, such as a saved scenario, or
+// null. Missing values are left to their defaults, and option groups must
+// be objects. Fields named in `skip` are checked by the caller.
+export const findInputProblem = (inputs, skip = []) => {
+  for (const field of URL_FIELDS) {
+    const name = field.path.join(".");
+    for (let depth = 1; depth < field.path.length; depth++) {
+      const group = getIn(inputs, field.path.slice(0, depth));
+      if (group != null && !isGroup(group)) {
+        return `${field.path.slice(0, depth).join(".")} must be an object`;
+      }
+    }
+    const value = getIn(inputs, field.path);
+    if (value == null || skip.includes(name)) continue;
+    const problem = checkValue(field, value, name);
+    if (problem) return problem;
+  }
+  return null;
+};
+
+// Only non-default values are written, to keep links short
+export const encodeInputs = (inputs) => {
+  const params = new URLSearchParams();
+
+  URL_FIELDS.forEach((field) => {
+    const value = getIn(inputs, field.path);
+    const defaultValue = getIn(DEFAULT_INPUTS, field.path);
+    if (value == null) return;
+
+    const encoded = encodeValue(field, value);
+    if (defaultValue != null && encoded === encodeValue(field, defaultValue)) return;
+    const isList = field.type === "oneTime" || field.type === "disruptionEvents";
+    if (isList && value.length === 0) return;
+    params.set(field.param, encoded);
+  });
+
+  return params.toString();
+};
+
+// Read inputs from a query string, starting from the defaults. Warnings
+// name every parameter that was out of range or unreadable.
+export const decodeInputs = (search) => {
+  const params = new URLSearchParams(search);
+  let inputs = DEFAULT_INPUTS;
+  const warnings = [];
+
+  URL_FIELDS.forEach((field) => {
+    if (!params.has(field.param)) return;
+    const { value, problem } = decodeValue(field, params.get(field.param));
+
+    if (value !== undefined) inputs = setIn(inputs, field.path, value);
+    if (problem) {
+      warnings.push(
+        value === undefined
+          ? `${field.param}: ${problem}, default used`
+          : `${field.param}: ${problem}`
+      );
+    }
+  });
+
+  return { inputs, warnings };
+};
@@ -0,0 +1,89 @@
+import { encodeInputs, decodeInputs } from './urlState';
+import { DEFAULT_INPUTS } from './loanInputs';
+
+test('default inputs produce an empty query', () => {
+  expect(encodeInputs(DEFAULT_INPUTS)).toBe('');
+  expect(decodeInputs('')).toEqual({ inputs: DEFAULT_INPUTS, warnings: [] });
+});
+
+test('round-trips every kind of input', () => {
+  const inputs = {
+    ...DEFAULT_INPUTS,
+    loanAmount: 400000,
+    interestRate: 6.25,
+    loanTermYears: 15,
+    paymentFrequency: 'acceleratedBiweekly',
+    extraPayments: {
+      ...DEFAULT_INPUTS.extraPayments,
+      monthly: 150,
+      annual: 3000,
+      annualMonth: 12,
+      annualStartYear: 2015,
+      oneTime: [{ id: 1, year: 2012, month: 6, amount: 20000 }]
+    },
+    rateType: 'arm',
+    arm: { ...DEFAULT_INPUTS.arm, indexPath: [3.5, 4.25], lifetimeCap: 6 },
+    monteCarlo: { ...DEFAULT_INPUTS.monteCarlo, enabled: true, model: 'randomWalk', seed: 9 },
+    locale: 'de-DE',
+    currency: 'EUR',
+    rounding: 'halfEven',
+    disruptions: {
+      ...DEFAULT_INPUTS.disruptions,
+      events: [
+        { id: 1, year: 2012, month: 3, type: 'skipped' },
+        { id: 2, year: 2012, month: 4, type: 'reduced', amount: 450.5 }
+      ],
+      forbearance: { ...DEFAULT_INPUTS.disruptions.forbearance, enabled: true, months: 9 },
+      unpaidInterest: 'deferToMaturity',
+      recovery: 'extend',
+      lateFee: 35
+    }
+  };
+
+  const query = encodeInputs(inputs);
+  expect(query).toContain('amount=400000');
+  expect(query).toContain('once=2012-6%3A20000');
+  expect(query).toContain('freq=acceleratedBiweekly');
+  expect(query).toContain('mcModel=randomWalk');
+  expect(query).toContain('currency=EUR');
+  expect(query).toContain('missed=2012-3%3Askipped%2C2012-4%3Areduced%3A450.5');
+  expect(decodeInputs(`?${query}`)).toEqual({ inputs, warnings: [] });
+});
+
+test('clamps out-of-range values with the input rules and flags them', () => {
+  const { inputs, warnings } = decodeInputs('?amount=5&rate=45&term=80&lumpMonth=13');
+  expect(inputs.loanAmount).toBe(1000);
+  expect(inputs.interestRate).toBe(20);
+  expect(inputs.loanTermYears).toBe(50);
+  expect(inputs.extraPayments.annualMonth).toBe(12);
+  expect(warnings).toEqual([
+    'amount: adjusted to 1000',
+    'rate: adjusted to 20',
+    'term: adjusted to 50',
+    'lumpMonth: adjusted to 12'
+  ]);
+});
+
+test('falls back to defaults for unreadable values', () => {
+  const { inputs, warnings } = decodeInputs(
+    '?rate=abc&rateType=balloon&armIndex=3,x&once=2012-6:100,junk'
+  );
+  expect(inputs.interestRate).toBe(DEFAULT_INPUTS.interestRate);
+  expect(inputs.rateType).toBe('fixed');
+  expect(inputs.arm.indexPath).toEqual(DEFAULT_INPUTS.arm.indexPath);
+  expect(inputs.extraPayments.oneTime).toEqual([
+    { id: 1, year: 2012, month: 6, amount: 100 }
+  ]);
+  expect(warnings).toHaveLength(4);
+});
+
+test('drops disruption entries with an unknown type or a missing amount', () => {
+  const { inputs, warnings } = decodeInputs(
+    '?missed=2012-3:skipped,2012-4:lost,2012-5:reduced,2012-6:deferred:10,' +
+      '2012-7:constructor'
+  );
+  expect(inputs.disruptions.events).toEqual([
+    { id: 1, year: 2012, month: 3, type: 'skipped' }
+  ]);
+  expect(warnings).toEqual(['missed: invalid entries dropped']);
+});